@@ -1,5 +1,4 @@
--- SQLite Database Schema for Slack LLM Translate Bot
-
+-- Conversation history, per user and channel
 CREATE TABLE IF NOT EXISTS messages (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   user_id TEXT NOT NULL,
@@ -11,9 +10,9 @@ CREATE TABLE IF NOT EXISTS messages (
 );
 
 -- Index for efficient queries by user and channel
-CREATE INDEX IF NOT EXISTS idx_user_channel 
+CREATE INDEX IF NOT EXISTS idx_user_channel
 ON messages(user_id, channel_id, timestamp);
 
 -- Index for cleanup operations
 CREATE INDEX IF NOT EXISTS idx_timestamp
-ON messages(timestamp);
\ No newline at end of file
+ON messages(timestamp);
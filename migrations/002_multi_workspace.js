@@ -0,0 +1,33 @@
+// migrations/002_multi_workspace.js
+
+/**
+ * Scope messages by workspace and store the bot credentials of each workspace
+ *
+ * Databases created before versioned migrations may already have the
+ * team_id column, so it is only added when missing.
+ *
+ * @param {Database} db - better-sqlite3 connection (runs inside a transaction)
+ */
+export function up(db) {
+  const messageColumns = db.prepare('PRAGMA table_info(messages)').all();
+  if (!messageColumns.some(column => column.name === 'team_id')) {
+    db.exec(`ALTER TABLE messages ADD COLUMN team_id TEXT NOT NULL DEFAULT ''`);
+  }
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_team_user_channel
+    ON messages(team_id, user_id, channel_id, timestamp);
+
+    CREATE TABLE IF NOT EXISTS installations (
+      team_id TEXT PRIMARY KEY,
+      team_name TEXT,
+      bot_token TEXT NOT NULL,
+      bot_user_id TEXT,
+      app_id TEXT,
+      scope TEXT,
+      installed_by TEXT,
+      installed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
@@ -0,0 +1,11 @@
+-- Channels with auto-translate enabled
+CREATE TABLE IF NOT EXISTS channel_settings (
+  team_id TEXT NOT NULL,
+  channel_id TEXT NOT NULL,
+  target_language TEXT NOT NULL,
+  tone TEXT NOT NULL,
+  enabled_by TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (team_id, channel_id)
+);
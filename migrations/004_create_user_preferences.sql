@@ -0,0 +1,9 @@
+-- Personal defaults for /translate
+CREATE TABLE IF NOT EXISTS user_preferences (
+  team_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  default_language TEXT,
+  default_tone TEXT,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (team_id, user_id)
+);
@@ -0,0 +1,12 @@
+-- Team terminology, term_key is the lowercase term
+CREATE TABLE IF NOT EXISTS glossary (
+  team_id TEXT NOT NULL,
+  term_key TEXT NOT NULL,
+  source_term TEXT NOT NULL,
+  target_language TEXT NOT NULL,
+  translation TEXT,
+  do_not_translate INTEGER NOT NULL DEFAULT 0,
+  created_by TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (team_id, term_key, target_language)
+);
@@ -0,0 +1,8 @@
+-- Cached message embeddings for semantic context selection
+CREATE TABLE IF NOT EXISTS embeddings (
+  content_hash TEXT NOT NULL,
+  model TEXT NOT NULL,
+  vector BLOB NOT NULL,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (content_hash, model)
+);
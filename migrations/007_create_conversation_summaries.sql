@@ -0,0 +1,10 @@
+-- Rolling summary of older messages, per user and channel
+CREATE TABLE IF NOT EXISTS conversation_summaries (
+  team_id TEXT NOT NULL DEFAULT '',
+  user_id TEXT NOT NULL,
+  channel_id TEXT NOT NULL,
+  summary TEXT NOT NULL,
+  last_message_id INTEGER NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (team_id, user_id, channel_id)
+);
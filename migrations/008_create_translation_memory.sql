@@ -0,0 +1,25 @@
+-- Past translations, keyed by normalized source text, target language and tone
+CREATE TABLE IF NOT EXISTS translation_memory (
+  team_id TEXT NOT NULL DEFAULT '',
+  source_key TEXT NOT NULL,
+  target_language TEXT NOT NULL,
+  tone TEXT NOT NULL,
+  source_text TEXT NOT NULL,
+  result TEXT NOT NULL,
+  hits INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (team_id, source_key, target_language, tone)
+);
+
+CREATE INDEX IF NOT EXISTS idx_translation_memory_language
+ON translation_memory(team_id, target_language, last_used_at);
+
+-- Lookup counters, per workspace
+CREATE TABLE IF NOT EXISTS translation_memory_stats (
+  team_id TEXT PRIMARY KEY,
+  exact_hits INTEGER NOT NULL DEFAULT 0,
+  fuzzy_hits INTEGER NOT NULL DEFAULT 0,
+  misses INTEGER NOT NULL DEFAULT 0,
+  bypassed INTEGER NOT NULL DEFAULT 0
+);
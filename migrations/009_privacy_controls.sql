@@ -0,0 +1,12 @@
+-- Users can opt out of conversation history ("don't remember me")
+ALTER TABLE user_preferences ADD COLUMN store_history INTEGER NOT NULL DEFAULT 1;
+
+-- How long messages are kept, per workspace (channel_id '') or per channel
+CREATE TABLE IF NOT EXISTS retention_policies (
+  team_id TEXT NOT NULL,
+  channel_id TEXT NOT NULL DEFAULT '',
+  days INTEGER NOT NULL CHECK(days > 0),
+  updated_by TEXT,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (team_id, channel_id)
+);
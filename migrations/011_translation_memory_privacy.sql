@@ -0,0 +1,33 @@
+-- Translation memory under the privacy controls: source texts and results are
+-- encrypted by the app (MESSAGE_ENCRYPTION_KEY) and keyed by a hash of the
+-- normalized source text; entries are attributed to the user and channel they
+-- come from, for retention and user data deletion (stored_at in ms since the epoch).
+-- Entries stored in clear text until now are discarded: the memory fills again
+-- as messages are translated.
+DROP TABLE IF EXISTS translation_memory;
+
+CREATE TABLE translation_memory (
+  team_id TEXT NOT NULL DEFAULT '',
+  source_key TEXT NOT NULL,
+  target_language TEXT NOT NULL,
+  tone TEXT NOT NULL,
+  source_text TEXT NOT NULL,
+  source_length INTEGER NOT NULL,
+  result TEXT NOT NULL,
+  user_id TEXT,
+  channel_id TEXT,
+  hits INTEGER NOT NULL DEFAULT 0,
+  stored_at INTEGER NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (team_id, source_key, target_language, tone)
+);
+
+CREATE INDEX IF NOT EXISTS idx_translation_memory_language
+ON translation_memory(team_id, target_language, last_used_at);
+
+CREATE INDEX IF NOT EXISTS idx_translation_memory_user
+ON translation_memory(team_id, user_id);
+
+CREATE INDEX IF NOT EXISTS idx_translation_memory_stored_at
+ON translation_memory(stored_at);
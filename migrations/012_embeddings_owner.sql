@@ -0,0 +1,17 @@
+-- Cached embeddings are attributed to the user whose history they were computed
+-- for, so they are deleted with the rest of the user's data. The cache is
+-- rebuilt as messages are scored again.
+DROP TABLE IF EXISTS embeddings;
+
+CREATE TABLE embeddings (
+  team_id TEXT NOT NULL DEFAULT '',
+  user_id TEXT NOT NULL,
+  content_hash TEXT NOT NULL,
+  model TEXT NOT NULL,
+  vector BLOB NOT NULL,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (team_id, user_id, content_hash, model)
+);
+
+CREATE INDEX IF NOT EXISTS idx_embeddings_created_at
+ON embeddings(created_at);
@@ -0,0 +1,113 @@
+-- Initial schema, equivalent to SQLite migrations 001 to 008
+
+-- Conversation history, per user and channel
+CREATE TABLE IF NOT EXISTS messages (
+  id BIGSERIAL PRIMARY KEY,
+  team_id TEXT NOT NULL DEFAULT '',
+  user_id TEXT NOT NULL,
+  channel_id TEXT NOT NULL,
+  role TEXT NOT NULL CHECK(role IN ('user', 'assistant')),
+  content TEXT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_user_channel
+ON messages(team_id, user_id, channel_id, timestamp);
+
+CREATE INDEX IF NOT EXISTS idx_timestamp
+ON messages(timestamp);
+
+-- Bot credentials of each workspace
+CREATE TABLE IF NOT EXISTS installations (
+  team_id TEXT PRIMARY KEY,
+  team_name TEXT,
+  bot_token TEXT NOT NULL,
+  bot_user_id TEXT,
+  app_id TEXT,
+  scope TEXT,
+  installed_by TEXT,
+  installed_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Channels with auto-translate enabled
+CREATE TABLE IF NOT EXISTS channel_settings (
+  team_id TEXT NOT NULL,
+  channel_id TEXT NOT NULL,
+  target_language TEXT NOT NULL,
+  tone TEXT NOT NULL,
+  enabled_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (team_id, channel_id)
+);
+
+-- Personal defaults for /translate
+CREATE TABLE IF NOT EXISTS user_preferences (
+  team_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  default_language TEXT,
+  default_tone TEXT,
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (team_id, user_id)
+);
+
+-- Team terminology, term_key is the lowercase term
+CREATE TABLE IF NOT EXISTS glossary (
+  team_id TEXT NOT NULL,
+  term_key TEXT NOT NULL,
+  source_term TEXT NOT NULL,
+  target_language TEXT NOT NULL,
+  translation TEXT,
+  do_not_translate BOOLEAN NOT NULL DEFAULT FALSE,
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (team_id, term_key, target_language)
+);
+
+-- Cached message embeddings for semantic context selection
+CREATE TABLE IF NOT EXISTS embeddings (
+  content_hash TEXT NOT NULL,
+  model TEXT NOT NULL,
+  vector BYTEA NOT NULL,
+  created_at BIGINT NOT NULL,
+  PRIMARY KEY (content_hash, model)
+);
+
+-- Rolling summary of older messages, per user and channel
+CREATE TABLE IF NOT EXISTS conversation_summaries (
+  team_id TEXT NOT NULL DEFAULT '',
+  user_id TEXT NOT NULL,
+  channel_id TEXT NOT NULL,
+  summary TEXT NOT NULL,
+  last_message_id BIGINT NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (team_id, user_id, channel_id)
+);
+
+-- Past translations, keyed by normalized source text, target language and tone
+CREATE TABLE IF NOT EXISTS translation_memory (
+  team_id TEXT NOT NULL DEFAULT '',
+  source_key TEXT NOT NULL,
+  target_language TEXT NOT NULL,
+  tone TEXT NOT NULL,
+  source_text TEXT NOT NULL,
+  result TEXT NOT NULL,
+  hits INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  last_used_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (team_id, source_key, target_language, tone)
+);
+
+CREATE INDEX IF NOT EXISTS idx_translation_memory_language
+ON translation_memory(team_id, target_language, last_used_at);
+
+-- Lookup counters, per workspace
+CREATE TABLE IF NOT EXISTS translation_memory_stats (
+  team_id TEXT PRIMARY KEY,
+  exact_hits INTEGER NOT NULL DEFAULT 0,
+  fuzzy_hits INTEGER NOT NULL DEFAULT 0,
+  misses INTEGER NOT NULL DEFAULT 0,
+  bypassed INTEGER NOT NULL DEFAULT 0
+);
@@ -0,0 +1,23 @@
+-- One row per model call, for usage reports and quotas (created_at in ms since the epoch)
+CREATE TABLE IF NOT EXISTS usage (
+  id BIGSERIAL PRIMARY KEY,
+  team_id TEXT NOT NULL DEFAULT '',
+  user_id TEXT,
+  channel_id TEXT,
+  command TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  model TEXT,
+  input_tokens INTEGER,
+  output_tokens INTEGER,
+  latency_ms INTEGER NOT NULL,
+  created_at BIGINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_user
+ON usage(team_id, user_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_usage_channel
+ON usage(team_id, channel_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_usage_created_at
+ON usage(created_at);
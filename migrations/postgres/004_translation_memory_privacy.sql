@@ -0,0 +1,29 @@
+-- Translation memory under the privacy controls, as in SQLite migration 011:
+-- encrypted, hashed keys, attributed entries. Entries stored in clear text are discarded.
+DROP TABLE IF EXISTS translation_memory;
+
+CREATE TABLE translation_memory (
+  team_id TEXT NOT NULL DEFAULT '',
+  source_key TEXT NOT NULL,
+  target_language TEXT NOT NULL,
+  tone TEXT NOT NULL,
+  source_text TEXT NOT NULL,
+  source_length INTEGER NOT NULL,
+  result TEXT NOT NULL,
+  user_id TEXT,
+  channel_id TEXT,
+  hits INTEGER NOT NULL DEFAULT 0,
+  stored_at BIGINT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  last_used_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (team_id, source_key, target_language, tone)
+);
+
+CREATE INDEX IF NOT EXISTS idx_translation_memory_language
+ON translation_memory(team_id, target_language, last_used_at);
+
+CREATE INDEX IF NOT EXISTS idx_translation_memory_user
+ON translation_memory(team_id, user_id);
+
+CREATE INDEX IF NOT EXISTS idx_translation_memory_stored_at
+ON translation_memory(stored_at);
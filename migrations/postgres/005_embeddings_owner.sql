@@ -0,0 +1,15 @@
+-- Cached embeddings attributed to a user, as in SQLite migration 012. The cache is rebuilt.
+DROP TABLE IF EXISTS embeddings;
+
+CREATE TABLE embeddings (
+  team_id TEXT NOT NULL DEFAULT '',
+  user_id TEXT NOT NULL,
+  content_hash TEXT NOT NULL,
+  model TEXT NOT NULL,
+  vector BYTEA NOT NULL,
+  created_at BIGINT NOT NULL,
+  PRIMARY KEY (team_id, user_id, content_hash, model)
+);
+
+CREATE INDEX IF NOT EXISTS idx_embeddings_created_at
+ON embeddings(created_at);
@@ -1,55 +1,457 @@
 /**
- * @fileoverview Prompt template loader for dynamic prompt generation
- * 
- * This module loads markdown prompt templates and replaces placeholders
- * with actual values, enabling dynamic prompt generation for different
- * use cases (e.g., translation with different languages and tones).
- * 
+ * @fileoverview Prompt template engine
+ *
+ * This module compiles markdown prompt templates and renders them with
+ * variables, enabling dynamic prompt generation for different use cases
+ * (e.g., translation with different languages and tones).
+ *
  * Template Format:
- * - Templates are stored as .md files in the prompts directory
- * - Variables use {{variableName}} syntax
- * - All occurrences of a variable are replaced globally
- * 
+ * - Templates are stored as .md files in the prompts directory, partials in prompts/partials
+ * - {{name}} inserts a variable ({{user.name}} for nested values); a missing
+ *   (undefined) variable is an error, null renders as an empty string
+ * - {{#if name}}...{{else}}...{{/if}} renders a block when the value is truthy
+ *   (empty lists are falsy); missing values are falsy
+ * - {{#each list}}...{{else}}...{{/each}} repeats a block per item, with
+ *   {{this}}, the item fields, {{@index}}, {{@first}} and {{@last}}
+ * - {{> name}} includes prompts/partials/name.md, with the current variables
+ * - {{! comment}} is removed
+ * - Block tags alone on their line are removed with the line
+ *
+ * Rendering is a single pass over the compiled template: inserted values are
+ * never parsed again, so user text containing "{{tone}}" stays as is.
+ *
+ * Front Matter (optional, between "---" lines at the top of a template):
+ * - description: what the prompt is for
+ * - required: [language, tone] variables that must be given
+ * - temperature, maxTokens: default model parameters for this prompt
+ *
+ * Compiled templates are cached. Set PROMPTS_HOT_RELOAD=true in development
+ * to recompile templates and partials when their file changes.
+ *
  * @requires fs
  * @requires path
  */
 
-import { readFileSync } from 'fs';
+import { readFileSync, statSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+const PARTIALS_DIR = join(__dirname, 'partials');
+
+// Template and partial names: no paths
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Front matter keys, and the ones passed to the model
+const METADATA_KEYS = ['description', 'required', 'temperature', 'maxTokens'];
+const MODEL_PARAMS = ['temperature', 'maxTokens'];
+
+// Guard against partials including each other
+const MAX_PARTIAL_DEPTH = 10;
+
+// Compiled templates and partials, by file path: { mtimeMs, template }
+const cache = new Map();
+
+/**
+ * Error in a template or in the variables given to it
+ */
+class PromptError extends Error {
+    /**
+     * @param {string} source - Template or partial name, e.g. "translate" or "> glossary"
+     * @param {string} message - What went wrong
+     * @param {number} [line] - Line of the template
+     */
+    constructor(source, message, line) {
+        super(`Prompt "${source}"${line ? ` line ${line}` : ''}: ${message}`);
+        this.name = 'PromptError';
+    }
+}
+
+/**
+ * Parse a front matter value: [a, b] lists, numbers, booleans or strings
+ */
+function parseMetadataValue(value) {
+    if (value.startsWith('[') && value.endsWith(']')) {
+        return value.slice(1, -1).split(',').map(item => item.trim()).filter(Boolean);
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    if (value !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    return value.replace(/^(["'])(.*)\1$/, '$2');
+}
+
+/**
+ * Split the front matter from the template body
+ *
+ * @param {string} source - Template file content
+ * @param {string} name - Template name, for errors
+ * @returns {Object} { metadata, body, bodyLine } (bodyLine: line where the body starts)
+ */
+function parseFrontMatter(source, name) {
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+    if (!match) {
+        return { metadata: {}, body: source, bodyLine: 1 };
+    }
+
+    const metadata = {};
+    match[1].split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim() || line.trim().startsWith('#')) {
+            return;
+        }
+
+        const entry = line.match(/^(\w+):\s*(.*?)\s*$/);
+        if (!entry || !METADATA_KEYS.includes(entry[1])) {
+            throw new PromptError(name, `invalid front matter "${line.trim()}" (keys: ${METADATA_KEYS.join(', ')})`, index + 2);
+        }
+        metadata[entry[1]] = parseMetadataValue(entry[2]);
+    });
+
+    if (metadata.required !== undefined && !Array.isArray(metadata.required)) {
+        throw new PromptError(name, 'front matter "required" must be a list, e.g. [language, tone]');
+    }
+
+    return {
+        metadata,
+        body: source.slice(match[0].length),
+        bodyLine: match[0].split('\n').length
+    };
+}
+
+/**
+ * Describe a tag: {{name}}, {{#if name}}, {{#each name}}, {{else}}, {{/if}}, {{> name}} or {{! ...}}
+ */
+function parseTag(content, name, line) {
+    if (content.startsWith('!')) {
+        return { type: 'comment' };
+    }
+    if (content === 'else') {
+        return { type: 'else' };
+    }
+
+    const tag = content.match(/^([#/>]?)\s*([\w@.-]+)(?:\s+([\w@.]+))?$/);
+    if (!tag) {
+        throw new PromptError(name, `invalid tag {{${content}}}`, line);
+    }
+
+    const [, sigil, word, argument] = tag;
+    if (sigil === '#' && (word === 'if' || word === 'each') && argument) {
+        return { type: word, path: argument };
+    }
+    if (sigil === '/' && (word === 'if' || word === 'each') && !argument) {
+        return { type: 'close', block: word };
+    }
+    if (sigil === '>' && NAME_PATTERN.test(word) && !argument) {
+        return { type: 'partial', partial: word };
+    }
+    if (!sigil && !argument) {
+        return { type: 'variable', path: word };
+    }
+    throw new PromptError(name, `invalid tag {{${content}}}`, line);
+}
+
+/**
+ * Split a template into text and tags
+ *
+ * A tag other than a variable standing alone on its line takes the whole
+ * line with it, so blocks do not leave blank lines behind.
+ */
+function tokenize(body, name, firstLine) {
+    const tokens = [];
+    let position = 0;
+
+    for (const match of body.matchAll(/{{\s*(.*?)\s*}}/gs)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        const line = firstLine + body.slice(0, start).split('\n').length - 1;
+        const tag = parseTag(match[1], name, line);
+
+        let textEnd = start;
+        let next = end;
+        if (tag.type !== 'variable') {
+            const lineStart = body.lastIndexOf('\n', start - 1) + 1;
+            const newline = body.indexOf('\n', end);
+            const lineEnd = newline === -1 ? body.length : newline + 1;
+
+            if (lineStart >= position
+                && /^[ \t]*$/.test(body.slice(lineStart, start))
+                && /^[ \t]*\r?\n?$/.test(body.slice(end, lineEnd))) {
+                textEnd = lineStart;
+                next = lineEnd;
+            }
+        }
+
+        if (textEnd > position) {
+            tokens.push({ type: 'text', value: body.slice(position, textEnd) });
+        }
+        tokens.push({ ...tag, line });
+        position = next;
+    }
+
+    if (position < body.length) {
+        tokens.push({ type: 'text', value: body.slice(position) });
+    }
+    return tokens;
+}
+
+/**
+ * Build the tree of a template from its tokens
+ *
+ * @returns {Array} Nodes; blocks have children and inverse (the {{else}} part)
+ */
+function parse(tokens, name) {
+    // Each open block remembers the part being filled: children, or inverse after {{else}}
+    const root = { type: 'root', children: [] };
+    root.target = root.children;
+    const stack = [root];
+
+    for (const token of tokens) {
+        const current = stack[stack.length - 1];
+
+        switch (token.type) {
+            case 'comment':
+                break;
+
+            case 'if':
+            case 'each': {
+                const node = { ...token, children: [], inverse: [] };
+                node.target = node.children;
+                current.target.push(node);
+                stack.push(node);
+                break;
+            }
+
+            case 'else':
+                if (current === root) {
+                    throw new PromptError(name, '{{else}} outside of an {{#if}} or {{#each}} block', token.line);
+                }
+                if (current.target === current.inverse) {
+                    throw new PromptError(name, `second {{else}} in {{#${current.type} ${current.path}}}`, token.line);
+                }
+                current.target = current.inverse;
+                break;
+
+            case 'close':
+                if (current.type !== token.block) {
+                    throw new PromptError(name, `unexpected {{/${token.block}}}`, token.line);
+                }
+                delete current.target;
+                stack.pop();
+                break;
+
+            default:
+                current.target.push(token);
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new PromptError(name, `unclosed {{#${open.type} ${open.path}}}`, open.line);
+    }
+    return root.children;
+}
+
+/**
+ * Compile a template or partial file
+ *
+ * @param {string} path - File path
+ * @param {string} name - Name for errors
+ * @returns {Object} { name, metadata, nodes }
+ */
+function compile(path, name) {
+    const { metadata, body, bodyLine } = parseFrontMatter(readFileSync(path, 'utf8'), name);
+    return { name, metadata, nodes: parse(tokenize(body, name, bodyLine), name) };
+}
+
+/**
+ * Get a compiled template, from the cache unless its file changed (hot reload)
+ */
+function getCompiled(path, name) {
+    const cached = cache.get(path);
+    if (cached && process.env.PROMPTS_HOT_RELOAD !== 'true') {
+        return cached.template;
+    }
+
+    let mtimeMs;
+    try {
+        ({ mtimeMs } = statSync(path));
+    } catch {
+        throw new PromptError(name, `template not found (${path})`);
+    }
+
+    if (cached?.mtimeMs === mtimeMs) {
+        return cached.template;
+    }
+
+    const template = compile(path, name);
+    cache.set(path, { mtimeMs, template });
+    return template;
+}
+
+/**
+ * Resolve a variable path in the scopes, innermost first
+ *
+ * @param {Array<Object>} scopes - [{ data, meta }], outermost first
+ * @param {string} path - e.g. "tone", "user.name", "this", "this.term" or "@index"
+ * @returns {*} Value, or undefined if missing
+ */
+function lookup(scopes, path) {
+    const innermost = scopes[scopes.length - 1];
+    if (path.startsWith('@')) {
+        return innermost.meta?.[path.slice(1)];
+    }
+
+    const [head, ...rest] = path.split('.');
+    let value;
+    if (head === 'this') {
+        value = innermost.data;
+    } else {
+        const scope = scopes.findLast(({ data }) => data !== null && typeof data === 'object' && head in data);
+        value = scope?.data[head];
+    }
+
+    for (const key of rest) {
+        value = value?.[key];
+    }
+    return value;
+}
+
+/**
+ * Check whether an {{#if}} value counts as true; empty lists do not
+ */
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render compiled nodes
+ *
+ * @param {Array} nodes - Compiled nodes
+ * @param {Array<Object>} scopes - Variable scopes, outermost first
+ * @param {string} name - Template or partial name, for errors
+ * @param {number} depth - Partial nesting depth
+ * @returns {string}
+ */
+function renderNodes(nodes, scopes, name, depth) {
+    let output = '';
+
+    for (const node of nodes) {
+        switch (node.type) {
+            case 'text':
+                output += node.value;
+                break;
+
+            case 'variable': {
+                const value = lookup(scopes, node.path);
+                if (value === undefined) {
+                    throw new PromptError(name, `missing variable "${node.path}"`, node.line);
+                }
+                output += value === null ? '' : String(value);
+                break;
+            }
+
+            case 'if':
+                output += renderNodes(isTruthy(lookup(scopes, node.path)) ? node.children : node.inverse, scopes, name, depth);
+                break;
+
+            case 'each': {
+                const list = lookup(scopes, node.path);
+                if (list === undefined) {
+                    throw new PromptError(name, `missing variable "${node.path}"`, node.line);
+                }
+                if (list !== null && !Array.isArray(list)) {
+                    throw new PromptError(name, `"${node.path}" is not a list`, node.line);
+                }
+
+                if (!list?.length) {
+                    output += renderNodes(node.inverse, scopes, name, depth);
+                    break;
+                }
+
+                list.forEach((item, index) => {
+                    const meta = { index, first: index === 0, last: index === list.length - 1 };
+                    output += renderNodes(node.children, [...scopes, { data: item, meta }], name, depth);
+                });
+                break;
+            }
+
+            case 'partial': {
+                if (depth >= MAX_PARTIAL_DEPTH) {
+                    throw new PromptError(name, `partials nested too deeply at {{> ${node.partial}}}`, node.line);
+                }
+                const partial = getCompiled(join(PARTIALS_DIR, `${node.partial}.md`), `> ${node.partial}`);
+                output += renderNodes(partial.nodes, scopes, partial.name, depth + 1);
+                break;
+            }
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Render a prompt template
+ *
+ * @param {string} templateName - Name of the template file (without .md extension)
+ * @param {Object} [variables={}] - Values for the template variables
+ * @returns {Object} { text, params, metadata }: params holds the model parameters
+ *   of the front matter (temperature, maxTokens), to pass as generation options
+ * @throws {PromptError} On template errors, or when a variable is missing
+ *
+ * @example
+ * const prompt = renderPrompt('back-translate', { language: 'es-ES' });
+ * await provider.generate(message, [], { system: prompt.text, ...prompt.params });
+ */
+function renderPrompt(templateName, variables = {}) {
+    if (!NAME_PATTERN.test(templateName)) {
+        throw new PromptError(templateName, 'invalid template name');
+    }
+
+    const template = getCompiled(join(__dirname, `${templateName}.md`), templateName);
+    const missing = (template.metadata.required || []).filter(key => variables[key] === undefined);
+    if (missing.length > 0) {
+        throw new PromptError(templateName, `missing required variables: ${missing.join(', ')}`);
+    }
+
+    const params = Object.fromEntries(MODEL_PARAMS
+        .filter(key => template.metadata[key] !== undefined)
+        .map(key => [key, template.metadata[key]]));
+
+    return {
+        text: renderNodes(template.nodes, [{ data: variables }], templateName, 0),
+        params,
+        metadata: template.metadata
+    };
+}
+
 /**
  * Load and process a prompt template with variable substitution
- * 
- * Reads a markdown template file and replaces all {{variable}} placeholders
- * with the corresponding values from the variables object.
- * 
+ *
  * @param {string} templateName - Name of the template file (without .md extension)
- * @param {Object} variables - Key-value pairs for variable substitution
- * @returns {string} The processed prompt with all variables replaced
- * 
+ * @param {Object} [variables={}] - Values for the template variables
+ * @returns {string} The rendered prompt (see renderPrompt for model parameters)
+ *
  * @example
  * const prompt = loadPrompt('translate', {
- *   message: 'Hello',
  *   language: 'es-ES',
- *   tone: 'formal'
+ *   tone: 'formal',
+ *   source: 'en-US',
+ *   glossary: [],
+ *   references: []
  * });
- * // Returns the template with {{message}}, {{language}}, {{tone}} replaced
  */
-function loadPrompt(templateName, variables) {
-    // Read the markdown file
-    const templatePath = join(__dirname, `${templateName}.md`);
-    let template = readFileSync(templatePath, 'utf8');
-
-    // Replace all variables
-    Object.keys(variables).forEach(key => {
-        const regex = new RegExp(`{{${key}}}`, 'g');
-        template = template.replace(regex, variables[key]);
-    });
+function loadPrompt(templateName, variables = {}) {
+    return renderPrompt(templateName, variables).text;
+}
 
-    return template;
+/**
+ * Forget the compiled templates, e.g. after editing them without hot reload
+ */
+function clearPromptCache() {
+    cache.clear();
 }
 
-export { loadPrompt };
+export { loadPrompt, renderPrompt, clearPromptCache, PromptError };
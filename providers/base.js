@@ -1,5 +1,65 @@
 // providers/base.js
 import contextManager from '../utils/context-manager.js';
+import { estimateTokens, estimateMessageTokens, getModelContextWindow } from '../utils/token-estimator.js';
+
+// Output reserved for providers without a maxTokens setting
+const DEFAULT_OUTPUT_TOKENS = 1024;
+
+// Share of the context window kept free to absorb estimation errors
+const CONTEXT_SAFETY_MARGIN = 0.1;
+
+// HTTP statuses worth retrying: timeouts, rate limits, server errors and overload (Claude 529)
+const TRANSIENT_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504, 529]);
+
+/**
+ * Error raised by providers, carrying what is needed to decide on a retry
+ */
+class ProviderError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status of the failed API call
+   * @param {boolean} [details.retryable] - Whether retrying may succeed (derived from status if omitted)
+   * @param {number} [details.retryAfterMs] - Delay requested by the API (Retry-After header)
+   */
+  constructor(message, { status, retryable, retryAfterMs } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryable = retryable ?? TRANSIENT_STATUSES.has(status);
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /**
+   * Build an error from a failed API response
+   * @param {string} message - Error message
+   * @param {Response} response - fetch response
+   * @returns {ProviderError}
+   */
+  static fromResponse(message, response) {
+    const retryAfter = parseFloat(response.headers.get('retry-after'));
+    return new ProviderError(message, {
+      status: response.status,
+      retryAfterMs: Number.isNaN(retryAfter) ? undefined : retryAfter * 1000
+    });
+  }
+
+  /**
+   * Prefix an error message, keeping its retry information
+   *
+   * Network failures (fetch rejects with a TypeError) are considered transient.
+   * @param {string} prefix - e.g. "Claude provider error"
+   * @param {Error} error - Original error
+   * @returns {ProviderError}
+   */
+  static wrap(prefix, error) {
+    return new ProviderError(`${prefix}: ${error.message}`, {
+      status: error.status,
+      retryable: error instanceof ProviderError ? error.retryable : error instanceof TypeError,
+      retryAfterMs: error.retryAfterMs
+    });
+  }
+}
 
 /**
  * Base class for all LLM providers
@@ -13,20 +73,131 @@ class BaseLLMProvider {
    * Generate a response from the LLM
    * @param {string} prompt - The prompt to send
    * @param {Array} conversationHistory - Previous messages
+   * @param {Object} [options]
+   * @param {string} [options.system] - System prompt (instructions for the model)
+   * @param {string} [options.summary] - Summary of messages older than the history
+   * @param {number} [options.temperature] - Overrides the configured temperature (e.g. from the prompt front matter)
+   * @param {number} [options.maxTokens] - Overrides the configured response length
    * @returns {Promise<string>} - The generated response
    */
-  async generate(prompt, conversationHistory = []) {
+  async generate(prompt, conversationHistory = [], options = {}) {
     throw new Error('generate() must be implemented by provider');
   }
 
   /**
-   * Build context from conversation history
+   * Generate a response along with the provider and model that produced it
+   *
+   * Providers whose API reports token counts override this to return them;
+   * usage is null otherwise.
+   * @param {string} prompt - The prompt to send
+   * @param {Array} conversationHistory - Previous messages
+   * @param {Object} [options] - See generate()
+   * @returns {Promise<Object>} - { text, provider, model, usage: { inputTokens, outputTokens } | null }
+   */
+  async generateDetailed(prompt, conversationHistory = [], options = {}) {
+    const text = await this.generate(prompt, conversationHistory, options);
+    return { text, ...this.getMetadata(), usage: null };
+  }
+
+  /**
+   * Generate a response as a stream of text chunks
+   *
+   * Providers without native streaming yield the whole response at once.
+   * @param {string} prompt - The prompt to send
+   * @param {Array} conversationHistory - Previous messages
+   * @param {Object} [options] - See generate()
+   * @returns {AsyncGenerator<string>} - Text chunks, in order; returns { provider, model, usage } when done
+   */
+  async *generateStream(prompt, conversationHistory = [], options = {}) {
+    const { text, ...metadata } = await this.generateDetailed(prompt, conversationHistory, options);
+    yield text;
+    return metadata;
+  }
+
+  /**
+   * Build chat messages from conversation history and the current prompt
+   *
+   * Chat APIs expect alternating turns starting with the user, so leading
+   * assistant messages are dropped and, of consecutive messages from the same
+   * role (e.g. a request that never got an answer), only the latest is kept.
+   * The conversation summary is the exception: it is merged with the next
+   * history turn, never with the prompt.
    * @param {Array} conversationHistory - Previous messages
    * @param {string} currentPrompt - Current user message
-   * @returns {string} - Formatted context
+   * @param {Object} [options] - Generation options
+   * @param {string} [options.system] - System prompt, counted against the context budget
+   * @param {string} [options.summary] - Summary of older messages, prepended to the context
+   * @returns {Array} - [{ role: 'user'|'assistant', content }], ending with the prompt
    */
-  buildContext(conversationHistory, currentPrompt) {
-    return contextManager.buildOptimizedContext(conversationHistory, currentPrompt);
+  buildMessages(conversationHistory, currentPrompt, { system = '', summary } = {}) {
+    const context = contextManager.buildOptimizedContext(conversationHistory, currentPrompt, {
+      maxTokens: this.getContextBudget(system, currentPrompt),
+      estimateTokens: text => this.estimateTokens(text),
+      summary
+    });
+    const messages = [];
+    let mergeNext = false;
+
+    for (const message of context) {
+      const { role, content } = message;
+      const last = messages[messages.length - 1];
+      if (last?.role === role) {
+        last.content = mergeNext ? `${last.content}\n\n${content}` : content;
+      } else if (messages.length > 0 || role === 'user') {
+        messages.push({ role, content });
+      }
+      mergeNext = Boolean(message.summary);
+    }
+
+    // The prompt always stands alone as the final user turn
+    const last = messages[messages.length - 1];
+    if (last?.role === 'user') {
+      last.content = currentPrompt;
+    } else {
+      messages.push({ role: 'user', content: currentPrompt });
+    }
+
+    return messages;
+  }
+
+  /**
+   * Estimate the number of tokens of a text
+   *
+   * Providers with access to their real tokenizer can override this.
+   * @param {string} text - Text to measure
+   * @returns {number} - Estimated token count
+   */
+  estimateTokens(text) {
+    return estimateTokens(text);
+  }
+
+  /**
+   * Get the context window of the configured model, in tokens
+   * @returns {number}
+   */
+  getContextWindow() {
+    return this.config.contextWindow
+      || this.contextWindow
+      || getModelContextWindow(this.config.model || this.model);
+  }
+
+  /**
+   * Compute how many tokens of conversation history fit in a request
+   *
+   * The context window must also hold the system prompt, the current message
+   * and the response (maxTokens), plus a safety margin for estimation errors.
+   * @param {string} [system=''] - System prompt
+   * @param {string} [prompt=''] - Current user message
+   * @returns {number} - Token budget for the history
+   */
+  getContextBudget(system = '', prompt = '') {
+    const window = this.getContextWindow();
+    const reserved = this.estimateTokens(system)
+      + estimateMessageTokens({ role: 'user', content: prompt }, text => this.estimateTokens(text))
+      + (this.maxTokens || DEFAULT_OUTPUT_TOKENS)
+      + Math.ceil(window * CONTEXT_SAFETY_MARGIN);
+
+    return Math.max(0, window - reserved);
   }
 
   /**
@@ -37,6 +208,17 @@ class BaseLLMProvider {
     return this.constructor.name;
   }
 
+  /**
+   * Describe the provider and model answering requests
+   * @returns {Object} - { provider, model }
+   */
+  getMetadata() {
+    return {
+      provider: this.getName(),
+      model: this.config.model || this.model
+    };
+  }
+
   /**
    * Validate configuration
    * @returns {boolean}
@@ -46,4 +228,5 @@ class BaseLLMProvider {
   }
 }
 
+export { ProviderError, TRANSIENT_STATUSES };
 export default BaseLLMProvider;
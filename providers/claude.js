@@ -1,6 +1,7 @@
 // providers/claude.js
 
-import BaseLLMProvider from './base.js';
+import BaseLLMProvider, { ProviderError } from './base.js';
+import { readServerSentEvents } from './streaming.js';
 
 class ClaudeProvider extends BaseLLMProvider {
   constructor(config) {
@@ -18,45 +19,109 @@ class ClaudeProvider extends BaseLLMProvider {
     return true;
   }
 
-  async generate(prompt, conversationHistory = []) {
+  /**
+   * Send a messages request to the Claude API
+   * @param {string} prompt - The prompt to send
+   * @param {Array} conversationHistory - Previous messages
+   * @param {Object} options - { system, summary, temperature, maxTokens }
+   * @param {boolean} stream - Whether to request a streamed (SSE) response
+   * @returns {Promise<Response>}
+   */
+  async request(prompt, conversationHistory, options, stream) {
+    const messages = this.buildMessages(conversationHistory, prompt, options);
+
+    console.log(`[Claude] Using model: ${this.model}`);
+    console.log(`[Claude] Prompt size: ${messages.length} messages, ${(options.system || '').length} system characters`);
+
+    const response = await fetch('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: options.maxTokens ?? this.maxTokens,
+        temperature: options.temperature ?? this.temperature,
+        stream,
+        ...(options.system && { system: options.system }),
+        messages
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw ProviderError.fromResponse(`Claude API error: ${error.error?.message || response.status}`, response);
+    }
+
+    return response;
+  }
+
+  async generate(prompt, conversationHistory = [], options = {}) {
+    const result = await this.generateDetailed(prompt, conversationHistory, options);
+    return result.text;
+  }
+
+  async generateDetailed(prompt, conversationHistory = [], options = {}) {
     try {
-      const context = this.buildContext(conversationHistory, prompt);
-      const fullPrompt = `${context}Current message: ${prompt}\n\nProvide a helpful, concise response:`;
-
-      console.log(`[Claude] Using model: ${this.model}`);
-      console.log(`[Claude] Prompt size: ${fullPrompt.length} characters`);
-
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.apiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: this.model,
-          max_tokens: this.maxTokens,
-          temperature: this.temperature,
-          messages: [
-            {
-              role: 'user',
-              content: fullPrompt
-            }
-          ]
-        })
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Claude API error: ${error.error?.message || response.status}`);
+      const response = await this.request(prompt, conversationHistory, options, false);
+      const data = await response.json();
+      return {
+        text: data.content[0].text,
+        ...this.getMetadata(),
+        usage: {
+          inputTokens: data.usage?.input_tokens ?? null,
+          outputTokens: data.usage?.output_tokens ?? null
+        }
+      };
+
+    } catch (error) {
+      console.error('[Claude] Error:', error);
+      throw ProviderError.wrap('Claude provider error', error);
+    }
+  }
+
+  async *generateStream(prompt, conversationHistory = [], options = {}) {
+    try {
+      const response = await this.request(prompt, conversationHistory, options, true);
+      const usage = { inputTokens: null, outputTokens: null };
+
+      for await (const { event, data } of readServerSentEvents(response.body)) {
+        if (event === 'message_stop') {
+          break;
+        }
+
+        if (event === 'error') {
+          const { error } = JSON.parse(data);
+          // Overload errors can arrive mid-stream instead of as an HTTP 529
+          throw new ProviderError(`Claude API error: ${error?.message}`, {
+            retryable: error?.type === 'overloaded_error'
+          });
+        }
+
+        // Input tokens come with the first event, the output count with the last delta
+        if (event === 'message_start') {
+          usage.inputTokens = JSON.parse(data).message?.usage?.input_tokens ?? null;
+        }
+
+        if (event === 'message_delta') {
+          usage.outputTokens = JSON.parse(data).usage?.output_tokens ?? usage.outputTokens;
+        }
+
+        if (event === 'content_block_delta') {
+          const { delta } = JSON.parse(data);
+          if (delta?.type === 'text_delta' && delta.text) {
+            yield delta.text;
+          }
+        }
       }
 
-      const data = await response.json();
-      return data.content[0].text;
+      return { ...this.getMetadata(), usage };
 
     } catch (error) {
       console.error('[Claude] Error:', error);
-      throw new Error(`Claude provider error: ${error.message}`);
+      throw ProviderError.wrap('Claude provider error', error);
     }
   }
 }
@@ -0,0 +1,143 @@
+// providers/embeddings.js
+
+import { ProviderError } from './base.js';
+
+/**
+ * Embeddings from a local Ollama server (/api/embeddings)
+ */
+class OllamaEmbeddingProvider {
+  constructor(config) {
+    this.host = config.host || 'http://localhost:11434';
+    this.model = config.model || 'nomic-embed-text';
+  }
+
+  /**
+   * Embed a text
+   * @param {string} text - Text to embed
+   * @returns {Promise<Array<number>>} - Embedding vector
+   */
+  async embed(text) {
+    const response = await fetch(`${this.host}/api/embeddings`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: this.model,
+        prompt: text
+      })
+    });
+
+    if (!response.ok) {
+      throw ProviderError.fromResponse(`Ollama embeddings error: ${response.status}`, response);
+    }
+
+    const data = await response.json();
+    return data.embedding;
+  }
+
+  /**
+   * Embed several texts in one request (/api/embed)
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} - Embedding vectors, in the order of the texts
+   */
+  async embedBatch(texts) {
+    const response = await fetch(`${this.host}/api/embed`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: this.model,
+        input: texts
+      })
+    });
+
+    if (!response.ok) {
+      throw ProviderError.fromResponse(`Ollama embeddings error: ${response.status}`, response);
+    }
+
+    const data = await response.json();
+    return data.embeddings;
+  }
+}
+
+/**
+ * Embeddings from the OpenAI API (/v1/embeddings)
+ */
+class OpenAIEmbeddingProvider {
+  constructor(config) {
+    this.apiKey = config.apiKey;
+    this.model = config.model || 'text-embedding-3-small';
+  }
+
+  /**
+   * Embed a text
+   * @param {string} text - Text to embed
+   * @returns {Promise<Array<number>>} - Embedding vector
+   */
+  async embed(text) {
+    const [vector] = await this.embedBatch([text]);
+    return vector;
+  }
+
+  /**
+   * Embed several texts in one request
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} - Embedding vectors, in the order of the texts
+   */
+  async embedBatch(texts) {
+    if (!this.apiKey) {
+      throw new Error('OpenAI embeddings: API key is required');
+    }
+
+    const response = await fetch('https://api.openai.com/v1/embeddings', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify({
+        model: this.model,
+        input: texts
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw ProviderError.fromResponse(`OpenAI embeddings error: ${error.error?.message || response.status}`, response);
+    }
+
+    const data = await response.json();
+    return [...data.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+const EMBEDDING_PROVIDERS = {
+  ollama: OllamaEmbeddingProvider,
+  openai: OpenAIEmbeddingProvider
+};
+
+/**
+ * Create an embedding provider
+ * @param {string} providerName - Name of the provider (ollama, openai)
+ * @param {Object} config - Provider-specific configuration
+ * @returns {Object} - Provider instance with a model, embed(text) and embedBatch(texts)
+ */
+function createEmbeddingProvider(providerName, config) {
+  const ProviderClass = EMBEDDING_PROVIDERS[providerName.toLowerCase()];
+
+  if (!ProviderClass) {
+    throw new Error(`Unknown embeddings provider: ${providerName}. Available: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')}`);
+  }
+
+  console.log(`✅ Initialized embeddings provider: ${providerName}`);
+  return new ProviderClass(config);
+}
+
+export {
+  createEmbeddingProvider,
+  EMBEDDING_PROVIDERS
+};
@@ -0,0 +1,140 @@
+// providers/fallback.js
+
+import BaseLLMProvider from './base.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Composite provider trying an ordered chain of providers
+ *
+ * Transient errors (rate limits, overload, server and network errors) are
+ * retried with exponential backoff and jitter; when a provider keeps failing,
+ * the next one in the chain is tried.
+ */
+class FallbackProvider extends BaseLLMProvider {
+  /**
+   * @param {Array<BaseLLMProvider>} providers - Providers in order of preference
+   * @param {Object} [config]
+   * @param {number} [config.maxRetries=2] - Retries per provider for transient errors
+   * @param {number} [config.baseDelayMs=500] - Delay before the first retry
+   * @param {number} [config.maxDelayMs=8000] - Upper bound for a single delay
+   */
+  constructor(providers, config = {}) {
+    super({
+      maxRetries: 2,
+      baseDelayMs: 500,
+      maxDelayMs: 8000,
+      ...config
+    });
+    this.providers = providers;
+    this.model = providers[0]?.config.model || providers[0]?.model;
+    this.lastUsed = null;
+  }
+
+  validateConfig() {
+    if (this.providers.length === 0) {
+      throw new Error('Fallback: at least one provider is required');
+    }
+    return true;
+  }
+
+  getName() {
+    return this.providers.map(provider => provider.getName()).join(' → ');
+  }
+
+  /**
+   * Budget of the preferred provider; each provider applies its own when called
+   */
+  getContextBudget(system = '', prompt = '') {
+    return this.providers[0].getContextBudget(system, prompt);
+  }
+
+  /**
+   * Compute the delay before a retry
+   *
+   * Exponential backoff with "equal jitter": half of the delay is fixed, the
+   * other half random, so concurrent requests do not retry in lockstep.
+   * @param {number} attempt - Retry number, starting at 0
+   * @param {Error} error - Error that triggered the retry
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempt, error) {
+    const { baseDelayMs, maxDelayMs } = this.config;
+    const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    const delay = exponential / 2 + Math.random() * exponential / 2;
+    return Math.min(maxDelayMs, Math.max(delay, error.retryAfterMs || 0));
+  }
+
+  /**
+   * Run an operation against each provider in turn until one succeeds
+   * @param {Function} operation - Called with a provider, returns a promise
+   * @returns {Promise<*>} - Result of the first successful call
+   */
+  async runWithFallback(operation) {
+    let lastError;
+
+    for (const provider of this.providers) {
+      for (let attempt = 0; attempt <= this.config.maxRetries; attempt++) {
+        try {
+          return await operation(provider);
+        } catch (error) {
+          lastError = error;
+
+          if (!error.retryable || attempt === this.config.maxRetries) {
+            break;
+          }
+
+          const delay = this.getRetryDelay(attempt, error);
+          console.warn(`[Fallback] ${provider.getName()} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+          await sleep(delay);
+        }
+      }
+
+      console.warn(`[Fallback] ${provider.getName()} unavailable: ${lastError.message}`);
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Remember which provider answered, for getHomeData()
+   */
+  rememberProvider({ provider, model }) {
+    this.lastUsed = { provider, model, at: new Date().toISOString() };
+  }
+
+  async generate(prompt, conversationHistory = [], options = {}) {
+    const result = await this.generateDetailed(prompt, conversationHistory, options);
+    return result.text;
+  }
+
+  async generateDetailed(prompt, conversationHistory = [], options = {}) {
+    const result = await this.runWithFallback(provider => provider.generateDetailed(prompt, conversationHistory, options));
+    this.rememberProvider(result);
+    return result;
+  }
+
+  /**
+   * Stream from the first provider that starts answering
+   *
+   * Once a provider has produced text it is committed to: later failures
+   * are not retried, since the partial output has already been shown.
+   */
+  async *generateStream(prompt, conversationHistory = [], options = {}) {
+    const { iterator, first } = await this.runWithFallback(async provider => {
+      const iterator = provider.generateStream(prompt, conversationHistory, options);
+      return { iterator, first: await iterator.next() };
+    });
+
+    let step = first;
+    while (!step.done) {
+      yield step.value;
+      step = await iterator.next();
+    }
+
+    this.rememberProvider(step.value);
+    return step.value;
+  }
+}
+
+export default FallbackProvider;
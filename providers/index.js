@@ -3,6 +3,7 @@
 import OllamaProvider from './ollama.js';
 import ClaudeProvider from './claude.js';
 import OpenAIProvider from './openai.js';
+import FallbackProvider from './fallback.js';
 
 const PROVIDERS = {
   ollama: OllamaProvider,
@@ -30,6 +31,21 @@ function createProvider(providerName, config) {
   return provider;
 }
 
+/**
+ * Create a composite provider that retries and falls back along a chain
+ * @param {Array<Object>} chain - Providers in order of preference, as { name, config }
+ * @param {Object} [retryConfig] - Retry options (maxRetries, baseDelayMs, maxDelayMs)
+ * @returns {FallbackProvider} - Composite provider instance
+ */
+function createProviderChain(chain, retryConfig = {}) {
+  const providers = chain.map(({ name, config }) => createProvider(name, config));
+
+  const provider = new FallbackProvider(providers, retryConfig);
+  provider.validateConfig();
+
+  return provider;
+}
+
 /**
  * Get list of available providers
  * @returns {Array<string>}
@@ -40,6 +56,7 @@ function getAvailableProviders() {
 
 export {
   createProvider,
+  createProviderChain,
   getAvailableProviders,
   PROVIDERS
 };
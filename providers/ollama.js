@@ -1,6 +1,19 @@
 // providers/ollama.js
 
-import BaseLLMProvider from './base.js';
+import BaseLLMProvider, { ProviderError } from './base.js';
+import { readNDJSON } from './streaming.js';
+
+/**
+ * Extract the token counts reported with the final response
+ * @param {Object} data - Response body, or the last chunk of a stream
+ * @returns {Object} - { inputTokens, outputTokens }
+ */
+function readUsage(data) {
+  return {
+    inputTokens: data.prompt_eval_count ?? null,
+    outputTokens: data.eval_count ?? null
+  };
+}
 
 class OllamaProvider extends BaseLLMProvider {
   constructor(config) {
@@ -9,6 +22,7 @@ class OllamaProvider extends BaseLLMProvider {
     this.model = config.model || 'llama3.2';
     this.temperature = config.temperature || 0.7;
     this.contextWindow = config.contextWindow || 4096;
+    this.maxTokens = config.maxTokens;
   }
 
   validateConfig() {
@@ -18,40 +32,90 @@ class OllamaProvider extends BaseLLMProvider {
     return true;
   }
 
-  async generate(prompt, conversationHistory = []) {
+  /**
+   * Send a chat request to the Ollama API
+   * @param {string} prompt - The prompt to send
+   * @param {Array} conversationHistory - Previous messages
+   * @param {Object} options - { system, summary, temperature, maxTokens }
+   * @param {boolean} stream - Whether to request a streamed (NDJSON) response
+   * @returns {Promise<Response>}
+   */
+  async request(prompt, conversationHistory, options, stream) {
+    const messages = this.buildMessages(conversationHistory, prompt, options);
+
+    console.log(`[Ollama] Using model: ${this.model}`);
+    console.log(`[Ollama] Prompt size: ${messages.length} messages, ${(options.system || '').length} system characters`);
+
+    const response = await fetch(`${this.host}/api/chat`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages: options.system
+          ? [{ role: 'system', content: options.system }, ...messages]
+          : messages,
+        stream,
+        options: {
+          num_ctx: this.contextWindow,
+          num_predict: options.maxTokens ?? this.maxTokens,
+          temperature: options.temperature ?? this.temperature
+        }
+      })
+    });
+
+    if (!response.ok) {
+      throw ProviderError.fromResponse(`Ollama API error: ${response.status}`, response);
+    }
+
+    return response;
+  }
+
+  async generate(prompt, conversationHistory = [], options = {}) {
+    const result = await this.generateDetailed(prompt, conversationHistory, options);
+    return result.text;
+  }
+
+  async generateDetailed(prompt, conversationHistory = [], options = {}) {
     try {
-      const context = this.buildContext(conversationHistory, prompt);
-      const fullPrompt = `${context}Current message: ${prompt}\n\nProvide a helpful, concise response:`;
-
-      console.log(`[Ollama] Using model: ${this.model}`);
-      console.log(`[Ollama] Prompt size: ${fullPrompt.length} characters`);
-
-      const response = await fetch(`${this.host}/api/generate`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          model: this.model,
-          prompt: fullPrompt,
-          stream: false,
-          options: {
-            num_ctx: this.contextWindow,
-            temperature: this.temperature
-          }
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`Ollama API error: ${response.status}`);
+      const response = await this.request(prompt, conversationHistory, options, false);
+      const data = await response.json();
+      return {
+        text: data.message.content,
+        ...this.getMetadata(),
+        usage: readUsage(data)
+      };
+
+    } catch (error) {
+      console.error('[Ollama] Error:', error);
+      throw ProviderError.wrap('Ollama provider error', error);
+    }
+  }
+
+  async *generateStream(prompt, conversationHistory = [], options = {}) {
+    try {
+      const response = await this.request(prompt, conversationHistory, options, true);
+      let usage = { inputTokens: null, outputTokens: null };
+
+      for await (const data of readNDJSON(response.body)) {
+        if (data.error) {
+          throw new ProviderError(`Ollama API error: ${data.error}`);
+        }
+        if (data.message?.content) {
+          yield data.message.content;
+        }
+        if (data.done) {
+          usage = readUsage(data);
+          break;
+        }
       }
 
-      const data = await response.json();
-      return data.response;
+      return { ...this.getMetadata(), usage };
 
     } catch (error) {
       console.error('[Ollama] Error:', error);
-      throw new Error(`Ollama provider error: ${error.message}`);
+      throw ProviderError.wrap('Ollama provider error', error);
     }
   }
 }
@@ -1,6 +1,19 @@
 // providers/openai.js
 
-import BaseLLMProvider from './base.js';
+import BaseLLMProvider, { ProviderError } from './base.js';
+import { readServerSentEvents } from './streaming.js';
+
+/**
+ * Extract the token usage reported with a completion
+ * @param {Object} data - Response body, or the last chunk of a stream
+ * @returns {Object} - { inputTokens, outputTokens }
+ */
+function readUsage(data) {
+  return {
+    inputTokens: data.usage?.prompt_tokens ?? null,
+    outputTokens: data.usage?.completion_tokens ?? null
+  };
+}
 
 class OpenAIProvider extends BaseLLMProvider {
   constructor(config) {
@@ -18,44 +31,94 @@ class OpenAIProvider extends BaseLLMProvider {
     return true;
   }
 
-  async generate(prompt, conversationHistory = []) {
+  /**
+   * Send a chat completion request to the OpenAI API
+   * @param {string} prompt - The prompt to send
+   * @param {Array} conversationHistory - Previous messages
+   * @param {Object} options - { system, summary, temperature, maxTokens }
+   * @param {boolean} stream - Whether to request a streamed (SSE) response
+   * @returns {Promise<Response>}
+   */
+  async request(prompt, conversationHistory, options, stream) {
+    const messages = this.buildMessages(conversationHistory, prompt, options);
+
+    console.log(`[OpenAI] Using model: ${this.model}`);
+    console.log(`[OpenAI] Prompt size: ${messages.length} messages, ${(options.system || '').length} system characters`);
+
+    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages: options.system
+          ? [{ role: 'system', content: options.system }, ...messages]
+          : messages,
+        max_tokens: options.maxTokens ?? this.maxTokens,
+        temperature: options.temperature ?? this.temperature,
+        stream,
+        // Streamed responses only report usage when asked, in a final chunk
+        ...(stream && { stream_options: { include_usage: true } })
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw ProviderError.fromResponse(`OpenAI API error: ${error.error?.message || response.status}`, response);
+    }
+
+    return response;
+  }
+
+  async generate(prompt, conversationHistory = [], options = {}) {
+    const result = await this.generateDetailed(prompt, conversationHistory, options);
+    return result.text;
+  }
+
+  async generateDetailed(prompt, conversationHistory = [], options = {}) {
     try {
-      const context = this.buildContext(conversationHistory, prompt);
-      const fullPrompt = `${context}Current message: ${prompt}\n\nProvide a helpful, concise response:`;
-
-      console.log(`[OpenAI] Using model: ${this.model}`);
-      console.log(`[OpenAI] Prompt size: ${fullPrompt.length} characters`);
-
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify({
-          model: this.model,
-          messages: [
-            {
-              role: 'user',
-              content: fullPrompt
-            }
-          ],
-          max_tokens: this.maxTokens,
-          temperature: this.temperature
-        })
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`OpenAI API error: ${error.error?.message || response.status}`);
+      const response = await this.request(prompt, conversationHistory, options, false);
+      const data = await response.json();
+      return {
+        text: data.choices[0].message.content,
+        ...this.getMetadata(),
+        usage: readUsage(data)
+      };
+
+    } catch (error) {
+      console.error('[OpenAI] Error:', error);
+      throw ProviderError.wrap('OpenAI provider error', error);
+    }
+  }
+
+  async *generateStream(prompt, conversationHistory = [], options = {}) {
+    try {
+      const response = await this.request(prompt, conversationHistory, options, true);
+      let usage = { inputTokens: null, outputTokens: null };
+
+      for await (const { data } of readServerSentEvents(response.body)) {
+        if (data === '[DONE]') {
+          break;
+        }
+
+        const chunk = JSON.parse(data);
+        if (chunk.usage) {
+          usage = readUsage(chunk);
+        }
+
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) {
+          yield text;
+        }
       }
 
-      const data = await response.json();
-      return data.choices[0].message.content;
+      return { ...this.getMetadata(), usage };
 
     } catch (error) {
       console.error('[OpenAI] Error:', error);
-      throw new Error(`OpenAI provider error: ${error.message}`);
+      throw ProviderError.wrap('OpenAI provider error', error);
     }
   }
 }
@@ -0,0 +1,67 @@
+// providers/streaming.js
+
+/**
+ * Read a fetch response body line by line
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<string>} - Non-empty lines, without line terminators
+ */
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+      if (line) {
+        yield line;
+      }
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    yield buffer.trim();
+  }
+}
+
+/**
+ * Read newline-delimited JSON (Ollama streaming format)
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<Object>} - Parsed objects
+ */
+async function* readNDJSON(body) {
+  for await (const line of readLines(body)) {
+    yield JSON.parse(line);
+  }
+}
+
+/**
+ * Read server-sent events (OpenAI and Claude streaming format)
+ *
+ * Both APIs send every event payload on a single "data:" line, so each
+ * data line is emitted as soon as it is received.
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<Object>} - Events as { event, data } (data is the raw string)
+ */
+async function* readServerSentEvents(body) {
+  let event = 'message';
+
+  for await (const line of readLines(body)) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      yield { event, data: line.slice(5).trim() };
+      event = 'message';
+    }
+  }
+}
+
+export {
+  readLines,
+  readNDJSON,
+  readServerSentEvents
+};
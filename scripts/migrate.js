@@ -0,0 +1,36 @@
+// scripts/migrate.js
+//
+// Apply pending database migrations, or show their status:
+//   npm run db:migrate
+//   npm run db:migrate -- --status
+//
+// The database is selected like the app does: DATABASE_URL for Postgres,
+// otherwise SQLite (SQLITE_PATH).
+
+import dotenv from 'dotenv';
+import { createStorageFromEnv } from '../storage/index.js';
+import { formatMigration } from '../utils/migrations.js';
+
+dotenv.config();
+
+const storage = createStorageFromEnv();
+
+try {
+  if (process.argv.includes('--status')) {
+    const { applied, pending, unknown } = await storage.getMigrationStatus();
+
+    applied.forEach(row => console.log(`✅ ${formatMigration(row)} (applied ${row.appliedAt})`));
+    pending.forEach(migration => console.log(`⏳ ${formatMigration(migration)} (pending)`));
+    unknown.forEach(row => console.log(`❓ ${formatMigration(row)} (unknown to this version)`));
+  } else {
+    const applied = await storage.migrate();
+    console.log(applied.length > 0
+      ? `✅ Applied ${applied.length} migration${applied.length === 1 ? '' : 's'}`
+      : '✅ Database is up to date');
+  }
+} catch (error) {
+  console.error('❌ Migration failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await storage.close();
+}
@@ -2,17 +2,43 @@
 import dotenv from 'dotenv';
 import express from 'express';
 import db from './utils/database.js';
+import { describeStorage } from './storage/index.js';
 import { BaseHandler } from './utils/base-handler.js';
+import { captureRawBody, slackSignatureMiddleware } from './utils/slack-signature.js';
+import { adminAuthMiddleware } from './utils/admin-auth.js';
+import { schedulePeriodic } from './utils/scheduler.js';
+import { buildUsageReport } from './utils/usage.js';
+import { getCommand } from './utils/commands.js';
+import {
+  STATE_COOKIE,
+  STATE_MAX_AGE_MS,
+  createState,
+  verifyState,
+  readCookie,
+  buildInstallUrl,
+  exchangeCode,
+  parseScopes
+} from './utils/slack-oauth.js';
 
 dotenv.config();
 
-// Initialize database for Node.js
-db.initDatabase();
+// Initialize database for Node.js, applying pending migrations
+await db.initDatabase();
 
 const app = express();
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw body around for Slack signature verification
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+
+// Reject requests that were not signed by Slack
+if (!process.env.SLACK_SIGNING_SECRET) {
+  console.warn('⚠️  SLACK_SIGNING_SECRET is not set: all Slack requests will be rejected');
+}
+
+const verifySlackRequest = slackSignatureMiddleware(process.env.SLACK_SIGNING_SECRET, {
+  toleranceSeconds: parseInt(process.env.SLACK_SIGNATURE_TOLERANCE_SECONDS) || 300
+});
 
 // Initialize handler
 let handler;
@@ -31,10 +57,10 @@ app.get('/', (req, res) => {
 
 // Test endpoint
 app.post('/ask', async (req, res) => {
-  const { question, userId = 'test', channelId = 'test' } = req.body;
+  const { question, userId = 'test', channelId = 'test', teamId = '' } = req.body;
 
   try {
-    const result = await handler.handleAskLogic(question, userId, channelId, db);
+    const result = await handler.handleAskLogic(question, userId, channelId, db, teamId);
     res.json(result);
   } catch (error) {
     console.error('Error:', error);
@@ -42,52 +68,208 @@ app.post('/ask', async (req, res) => {
   }
 });
 
+// OAuth install flow (multi-workspace distribution)
+const oauthConfig = {
+  clientId: process.env.SLACK_CLIENT_ID,
+  clientSecret: process.env.SLACK_CLIENT_SECRET,
+  stateSecret: process.env.SLACK_STATE_SECRET || process.env.SLACK_CLIENT_SECRET,
+  redirectUri: process.env.SLACK_REDIRECT_URI,
+  scopes: parseScopes(process.env.SLACK_SCOPES)
+};
+
+app.get('/slack/install', (req, res) => {
+  if (!oauthConfig.clientId || !oauthConfig.clientSecret) {
+    return res.status(404).send('OAuth install is not configured');
+  }
+
+  // The redirect must come back to the browser that started the install, with this cookie
+  const state = createState(oauthConfig.stateSecret);
+  res.cookie(STATE_COOKIE, state, {
+    httpOnly: true,
+    secure: req.secure || Boolean(oauthConfig.redirectUri?.startsWith('https:')),
+    sameSite: 'lax',
+    maxAge: STATE_MAX_AGE_MS,
+    path: '/slack'
+  });
+
+  res.redirect(buildInstallUrl({
+    clientId: oauthConfig.clientId,
+    state,
+    scopes: oauthConfig.scopes,
+    redirectUri: oauthConfig.redirectUri
+  }));
+});
+
+app.get('/slack/oauth_redirect', async (req, res) => {
+  const { code, state, error } = req.query;
+
+  // The state is single use
+  const cookieState = readCookie(req.headers.cookie, STATE_COOKIE);
+  res.clearCookie(STATE_COOKIE, { path: '/slack' });
+
+  if (error) {
+    return res.status(400).send(`Installation cancelled: ${error}`);
+  }
+
+  if (!verifyState(oauthConfig.stateSecret, state, cookieState)) {
+    return res.status(400).send('Invalid or expired state, please restart the installation');
+  }
+
+  try {
+    const installation = await exchangeCode({
+      clientId: oauthConfig.clientId,
+      clientSecret: oauthConfig.clientSecret,
+      code,
+      redirectUri: oauthConfig.redirectUri
+    });
+
+    if (!await db.saveInstallation(installation)) {
+      throw new Error('Could not store installation');
+    }
+
+    console.log(`🔑 Installed in workspace ${installation.teamName} (${installation.teamId})`);
+    res.send(`✅ Slack LLM Translate installed in ${installation.teamName}. You can close this page.`);
+  } catch (error) {
+    console.error('OAuth error:', error);
+    res.status(500).send('Installation failed, please try again');
+  }
+});
+
 // Slack command endpoint
-app.post('/slack/commands', async (req, res) => {
-  const { text, user_id, channel_id, user_name, command, response_url } = req.body;
+app.post('/slack/commands', verifySlackRequest, async (req, res) => {
+  const { text, user_id, channel_id, user_name, command, response_url, team_id } = req.body;
+
+  if (!getCommand(command)) {
+    return res.json({ response_type: 'ephemeral', text: `⚠️ Unknown command ${command}` });
+  }
 
   // Acknowledge immediately (Slack requires response within 3 seconds)
   res.json(handler.getImmediateSlackResponse());
 
-  if(command === '/translate' ) {
+  // Process asynchronously
+  await handler.processSlashCommand(command, text, user_id, channel_id, user_name, response_url, db, team_id);
+});
+
+// Slack interactivity endpoint (shortcuts and buttons)
+app.post('/slack/interactions', verifySlackRequest, async (req, res) => {
+  let payload;
+
+  try {
+    payload = JSON.parse(req.body.payload);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid payload' });
+  }
+
+  // Acknowledge immediately (Slack requires response within 3 seconds)
+  res.status(200).send();
+
+  // Process asynchronously
+  if (payload.type === 'message_action' && payload.callback_id === 'translate_message') {
+    await handler.processMessageShortcut(payload, db);
+  } else if (payload.type === 'message_action' && payload.callback_id === 'translate_thread') {
+    await handler.processThreadShortcut(payload, db);
+  } else if (payload.type === 'block_actions') {
+    await handler.processBlockAction(payload);
+  }
+});
+
+// Slack Events API endpoint (channel auto-translate)
+app.post('/slack/events', verifySlackRequest, async (req, res) => {
+  const { type, challenge, event, team_id } = req.body;
+
+  if (type === 'url_verification') {
+    return res.json({ challenge });
+  }
+
+  // Acknowledge immediately (Slack requires response within 3 seconds)
+  res.status(200).send();
+
+  // Slack retries deliveries it considers failed: the first one is already being processed
+  if (req.get('X-Slack-Retry-Num')) {
+    return;
+  }
+
+  if (type === 'event_callback' && event?.type === 'message') {
     // Process asynchronously
-    await handler.processTranslateCommand(text, user_id, channel_id, user_name, response_url, db);
+    await handler.processMessageEvent(event, team_id, db);
   }
 });
 
+// Admin endpoints (Authorization: Bearer ADMIN_TOKEN)
+const requireAdmin = adminAuthMiddleware(process.env.ADMIN_TOKEN);
+
+// Delete everything stored about a user (history, summaries, translation memory, embeddings, preferences, usage)
+app.delete('/admin/users/:userId', requireAdmin, async (req, res) => {
+  const teamId = req.query.team_id || '';
+  const deleted = await db.purgeUserData(teamId, req.params.userId);
+
+  if (!deleted) {
+    return res.status(500).json({ error: 'Could not purge user data' });
+  }
+
+  console.log(`🗑️  Purged data of user ${req.params.userId} in team ${teamId}`);
+  res.json({ userId: req.params.userId, teamId, deleted });
+});
+
+// Token usage report, per workspace, model, command, user and channel
+app.get('/admin/usage', requireAdmin, async (req, res) => {
+  const days = parseInt(req.query.days) || 30;
+  const limit = parseInt(req.query.limit) || 20;
+
+  if (days < 1 || days > 366 || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: 'days must be 1-366 and limit 1-1000' });
+  }
+
+  res.json(await buildUsageReport(db, {
+    days,
+    limit,
+    teamId: req.query.team_id ?? null
+  }));
+});
+
 // Server startup
 const PORT = parseInt(process.env.PORT) || 3000;
 const DB_CLEANUP_DAYS = parseInt(process.env.DB_CLEANUP_DAYS) || 30;
+const RETENTION_INTERVAL_MINUTES = parseInt(process.env.RETENTION_INTERVAL_MINUTES) || 60;
+const USAGE_RETENTION_DAYS = parseInt(process.env.USAGE_RETENTION_DAYS) || 365;
 
-app.listen(PORT, async () => {
+let stopRetention = () => {};
+
+app.listen(PORT, () => {
   const homeData = handler.getHomeData();
   console.log(`
 ╔════════════════════════════════════════════════════════════╗
 ║  🤖 Slack Bot with Multi-LLM Support                       ║
 ╠════════════════════════════════════════════════════════════╣
 ║  Server:     http://localhost:${PORT}                        ║
-║  Database:   db/conversations.db                           ║
+║  Database:   ${describeStorage().padEnd(48)} ║
 ║  Provider:   ${homeData.provider.toUpperCase().padEnd(48)} ║
 ║  Model:      ${homeData.model.padEnd(48)} ║
 ║  Response:   ${(process.env.RESPONSE_TYPE || 'ephemeral').padEnd(48)} ║
 ╚════════════════════════════════════════════════════════════╝
   `);
 
-  const cleaned = await db.cleanupOldMessages(DB_CLEANUP_DAYS);
-  if (cleaned > 0) {
-    console.log(`🧹 Cleaned up ${cleaned} old messages`);
-  }
+  // Enforce retention policies now and periodically
+  stopRetention = schedulePeriodic('retention', RETENTION_INTERVAL_MINUTES * 60 * 1000, async () => {
+    const cleaned = await db.cleanupOldMessages(DB_CLEANUP_DAYS);
+    if (cleaned > 0) {
+      console.log(`🧹 Cleaned up ${cleaned} old messages`);
+    }
+
+    const usage = await db.cleanupOldUsage(USAGE_RETENTION_DAYS);
+    if (usage > 0) {
+      console.log(`🧹 Cleaned up ${usage} old usage records`);
+    }
+  });
 });
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+async function shutdown() {
   console.log('\n\n👋 Shutting down gracefully...');
-  db.closeDatabase();
+  stopRetention();
+  await db.closeDatabase();
   process.exit(0);
-});
+}
 
-process.on('SIGTERM', () => {
-  console.log('\n\n👋 Shutting down gracefully...');
-  db.closeDatabase();
-  process.exit(0);
-});
\ No newline at end of file
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
\ No newline at end of file
@@ -0,0 +1,320 @@
+// storage/base.js
+
+/**
+ * Base class for storage backends
+ *
+ * Backends implement every method below and throw on failure: the database
+ * module (utils/database.js) logs errors and turns them into safe defaults.
+ * All methods are async, so backends may be local (SQLite) or remote (Postgres).
+ *
+ * Conventions shared by all backends:
+ * - teamId is '' for single-workspace setups
+ * - Message timestamps and embedding dates are milliseconds since the epoch
+ * - Other dates are returned as "YYYY-MM-DD HH:MM:SS" strings in UTC
+ * - Messages are returned oldest first, as { role, content, timestamp }
+ */
+class BaseStorage {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Check the schema and apply pending migrations
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.autoMigrate=true] - Apply pending migrations; if false, fail when any is pending
+   */
+  async init({ autoMigrate = true } = {}) {
+    const { pending, unknown } = await this.getMigrationStatus();
+    if (unknown.length > 0) {
+      throw new Error(`Database schema is newer than this code (unknown migrations: ${unknown.map(row => row.version).join(', ')})`);
+    }
+    if (pending.length > 0 && !autoMigrate) {
+      throw new Error(`Database has ${pending.length} pending migrations, run "npm run db:migrate"`);
+    }
+    await this.migrate();
+  }
+
+  /**
+   * Compare the applied migrations with the migration files
+   * @returns {Promise<Object>} { applied, pending, unknown }, see utils/migrations.js
+   */
+  async getMigrationStatus() {
+    throw new Error('getMigrationStatus() must be implemented by subclass');
+  }
+
+  /**
+   * Apply all pending migrations, in order
+   * @returns {Promise<Array<Object>>} Applied migrations
+   */
+  async migrate() {
+    throw new Error('migrate() must be implemented by subclass');
+  }
+
+  /**
+   * Release the connection(s)
+   */
+  async close() {
+    throw new Error('close() must be implemented by subclass');
+  }
+
+  // Conversation history
+
+  async addMessage(userId, channelId, role, content, teamId) {
+    throw new Error('addMessage() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<Array>} Most recent messages with an id above afterId, oldest first */
+  async getHistory(userId, channelId, limit, teamId, afterId) {
+    throw new Error('getHistory() must be implemented by subclass');
+  }
+
+  /** Delete the messages and the summary. @returns {Promise<boolean>} Whether any message was deleted */
+  async clearHistory(userId, channelId, teamId) {
+    throw new Error('clearHistory() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<number>} */
+  async getMessageCount(userId, channelId, teamId) {
+    throw new Error('getMessageCount() must be implemented by subclass');
+  }
+
+  /**
+   * Delete messages and translation memory entries older than their retention
+   * period (channel policy, else workspace policy, else defaultDays), the
+   * summaries of expired messages and cached embeddings older than the
+   * shortest retention period
+   * @returns {Promise<number>} Messages deleted
+   */
+  async cleanupOldMessages(defaultDays) {
+    throw new Error('cleanupOldMessages() must be implemented by subclass');
+  }
+
+  /**
+   * Delete the messages, summaries, translation memory entries and cached
+   * embeddings of a user in every channel
+   * @returns {Promise<Object>} { messages, summaries, memoryEntries, embeddings } deleted
+   */
+  async deleteUserHistory(teamId, userId) {
+    throw new Error('deleteUserHistory() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<Array>} Messages with id, after afterId and before the keepRecent most recent ones */
+  async getUnsummarizedMessages(userId, channelId, afterId, keepRecent, teamId) {
+    throw new Error('getUnsummarizedMessages() must be implemented by subclass');
+  }
+
+  async saveSummary(userId, channelId, summary, lastMessageId, teamId) {
+    throw new Error('saveSummary() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<Object|null>} { summary, lastMessageId, updatedAt } */
+  async getSummary(userId, channelId, teamId) {
+    throw new Error('getSummary() must be implemented by subclass');
+  }
+
+  // Workspace installations
+
+  async saveInstallation(installation) {
+    throw new Error('saveInstallation() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<Object|null>} */
+  async getInstallation(teamId) {
+    throw new Error('getInstallation() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<boolean>} Whether an installation was deleted */
+  async deleteInstallation(teamId) {
+    throw new Error('deleteInstallation() must be implemented by subclass');
+  }
+
+  // Channel settings and user preferences
+
+  async setChannelSettings(teamId, channelId, language, tone, enabledBy) {
+    throw new Error('setChannelSettings() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<Object|null>} { language, tone, enabledBy } */
+  async getChannelSettings(teamId, channelId) {
+    throw new Error('getChannelSettings() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<boolean>} Whether settings were deleted */
+  async deleteChannelSettings(teamId, channelId) {
+    throw new Error('deleteChannelSettings() must be implemented by subclass');
+  }
+
+  /** { language, tone, storeHistory }: null fields keep their stored value */
+  async setUserPreferences(teamId, userId, preferences) {
+    throw new Error('setUserPreferences() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<Object|null>} { language, tone, storeHistory (boolean) } */
+  async getUserPreferences(teamId, userId) {
+    throw new Error('getUserPreferences() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<boolean>} Whether preferences were deleted */
+  async deleteUserPreferences(teamId, userId) {
+    throw new Error('deleteUserPreferences() must be implemented by subclass');
+  }
+
+  // Retention policies, per workspace (channelId '') or per channel
+
+  async setRetentionPolicy(teamId, channelId, days, updatedBy) {
+    throw new Error('setRetentionPolicy() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<boolean>} Whether a policy was deleted */
+  async deleteRetentionPolicy(teamId, channelId) {
+    throw new Error('deleteRetentionPolicy() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<Array>} Policies with channelId, days, updatedBy, updatedAt */
+  async getRetentionPolicies(teamId) {
+    throw new Error('getRetentionPolicies() must be implemented by subclass');
+  }
+
+  // Glossary
+
+  /** Add or replace entries, all or none */
+  async addGlossaryEntries(teamId, entries, createdBy) {
+    throw new Error('addGlossaryEntries() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<number>} Entries removed */
+  async removeGlossaryEntry(teamId, term, language) {
+    throw new Error('removeGlossaryEntry() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<Array>} Entries with term, language, translation, doNotTranslate (boolean) */
+  async getGlossary(teamId) {
+    throw new Error('getGlossary() must be implemented by subclass');
+  }
+
+  // Translation memory: keys, texts and results are stored as given (hashed and
+  // encrypted by the database module)
+
+  /**
+   * Add or replace an entry; replacing it restarts its retention period
+   * @param {Object} entry - { sourceKey, sourceText, sourceLength, language, tone, result (string), userId, channelId }
+   */
+  async saveMemoryEntry(teamId, entry) {
+    throw new Error('saveMemoryEntry() must be implemented by subclass');
+  }
+
+  /** Count the hit. @returns {Promise<string|null>} Stored result */
+  async getMemoryEntry(teamId, sourceKey, language, tone) {
+    throw new Error('getMemoryEntry() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<Array>} Entries with sourceText and result, sourceLength within the bounds, most recently used first */
+  async getMemoryCandidates(teamId, language, minLength, maxLength, limit) {
+    throw new Error('getMemoryCandidates() must be implemented by subclass');
+  }
+
+  /** @param {string} kind - exact, fuzzy, miss or bypassed */
+  async recordMemoryLookup(teamId, kind) {
+    throw new Error('recordMemoryLookup() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<Object>} { entries, exactHits, fuzzyHits, misses, bypassed } */
+  async getMemoryStats(teamId) {
+    throw new Error('getMemoryStats() must be implemented by subclass');
+  }
+
+  // Usage accounting, one row per model call
+
+  /** { teamId, userId, channelId, command, provider, model, inputTokens, outputTokens, latencyMs } */
+  async recordUsage(entry) {
+    throw new Error('recordUsage() must be implemented by subclass');
+  }
+
+  /**
+   * Sum the usage of a user or a channel
+   * @param {string} scope - user or channel (see USAGE_SCOPE_COLUMNS)
+   * @param {number} since - Start of the period, in ms since the epoch
+   * @returns {Promise<Object>} { requests, inputTokens, outputTokens }
+   */
+  async getUsageTotals(teamId, scope, id, since) {
+    throw new Error('getUsageTotals() must be implemented by subclass');
+  }
+
+  /**
+   * Sum the usage since a date, grouped as in USAGE_GROUP_COLUMNS, most tokens first
+   * @param {string|null} teamId - Restrict to a workspace, or null for all of them
+   * @returns {Promise<Array>} Rows with the group fields, requests, inputTokens, outputTokens, avgLatencyMs
+   */
+  async getUsageBreakdown(groupBy, since, teamId, limit) {
+    throw new Error('getUsageBreakdown() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<number>} Rows deleted */
+  async deleteUserUsage(teamId, userId) {
+    throw new Error('deleteUserUsage() must be implemented by subclass');
+  }
+
+  /** @returns {Promise<number>} Rows older than the given days deleted */
+  async cleanupOldUsage(days) {
+    throw new Error('cleanupOldUsage() must be implemented by subclass');
+  }
+
+  // Embedding cache, per user (whose history the texts come from) and keyed by a hash of the text
+
+  /** @returns {Promise<Float32Array|null>} */
+  async getEmbedding(teamId, userId, contentHash, model) {
+    throw new Error('getEmbedding() must be implemented by subclass');
+  }
+
+  /** @param {Buffer} vector - Float32 vector bytes */
+  async saveEmbedding(teamId, userId, contentHash, model, vector) {
+    throw new Error('saveEmbedding() must be implemented by subclass');
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Translation memory counters and their columns
+const MEMORY_STAT_COLUMNS = {
+  exact: 'exact_hits',
+  fuzzy: 'fuzzy_hits',
+  miss: 'misses',
+  bypassed: 'bypassed'
+};
+
+// Usage quota scopes and their columns
+const USAGE_SCOPE_COLUMNS = {
+  user: 'user_id',
+  channel: 'channel_id'
+};
+
+// Usage report groupings: columns and the fields they are returned as
+const USAGE_GROUP_COLUMNS = {
+  total: {},
+  team: { team_id: 'teamId' },
+  user: { team_id: 'teamId', user_id: 'userId' },
+  channel: { team_id: 'teamId', channel_id: 'channelId' },
+  model: { provider: 'provider', model: 'model' },
+  command: { command: 'command' }
+};
+
+/**
+ * Decode an embedding stored as Float32 bytes
+ *
+ * @param {Buffer} bytes - Stored vector
+ * @returns {Float32Array}
+ */
+function decodeVector(bytes) {
+  const { buffer, byteOffset, byteLength } = bytes;
+  return new Float32Array(buffer.slice(byteOffset, byteOffset + byteLength));
+}
+
+export {
+  BaseStorage,
+  DAY_MS,
+  MEMORY_STAT_COLUMNS,
+  USAGE_SCOPE_COLUMNS,
+  USAGE_GROUP_COLUMNS,
+  decodeVector
+};
@@ -0,0 +1,68 @@
+// storage/index.js
+
+import SQLiteStorage from './sqlite.js';
+import PostgresStorage from './postgres.js';
+
+const STORAGE_BACKENDS = {
+  sqlite: SQLiteStorage,
+  postgres: PostgresStorage
+};
+
+/**
+ * Create a storage backend
+ * @param {string} backendName - Name of the backend (sqlite, postgres)
+ * @param {Object} config - Backend-specific configuration
+ * @returns {BaseStorage} - Storage instance (call init() before use)
+ */
+function createStorage(backendName, config = {}) {
+  const StorageClass = STORAGE_BACKENDS[backendName.toLowerCase()];
+
+  if (!StorageClass) {
+    throw new Error(`Unknown storage backend: ${backendName}. Available: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+  }
+
+  return new StorageClass(config);
+}
+
+/**
+ * Create the storage backend configured by the environment
+ *
+ * DATABASE_URL selects Postgres (postgres:// or postgresql://); otherwise
+ * SQLite is used, in SQLITE_PATH (default: db/conversations.db).
+ *
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {BaseStorage} - Storage instance (call init() before use)
+ */
+function createStorageFromEnv(env = process.env) {
+  if (env.DATABASE_URL) {
+    if (!/^postgres(ql)?:\/\//.test(env.DATABASE_URL)) {
+      throw new Error('DATABASE_URL must be a postgres:// or postgresql:// URL');
+    }
+    return createStorage('postgres', {
+      connectionString: env.DATABASE_URL,
+      maxConnections: parseInt(env.DATABASE_POOL_SIZE) || undefined
+    });
+  }
+
+  return createStorage('sqlite', { filename: env.SQLITE_PATH || 'db/conversations.db' });
+}
+
+/**
+ * Describe where a storage backend keeps its data, for logs
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {string}
+ */
+function describeStorage(env = process.env) {
+  if (env.DATABASE_URL) {
+    const url = new URL(env.DATABASE_URL);
+    return `postgres://${url.host}${url.pathname}`;
+  }
+  return env.SQLITE_PATH || 'db/conversations.db';
+}
+
+export {
+  createStorage,
+  createStorageFromEnv,
+  describeStorage,
+  STORAGE_BACKENDS
+};
@@ -0,0 +1,577 @@
+// storage/postgres.js
+
+import pg from 'pg';
+import { join, dirname } from 'path';
+import { readFileSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+  BaseStorage,
+  DAY_MS,
+  MEMORY_STAT_COLUMNS,
+  USAGE_SCOPE_COLUMNS,
+  USAGE_GROUP_COLUMNS,
+  decodeVector
+} from './base.js';
+import { formatMigration, loadMigrations, compareMigrations } from '../utils/migrations.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const MIGRATIONS_DIR = join(__dirname, '..', 'migrations', 'postgres');
+
+// Advisory lock held while migrating, so replicas starting together migrate once
+const MIGRATION_LOCK_ID = 72_616_001;
+
+// Dates formatted like SQLite's CURRENT_TIMESTAMP
+const utcText = column => `to_char(${column} AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS')`;
+
+// Usage sums, returned by pg as strings
+const USAGE_SUMS = `
+  COUNT(*) AS requests,
+  COALESCE(SUM(input_tokens), 0) AS "inputTokens",
+  COALESCE(SUM(output_tokens), 0) AS "outputTokens"
+`;
+
+/**
+ * Convert the sums of a usage row to numbers
+ */
+function toUsageNumbers({ requests, inputTokens, outputTokens, avgLatencyMs, ...row }) {
+  return {
+    ...row,
+    requests: Number(requests),
+    inputTokens: Number(inputTokens),
+    outputTokens: Number(outputTokens),
+    ...(avgLatencyMs !== undefined && { avgLatencyMs: avgLatencyMs === null ? null : Number(avgLatencyMs) })
+  };
+}
+
+/**
+ * Postgres storage, shared by every replica of the app
+ *
+ * Config:
+ * - connectionString: postgres:// URL (DATABASE_URL)
+ * - maxConnections: pool size (default 10)
+ *
+ * BIGINT columns (ids, timestamps, counts) are returned by pg as strings and
+ * converted to numbers here.
+ */
+class PostgresStorage extends BaseStorage {
+  constructor(config = {}) {
+    super(config);
+    this.pool = new pg.Pool({
+      connectionString: config.connectionString,
+      max: config.maxConnections || 10
+    });
+  }
+
+  /**
+   * Run a query and return its rows
+   */
+  async query(text, values) {
+    return (await this.pool.query(text, values)).rows;
+  }
+
+  /**
+   * Run a function inside a transaction, on a dedicated client
+   *
+   * @param {Function} fn - async (client) => result
+   * @returns {Promise<*>} Result of fn
+   */
+  async transaction(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getMigrationStatus(client = this.pool) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMPTZ DEFAULT now()
+      )
+    `);
+
+    const { rows: applied } = await client.query(`
+      SELECT version, name, ${utcText('applied_at')} AS "appliedAt"
+      FROM schema_migrations
+      ORDER BY version
+    `);
+    return compareMigrations(applied, loadMigrations(MIGRATIONS_DIR));
+  }
+
+  async migrate() {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+
+      // Checked again under the lock: another replica may have migrated meanwhile
+      const { pending, unknown } = await this.getMigrationStatus(client);
+      if (unknown.length > 0) {
+        throw new Error(`Database has migrations unknown to this version: ${unknown.map(row => row.version).join(', ')}`);
+      }
+
+      for (const migration of pending) {
+        console.log(`Applying migration ${formatMigration(migration)}`);
+        const run = migration.type === 'js'
+          ? (await import(pathToFileURL(migration.file).href)).up
+          : db => db.query(readFileSync(migration.file, 'utf8'));
+
+        if (typeof run !== 'function') {
+          throw new Error(`Migration ${formatMigration(migration)} does not export up(client)`);
+        }
+
+        await client.query('BEGIN');
+        try {
+          await run(client);
+          await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        }
+      }
+
+      return pending;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+      client.release();
+    }
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  async addMessage(userId, channelId, role, content, teamId) {
+    await this.query(`
+      INSERT INTO messages (team_id, user_id, channel_id, role, content, timestamp)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [teamId, userId, channelId, role, content, Date.now()]);
+  }
+
+  async getHistory(userId, channelId, limit, teamId, afterId = 0) {
+    const rows = await this.query(`
+      SELECT role, content, timestamp
+      FROM messages
+      WHERE team_id = $1 AND user_id = $2 AND channel_id = $3 AND id > $5
+      ORDER BY timestamp DESC
+      LIMIT $4
+    `, [teamId, userId, channelId, limit, afterId]);
+    return rows.reverse().map(row => ({ ...row, timestamp: Number(row.timestamp) }));
+  }
+
+  async clearHistory(userId, channelId, teamId) {
+    return this.transaction(async client => {
+      const result = await client.query(`
+        DELETE FROM messages
+        WHERE team_id = $1 AND user_id = $2 AND channel_id = $3
+      `, [teamId, userId, channelId]);
+      await client.query(`
+        DELETE FROM conversation_summaries
+        WHERE team_id = $1 AND user_id = $2 AND channel_id = $3
+      `, [teamId, userId, channelId]);
+      return result.rowCount > 0;
+    });
+  }
+
+  async getMessageCount(userId, channelId, teamId) {
+    const [row] = await this.query(`
+      SELECT COUNT(*) AS count
+      FROM messages
+      WHERE team_id = $1 AND user_id = $2 AND channel_id = $3
+    `, [teamId, userId, channelId]);
+    return Number(row.count);
+  }
+
+  async cleanupOldMessages(defaultDays) {
+    const now = Date.now();
+
+    // Channel policy, else workspace policy, else the default retention
+    const result = await this.pool.query(`
+      DELETE FROM messages
+      WHERE timestamp < $1::bigint - $2::bigint * COALESCE(
+        (SELECT days FROM retention_policies p
+         WHERE p.team_id = messages.team_id AND p.channel_id = messages.channel_id),
+        (SELECT days FROM retention_policies p
+         WHERE p.team_id = messages.team_id AND p.channel_id = ''),
+        $3::integer
+      )
+    `, [now, DAY_MS, defaultDays]);
+
+    // Translation memory entries, by the retention of the channel they come from
+    await this.pool.query(`
+      DELETE FROM translation_memory
+      WHERE stored_at < $1::bigint - $2::bigint * COALESCE(
+        (SELECT days FROM retention_policies p
+         WHERE p.team_id = translation_memory.team_id AND p.channel_id = translation_memory.channel_id),
+        (SELECT days FROM retention_policies p
+         WHERE p.team_id = translation_memory.team_id AND p.channel_id = ''),
+        $3::integer
+      )
+    `, [now, DAY_MS, defaultDays]);
+
+    // Summaries whose last covered message has expired
+    await this.pool.query(`
+      DELETE FROM conversation_summaries
+      WHERE NOT EXISTS (SELECT 1 FROM messages WHERE messages.id = conversation_summaries.last_message_id)
+    `);
+
+    const [{ days }] = await this.query('SELECT MIN(days) AS days FROM retention_policies');
+    await this.pool.query('DELETE FROM embeddings WHERE created_at < $1', [now - Math.min(days ?? defaultDays, defaultDays) * DAY_MS]);
+    return result.rowCount;
+  }
+
+  async deleteUserHistory(teamId, userId) {
+    return this.transaction(async client => ({
+      messages: (await client.query('DELETE FROM messages WHERE team_id = $1 AND user_id = $2', [teamId, userId])).rowCount,
+      summaries: (await client.query('DELETE FROM conversation_summaries WHERE team_id = $1 AND user_id = $2', [teamId, userId])).rowCount,
+      memoryEntries: (await client.query('DELETE FROM translation_memory WHERE team_id = $1 AND user_id = $2', [teamId, userId])).rowCount,
+      embeddings: (await client.query('DELETE FROM embeddings WHERE team_id = $1 AND user_id = $2', [teamId, userId])).rowCount
+    }));
+  }
+
+  async getUnsummarizedMessages(userId, channelId, afterId, keepRecent, teamId) {
+    const rows = await this.query(`
+      SELECT id, role, content, timestamp
+      FROM messages
+      WHERE team_id = $1 AND user_id = $2 AND channel_id = $3
+        AND id > $4
+        AND id <= (
+          SELECT id FROM messages
+          WHERE team_id = $1 AND user_id = $2 AND channel_id = $3
+          ORDER BY id DESC
+          LIMIT 1 OFFSET $5
+        )
+      ORDER BY id
+    `, [teamId, userId, channelId, afterId, keepRecent]);
+    return rows.map(row => ({ ...row, id: Number(row.id), timestamp: Number(row.timestamp) }));
+  }
+
+  async saveSummary(userId, channelId, summary, lastMessageId, teamId) {
+    await this.query(`
+      INSERT INTO conversation_summaries (team_id, user_id, channel_id, summary, last_message_id)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (team_id, user_id, channel_id) DO UPDATE SET
+        summary = EXCLUDED.summary,
+        last_message_id = EXCLUDED.last_message_id,
+        updated_at = now()
+    `, [teamId, userId, channelId, summary, lastMessageId]);
+  }
+
+  async getSummary(userId, channelId, teamId) {
+    const [row] = await this.query(`
+      SELECT summary, last_message_id AS "lastMessageId", ${utcText('updated_at')} AS "updatedAt"
+      FROM conversation_summaries
+      WHERE team_id = $1 AND user_id = $2 AND channel_id = $3
+    `, [teamId, userId, channelId]);
+    return row ? { ...row, lastMessageId: Number(row.lastMessageId) } : null;
+  }
+
+  async saveInstallation(installation) {
+    await this.query(`
+      INSERT INTO installations (team_id, team_name, bot_token, bot_user_id, app_id, scope, installed_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (team_id) DO UPDATE SET
+        team_name = EXCLUDED.team_name,
+        bot_token = EXCLUDED.bot_token,
+        bot_user_id = EXCLUDED.bot_user_id,
+        app_id = EXCLUDED.app_id,
+        scope = EXCLUDED.scope,
+        installed_by = EXCLUDED.installed_by,
+        updated_at = now()
+    `, [
+      installation.teamId,
+      installation.teamName,
+      installation.botToken,
+      installation.botUserId,
+      installation.appId,
+      installation.scope,
+      installation.installedBy
+    ]);
+  }
+
+  async getInstallation(teamId) {
+    const [row] = await this.query(`
+      SELECT team_id AS "teamId", team_name AS "teamName", bot_token AS "botToken",
+             bot_user_id AS "botUserId", app_id AS "appId", scope, installed_by AS "installedBy"
+      FROM installations
+      WHERE team_id = $1
+    `, [teamId]);
+    return row || null;
+  }
+
+  async deleteInstallation(teamId) {
+    const result = await this.pool.query('DELETE FROM installations WHERE team_id = $1', [teamId]);
+    return result.rowCount > 0;
+  }
+
+  async setChannelSettings(teamId, channelId, language, tone, enabledBy) {
+    await this.query(`
+      INSERT INTO channel_settings (team_id, channel_id, target_language, tone, enabled_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (team_id, channel_id) DO UPDATE SET
+        target_language = EXCLUDED.target_language,
+        tone = EXCLUDED.tone,
+        enabled_by = EXCLUDED.enabled_by,
+        updated_at = now()
+    `, [teamId, channelId, language, tone, enabledBy]);
+  }
+
+  async getChannelSettings(teamId, channelId) {
+    const [row] = await this.query(`
+      SELECT target_language AS language, tone, enabled_by AS "enabledBy"
+      FROM channel_settings
+      WHERE team_id = $1 AND channel_id = $2
+    `, [teamId, channelId]);
+    return row || null;
+  }
+
+  async deleteChannelSettings(teamId, channelId) {
+    const result = await this.pool.query(`
+      DELETE FROM channel_settings
+      WHERE team_id = $1 AND channel_id = $2
+    `, [teamId, channelId]);
+    return result.rowCount > 0;
+  }
+
+  async setUserPreferences(teamId, userId, { language, tone, storeHistory }) {
+    await this.query(`
+      INSERT INTO user_preferences (team_id, user_id, default_language, default_tone, store_history)
+      VALUES ($1, $2, $3, $4, COALESCE($5::boolean, TRUE))
+      ON CONFLICT (team_id, user_id) DO UPDATE SET
+        default_language = COALESCE(EXCLUDED.default_language, user_preferences.default_language),
+        default_tone = COALESCE(EXCLUDED.default_tone, user_preferences.default_tone),
+        store_history = COALESCE($5::boolean, user_preferences.store_history),
+        updated_at = now()
+    `, [teamId, userId, language, tone, typeof storeHistory === 'boolean' ? storeHistory : null]);
+  }
+
+  async getUserPreferences(teamId, userId) {
+    const [row] = await this.query(`
+      SELECT default_language AS language, default_tone AS tone, store_history AS "storeHistory"
+      FROM user_preferences
+      WHERE team_id = $1 AND user_id = $2
+    `, [teamId, userId]);
+    return row || null;
+  }
+
+  async deleteUserPreferences(teamId, userId) {
+    const result = await this.pool.query('DELETE FROM user_preferences WHERE team_id = $1 AND user_id = $2', [teamId, userId]);
+    return result.rowCount > 0;
+  }
+
+  async setRetentionPolicy(teamId, channelId, days, updatedBy) {
+    await this.query(`
+      INSERT INTO retention_policies (team_id, channel_id, days, updated_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (team_id, channel_id) DO UPDATE SET
+        days = EXCLUDED.days,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = now()
+    `, [teamId, channelId, days, updatedBy]);
+  }
+
+  async deleteRetentionPolicy(teamId, channelId) {
+    const result = await this.pool.query('DELETE FROM retention_policies WHERE team_id = $1 AND channel_id = $2', [teamId, channelId]);
+    return result.rowCount > 0;
+  }
+
+  async getRetentionPolicies(teamId) {
+    return this.query(`
+      SELECT channel_id AS "channelId", days, updated_by AS "updatedBy", ${utcText('updated_at')} AS "updatedAt"
+      FROM retention_policies
+      WHERE team_id = $1
+      ORDER BY channel_id
+    `, [teamId]);
+  }
+
+  async addGlossaryEntries(teamId, entries, createdBy) {
+    await this.transaction(async client => {
+      for (const entry of entries) {
+        await client.query(`
+          INSERT INTO glossary (team_id, term_key, source_term, target_language, translation, do_not_translate, created_by)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          ON CONFLICT (team_id, term_key, target_language) DO UPDATE SET
+            source_term = EXCLUDED.source_term,
+            translation = EXCLUDED.translation,
+            do_not_translate = EXCLUDED.do_not_translate,
+            created_by = EXCLUDED.created_by,
+            created_at = now()
+        `, [
+          teamId,
+          entry.term.toLowerCase(),
+          entry.term,
+          entry.language,
+          entry.doNotTranslate ? null : entry.translation,
+          Boolean(entry.doNotTranslate),
+          createdBy
+        ]);
+      }
+    });
+  }
+
+  async removeGlossaryEntry(teamId, term, language) {
+    const result = language
+      ? await this.pool.query('DELETE FROM glossary WHERE team_id = $1 AND term_key = $2 AND target_language = $3', [teamId, term.toLowerCase(), language])
+      : await this.pool.query('DELETE FROM glossary WHERE team_id = $1 AND term_key = $2', [teamId, term.toLowerCase()]);
+    return result.rowCount;
+  }
+
+  async getGlossary(teamId) {
+    return this.query(`
+      SELECT source_term AS term, target_language AS language, translation,
+             do_not_translate AS "doNotTranslate"
+      FROM glossary
+      WHERE team_id = $1
+      ORDER BY term_key, target_language
+    `, [teamId]);
+  }
+
+  async saveMemoryEntry(teamId, { sourceKey, sourceText, sourceLength, language, tone, result, userId = null, channelId = null }) {
+    await this.query(`
+      INSERT INTO translation_memory (team_id, source_key, target_language, tone, source_text,
+                                      source_length, result, user_id, channel_id, stored_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (team_id, source_key, target_language, tone) DO UPDATE SET
+        source_text = EXCLUDED.source_text,
+        result = EXCLUDED.result,
+        user_id = EXCLUDED.user_id,
+        channel_id = EXCLUDED.channel_id,
+        stored_at = EXCLUDED.stored_at,
+        last_used_at = now()
+    `, [teamId, sourceKey, language, tone, sourceText, sourceLength, result, userId, channelId, Date.now()]);
+  }
+
+  async getMemoryEntry(teamId, sourceKey, language, tone) {
+    // Counting the hit and reading the entry in one statement
+    const [row] = await this.query(`
+      UPDATE translation_memory
+      SET hits = hits + 1, last_used_at = now()
+      WHERE team_id = $1 AND source_key = $2 AND target_language = $3 AND tone = $4
+      RETURNING result
+    `, [teamId, sourceKey, language, tone]);
+    return row ? row.result : null;
+  }
+
+  async getMemoryCandidates(teamId, language, minLength, maxLength, limit) {
+    return this.query(`
+      SELECT source_text AS "sourceText", result
+      FROM translation_memory
+      WHERE team_id = $1 AND target_language = $2
+        AND source_length BETWEEN $3 AND $4
+      ORDER BY last_used_at DESC
+      LIMIT $5
+    `, [teamId, language, minLength, maxLength, limit]);
+  }
+
+  async recordMemoryLookup(teamId, kind) {
+    const column = MEMORY_STAT_COLUMNS[kind];
+    if (!column) {
+      throw new Error(`Unknown translation memory lookup: ${kind}`);
+    }
+
+    await this.query(`
+      INSERT INTO translation_memory_stats (team_id, ${column}) VALUES ($1, 1)
+      ON CONFLICT (team_id) DO UPDATE SET ${column} = translation_memory_stats.${column} + 1
+    `, [teamId]);
+  }
+
+  async getMemoryStats(teamId) {
+    const [stats] = await this.query(`
+      SELECT exact_hits AS "exactHits", fuzzy_hits AS "fuzzyHits", misses, bypassed
+      FROM translation_memory_stats
+      WHERE team_id = $1
+    `, [teamId]);
+    const [{ count }] = await this.query('SELECT COUNT(*) AS count FROM translation_memory WHERE team_id = $1', [teamId]);
+
+    return {
+      exactHits: 0,
+      fuzzyHits: 0,
+      misses: 0,
+      bypassed: 0,
+      ...stats,
+      entries: Number(count)
+    };
+  }
+
+  async recordUsage({ teamId, userId, channelId, command, provider, model, inputTokens, outputTokens, latencyMs }) {
+    await this.query(`
+      INSERT INTO usage (team_id, user_id, channel_id, command, provider, model,
+                         input_tokens, output_tokens, latency_ms, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [teamId, userId, channelId, command, provider, model, inputTokens, outputTokens, latencyMs, Date.now()]);
+  }
+
+  async getUsageTotals(teamId, scope, id, since) {
+    const column = USAGE_SCOPE_COLUMNS[scope];
+    if (!column) {
+      throw new Error(`Unknown usage scope: ${scope}`);
+    }
+
+    const [row] = await this.query(`
+      SELECT ${USAGE_SUMS}
+      FROM usage
+      WHERE team_id = $1 AND ${column} = $2 AND created_at >= $3
+    `, [teamId, id, since]);
+    return toUsageNumbers(row);
+  }
+
+  async getUsageBreakdown(groupBy, since, teamId, limit) {
+    const fields = USAGE_GROUP_COLUMNS[groupBy];
+    if (!fields) {
+      throw new Error(`Unknown usage grouping: ${groupBy}`);
+    }
+
+    const columns = Object.keys(fields);
+    const select = Object.entries(fields).map(([column, field]) => `${column} AS "${field}", `).join('');
+    const rows = await this.query(`
+      SELECT ${select}${USAGE_SUMS}, ROUND(AVG(latency_ms)) AS "avgLatencyMs"
+      FROM usage
+      WHERE created_at >= $1 AND ($2::text IS NULL OR team_id = $2)
+      ${columns.length > 0 ? `GROUP BY ${columns.join(', ')}` : ''}
+      ORDER BY SUM(COALESCE(input_tokens, 0) + COALESCE(output_tokens, 0)) DESC NULLS LAST, COUNT(*) DESC
+      LIMIT $3
+    `, [since, teamId, limit]);
+    return rows.map(toUsageNumbers);
+  }
+
+  async deleteUserUsage(teamId, userId) {
+    const result = await this.pool.query('DELETE FROM usage WHERE team_id = $1 AND user_id = $2', [teamId, userId]);
+    return result.rowCount;
+  }
+
+  async cleanupOldUsage(days) {
+    const result = await this.pool.query('DELETE FROM usage WHERE created_at < $1', [Date.now() - days * DAY_MS]);
+    return result.rowCount;
+  }
+
+  async getEmbedding(teamId, userId, contentHash, model) {
+    const [row] = await this.query(`
+      SELECT vector FROM embeddings
+      WHERE team_id = $1 AND user_id = $2 AND content_hash = $3 AND model = $4
+    `, [teamId, userId, contentHash, model]);
+    return row ? decodeVector(row.vector) : null;
+  }
+
+  async saveEmbedding(teamId, userId, contentHash, model, vector) {
+    await this.query(`
+      INSERT INTO embeddings (team_id, user_id, content_hash, model, vector, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (team_id, user_id, content_hash, model) DO UPDATE SET
+        vector = EXCLUDED.vector,
+        created_at = EXCLUDED.created_at
+    `, [teamId, userId, contentHash, model, vector, Date.now()]);
+  }
+}
+
+export default PostgresStorage;
@@ -0,0 +1,600 @@
+// storage/sqlite.js
+
+import Database from 'better-sqlite3';
+import { dirname } from 'path';
+import { existsSync, mkdirSync } from 'fs';
+import {
+  BaseStorage,
+  DAY_MS,
+  MEMORY_STAT_COLUMNS,
+  USAGE_SCOPE_COLUMNS,
+  USAGE_GROUP_COLUMNS,
+  decodeVector
+} from './base.js';
+import { getMigrationStatus, runMigrations } from '../utils/migrations.js';
+
+/**
+ * SQLite storage (default), in a single local file
+ *
+ * Config:
+ * - filename: database file, or ':memory:' for a throwaway database
+ */
+class SQLiteStorage extends BaseStorage {
+  constructor(config = {}) {
+    super(config);
+    this.filename = config.filename || 'db/conversations.db';
+
+    if (this.filename !== ':memory:') {
+      const dbDir = dirname(this.filename);
+      if (!existsSync(dbDir)) {
+        mkdirSync(dbDir, { recursive: true });
+      }
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.statements = null;
+  }
+
+  async init(options) {
+    await super.init(options);
+    this.statements = this.prepareStatements();
+  }
+
+  async getMigrationStatus() {
+    return getMigrationStatus(this.db);
+  }
+
+  async migrate() {
+    return runMigrations(this.db);
+  }
+
+  async close() {
+    this.db.close();
+  }
+
+  /**
+   * Prepare every statement once, after migrations created the tables
+   */
+  prepareStatements() {
+    const db = this.db;
+
+    return {
+      insertMessage: db.prepare(`
+        INSERT INTO messages (team_id, user_id, channel_id, role, content, timestamp)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `),
+
+      getMessages: db.prepare(`
+        SELECT role, content, timestamp
+        FROM messages
+        WHERE team_id = ? AND user_id = ? AND channel_id = ? AND id > ?
+        ORDER BY timestamp DESC
+        LIMIT ?
+      `),
+
+      deleteMessages: db.prepare(`
+        DELETE FROM messages
+        WHERE team_id = ? AND user_id = ? AND channel_id = ?
+      `),
+
+      getUnsummarizedMessages: db.prepare(`
+        SELECT id, role, content, timestamp
+        FROM messages
+        WHERE team_id = @teamId AND user_id = @userId AND channel_id = @channelId
+          AND id > @afterId
+          AND id <= (
+            SELECT id FROM messages
+            WHERE team_id = @teamId AND user_id = @userId AND channel_id = @channelId
+            ORDER BY id DESC
+            LIMIT 1 OFFSET @keepRecent
+          )
+        ORDER BY id
+      `),
+
+      upsertSummary: db.prepare(`
+        INSERT INTO conversation_summaries (team_id, user_id, channel_id, summary, last_message_id)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(team_id, user_id, channel_id) DO UPDATE SET
+          summary = excluded.summary,
+          last_message_id = excluded.last_message_id,
+          updated_at = CURRENT_TIMESTAMP
+      `),
+
+      getSummary: db.prepare(`
+        SELECT summary, last_message_id AS lastMessageId, updated_at AS updatedAt
+        FROM conversation_summaries
+        WHERE team_id = ? AND user_id = ? AND channel_id = ?
+      `),
+
+      deleteSummary: db.prepare(`
+        DELETE FROM conversation_summaries
+        WHERE team_id = ? AND user_id = ? AND channel_id = ?
+      `),
+
+      countMessages: db.prepare(`
+        SELECT COUNT(*) as count
+        FROM messages
+        WHERE team_id = ? AND user_id = ? AND channel_id = ?
+      `),
+
+      // Channel policy, else workspace policy, else the default retention
+      cleanupOld: db.prepare(`
+        DELETE FROM messages
+        WHERE timestamp < @now - @dayMs * COALESCE(
+          (SELECT days FROM retention_policies p
+           WHERE p.team_id = messages.team_id AND p.channel_id = messages.channel_id),
+          (SELECT days FROM retention_policies p
+           WHERE p.team_id = messages.team_id AND p.channel_id = ''),
+          @defaultDays
+        )
+      `),
+
+      // Translation memory entries, by the retention of the channel they come from
+      cleanupOldMemoryEntries: db.prepare(`
+        DELETE FROM translation_memory
+        WHERE stored_at < @now - @dayMs * COALESCE(
+          (SELECT days FROM retention_policies p
+           WHERE p.team_id = translation_memory.team_id AND p.channel_id = translation_memory.channel_id),
+          (SELECT days FROM retention_policies p
+           WHERE p.team_id = translation_memory.team_id AND p.channel_id = ''),
+          @defaultDays
+        )
+      `),
+
+      // Summaries whose last covered message has expired
+      cleanupOrphanSummaries: db.prepare(`
+        DELETE FROM conversation_summaries
+        WHERE NOT EXISTS (SELECT 1 FROM messages WHERE messages.id = conversation_summaries.last_message_id)
+      `),
+
+      getShortestRetention: db.prepare(`
+        SELECT MIN(days) AS days FROM retention_policies
+      `),
+
+      deleteUserMessages: db.prepare(`
+        DELETE FROM messages WHERE team_id = ? AND user_id = ?
+      `),
+
+      deleteUserSummaries: db.prepare(`
+        DELETE FROM conversation_summaries WHERE team_id = ? AND user_id = ?
+      `),
+
+      deleteUserMemoryEntries: db.prepare(`
+        DELETE FROM translation_memory WHERE team_id = ? AND user_id = ?
+      `),
+
+      deleteUserEmbeddings: db.prepare(`
+        DELETE FROM embeddings WHERE team_id = ? AND user_id = ?
+      `),
+
+      cleanupOldEmbeddings: db.prepare(`
+        DELETE FROM embeddings WHERE created_at < ?
+      `),
+
+      upsertInstallation: db.prepare(`
+        INSERT INTO installations (team_id, team_name, bot_token, bot_user_id, app_id, scope, installed_by)
+        VALUES (@teamId, @teamName, @botToken, @botUserId, @appId, @scope, @installedBy)
+        ON CONFLICT(team_id) DO UPDATE SET
+          team_name = excluded.team_name,
+          bot_token = excluded.bot_token,
+          bot_user_id = excluded.bot_user_id,
+          app_id = excluded.app_id,
+          scope = excluded.scope,
+          installed_by = excluded.installed_by,
+          updated_at = CURRENT_TIMESTAMP
+      `),
+
+      getInstallation: db.prepare(`
+        SELECT team_id AS teamId, team_name AS teamName, bot_token AS botToken,
+               bot_user_id AS botUserId, app_id AS appId, scope, installed_by AS installedBy
+        FROM installations
+        WHERE team_id = ?
+      `),
+
+      deleteInstallation: db.prepare(`
+        DELETE FROM installations WHERE team_id = ?
+      `),
+
+      upsertChannelSettings: db.prepare(`
+        INSERT INTO channel_settings (team_id, channel_id, target_language, tone, enabled_by)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(team_id, channel_id) DO UPDATE SET
+          target_language = excluded.target_language,
+          tone = excluded.tone,
+          enabled_by = excluded.enabled_by,
+          updated_at = CURRENT_TIMESTAMP
+      `),
+
+      getChannelSettings: db.prepare(`
+        SELECT target_language AS language, tone, enabled_by AS enabledBy
+        FROM channel_settings
+        WHERE team_id = ? AND channel_id = ?
+      `),
+
+      deleteChannelSettings: db.prepare(`
+        DELETE FROM channel_settings
+        WHERE team_id = ? AND channel_id = ?
+      `),
+
+      upsertUserPreferences: db.prepare(`
+        INSERT INTO user_preferences (team_id, user_id, default_language, default_tone, store_history)
+        VALUES (@teamId, @userId, @language, @tone, COALESCE(@storeHistory, 1))
+        ON CONFLICT(team_id, user_id) DO UPDATE SET
+          default_language = COALESCE(excluded.default_language, default_language),
+          default_tone = COALESCE(excluded.default_tone, default_tone),
+          store_history = COALESCE(@storeHistory, store_history),
+          updated_at = CURRENT_TIMESTAMP
+      `),
+
+      getUserPreferences: db.prepare(`
+        SELECT default_language AS language, default_tone AS tone, store_history AS storeHistory
+        FROM user_preferences
+        WHERE team_id = ? AND user_id = ?
+      `),
+
+      deleteUserPreferences: db.prepare(`
+        DELETE FROM user_preferences WHERE team_id = ? AND user_id = ?
+      `),
+
+      upsertRetentionPolicy: db.prepare(`
+        INSERT INTO retention_policies (team_id, channel_id, days, updated_by)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(team_id, channel_id) DO UPDATE SET
+          days = excluded.days,
+          updated_by = excluded.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+      `),
+
+      deleteRetentionPolicy: db.prepare(`
+        DELETE FROM retention_policies WHERE team_id = ? AND channel_id = ?
+      `),
+
+      getRetentionPolicies: db.prepare(`
+        SELECT channel_id AS channelId, days, updated_by AS updatedBy, updated_at AS updatedAt
+        FROM retention_policies
+        WHERE team_id = ?
+        ORDER BY channel_id
+      `),
+
+      upsertGlossaryEntry: db.prepare(`
+        INSERT INTO glossary (team_id, term_key, source_term, target_language, translation, do_not_translate, created_by)
+        VALUES (@teamId, @termKey, @term, @language, @translation, @doNotTranslate, @createdBy)
+        ON CONFLICT(team_id, term_key, target_language) DO UPDATE SET
+          source_term = excluded.source_term,
+          translation = excluded.translation,
+          do_not_translate = excluded.do_not_translate,
+          created_by = excluded.created_by,
+          created_at = CURRENT_TIMESTAMP
+      `),
+
+      deleteGlossaryTerm: db.prepare(`
+        DELETE FROM glossary
+        WHERE team_id = ? AND term_key = ?
+      `),
+
+      deleteGlossaryEntry: db.prepare(`
+        DELETE FROM glossary
+        WHERE team_id = ? AND term_key = ? AND target_language = ?
+      `),
+
+      getGlossary: db.prepare(`
+        SELECT source_term AS term, target_language AS language, translation,
+               do_not_translate AS doNotTranslate
+        FROM glossary
+        WHERE team_id = ?
+        ORDER BY term_key, target_language
+      `),
+
+      upsertMemoryEntry: db.prepare(`
+        INSERT INTO translation_memory (team_id, source_key, target_language, tone, source_text,
+                                        source_length, result, user_id, channel_id, stored_at)
+        VALUES (@teamId, @sourceKey, @language, @tone, @sourceText,
+                @sourceLength, @result, @userId, @channelId, @storedAt)
+        ON CONFLICT(team_id, source_key, target_language, tone) DO UPDATE SET
+          source_text = excluded.source_text,
+          result = excluded.result,
+          user_id = excluded.user_id,
+          channel_id = excluded.channel_id,
+          stored_at = excluded.stored_at,
+          last_used_at = CURRENT_TIMESTAMP
+      `),
+
+      getMemoryEntry: db.prepare(`
+        SELECT result, hits
+        FROM translation_memory
+        WHERE team_id = ? AND source_key = ? AND target_language = ? AND tone = ?
+      `),
+
+      touchMemoryEntry: db.prepare(`
+        UPDATE translation_memory
+        SET hits = hits + 1, last_used_at = CURRENT_TIMESTAMP
+        WHERE team_id = ? AND source_key = ? AND target_language = ? AND tone = ?
+      `),
+
+      getMemoryCandidates: db.prepare(`
+        SELECT source_text AS sourceText, result
+        FROM translation_memory
+        WHERE team_id = ? AND target_language = ?
+          AND source_length BETWEEN ? AND ?
+        ORDER BY last_used_at DESC
+        LIMIT ?
+      `),
+
+      countMemoryEntries: db.prepare(`
+        SELECT COUNT(*) as count FROM translation_memory WHERE team_id = ?
+      `),
+
+      // One statement per counter: exact, fuzzy, miss, bypassed
+      incrementMemoryStat: Object.fromEntries(Object.entries(MEMORY_STAT_COLUMNS).map(([kind, column]) => [
+        kind,
+        db.prepare(`
+          INSERT INTO translation_memory_stats (team_id, ${column}) VALUES (?, 1)
+          ON CONFLICT(team_id) DO UPDATE SET ${column} = ${column} + 1
+        `)
+      ])),
+
+      getMemoryStats: db.prepare(`
+        SELECT exact_hits AS exactHits, fuzzy_hits AS fuzzyHits, misses, bypassed
+        FROM translation_memory_stats
+        WHERE team_id = ?
+      `),
+
+      insertUsage: db.prepare(`
+        INSERT INTO usage (team_id, user_id, channel_id, command, provider, model,
+                           input_tokens, output_tokens, latency_ms, created_at)
+        VALUES (@teamId, @userId, @channelId, @command, @provider, @model,
+                @inputTokens, @outputTokens, @latencyMs, @createdAt)
+      `),
+
+      // One statement per scope: user, channel
+      getUsageTotals: Object.fromEntries(Object.entries(USAGE_SCOPE_COLUMNS).map(([scope, column]) => [
+        scope,
+        db.prepare(`
+          SELECT COUNT(*) AS requests,
+                 COALESCE(SUM(input_tokens), 0) AS inputTokens,
+                 COALESCE(SUM(output_tokens), 0) AS outputTokens
+          FROM usage
+          WHERE team_id = ? AND ${column} = ? AND created_at >= ?
+        `)
+      ])),
+
+      // One statement per grouping: total, team, user, channel, model, command
+      getUsageBreakdown: Object.fromEntries(Object.entries(USAGE_GROUP_COLUMNS).map(([groupBy, fields]) => {
+        const columns = Object.keys(fields);
+        const select = Object.entries(fields).map(([column, field]) => `${column} AS ${field}, `).join('');
+        return [groupBy, db.prepare(`
+          SELECT ${select}COUNT(*) AS requests,
+                 COALESCE(SUM(input_tokens), 0) AS inputTokens,
+                 COALESCE(SUM(output_tokens), 0) AS outputTokens,
+                 ROUND(AVG(latency_ms)) AS avgLatencyMs
+          FROM usage
+          WHERE created_at >= @since AND (@teamId IS NULL OR team_id = @teamId)
+          ${columns.length > 0 ? `GROUP BY ${columns.join(', ')}` : ''}
+          ORDER BY SUM(COALESCE(input_tokens, 0) + COALESCE(output_tokens, 0)) DESC, COUNT(*) DESC
+          LIMIT @limit
+        `)];
+      })),
+
+      deleteUserUsage: db.prepare(`
+        DELETE FROM usage WHERE team_id = ? AND user_id = ?
+      `),
+
+      cleanupOldUsage: db.prepare(`
+        DELETE FROM usage WHERE created_at < ?
+      `),
+
+      getEmbedding: db.prepare(`
+        SELECT vector FROM embeddings
+        WHERE team_id = ? AND user_id = ? AND content_hash = ? AND model = ?
+      `),
+
+      upsertEmbedding: db.prepare(`
+        INSERT INTO embeddings (team_id, user_id, content_hash, model, vector, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(team_id, user_id, content_hash, model) DO UPDATE SET
+          vector = excluded.vector,
+          created_at = excluded.created_at
+      `)
+    };
+  }
+
+  async addMessage(userId, channelId, role, content, teamId) {
+    this.statements.insertMessage.run(teamId, userId, channelId, role, content, Date.now());
+  }
+
+  async getHistory(userId, channelId, limit, teamId, afterId = 0) {
+    return this.statements.getMessages.all(teamId, userId, channelId, afterId, limit).reverse();
+  }
+
+  async clearHistory(userId, channelId, teamId) {
+    const result = this.statements.deleteMessages.run(teamId, userId, channelId);
+    this.statements.deleteSummary.run(teamId, userId, channelId);
+    return result.changes > 0;
+  }
+
+  async getMessageCount(userId, channelId, teamId) {
+    return this.statements.countMessages.get(teamId, userId, channelId).count;
+  }
+
+  async cleanupOldMessages(defaultDays) {
+    const now = Date.now();
+    const result = this.statements.cleanupOld.run({ now, dayMs: DAY_MS, defaultDays });
+    this.statements.cleanupOldMemoryEntries.run({ now, dayMs: DAY_MS, defaultDays });
+    this.statements.cleanupOrphanSummaries.run();
+
+    const { days } = this.statements.getShortestRetention.get();
+    this.statements.cleanupOldEmbeddings.run(now - Math.min(days ?? defaultDays, defaultDays) * DAY_MS);
+    return result.changes;
+  }
+
+  async deleteUserHistory(teamId, userId) {
+    return this.db.transaction(() => ({
+      messages: this.statements.deleteUserMessages.run(teamId, userId).changes,
+      summaries: this.statements.deleteUserSummaries.run(teamId, userId).changes,
+      memoryEntries: this.statements.deleteUserMemoryEntries.run(teamId, userId).changes,
+      embeddings: this.statements.deleteUserEmbeddings.run(teamId, userId).changes
+    }))();
+  }
+
+  async getUnsummarizedMessages(userId, channelId, afterId, keepRecent, teamId) {
+    return this.statements.getUnsummarizedMessages.all({ teamId, userId, channelId, afterId, keepRecent });
+  }
+
+  async saveSummary(userId, channelId, summary, lastMessageId, teamId) {
+    this.statements.upsertSummary.run(teamId, userId, channelId, summary, lastMessageId);
+  }
+
+  async getSummary(userId, channelId, teamId) {
+    return this.statements.getSummary.get(teamId, userId, channelId) || null;
+  }
+
+  async saveInstallation(installation) {
+    this.statements.upsertInstallation.run(installation);
+  }
+
+  async getInstallation(teamId) {
+    return this.statements.getInstallation.get(teamId) || null;
+  }
+
+  async deleteInstallation(teamId) {
+    return this.statements.deleteInstallation.run(teamId).changes > 0;
+  }
+
+  async setChannelSettings(teamId, channelId, language, tone, enabledBy) {
+    this.statements.upsertChannelSettings.run(teamId, channelId, language, tone, enabledBy);
+  }
+
+  async getChannelSettings(teamId, channelId) {
+    return this.statements.getChannelSettings.get(teamId, channelId) || null;
+  }
+
+  async deleteChannelSettings(teamId, channelId) {
+    return this.statements.deleteChannelSettings.run(teamId, channelId).changes > 0;
+  }
+
+  async setUserPreferences(teamId, userId, { language, tone, storeHistory }) {
+    this.statements.upsertUserPreferences.run({
+      teamId,
+      userId,
+      language,
+      tone,
+      storeHistory: typeof storeHistory === 'boolean' ? Number(storeHistory) : null
+    });
+  }
+
+  async getUserPreferences(teamId, userId) {
+    const row = this.statements.getUserPreferences.get(teamId, userId);
+    return row ? { ...row, storeHistory: row.storeHistory === 1 } : null;
+  }
+
+  async deleteUserPreferences(teamId, userId) {
+    return this.statements.deleteUserPreferences.run(teamId, userId).changes > 0;
+  }
+
+  async setRetentionPolicy(teamId, channelId, days, updatedBy) {
+    this.statements.upsertRetentionPolicy.run(teamId, channelId, days, updatedBy);
+  }
+
+  async deleteRetentionPolicy(teamId, channelId) {
+    return this.statements.deleteRetentionPolicy.run(teamId, channelId).changes > 0;
+  }
+
+  async getRetentionPolicies(teamId) {
+    return this.statements.getRetentionPolicies.all(teamId);
+  }
+
+  async addGlossaryEntries(teamId, entries, createdBy) {
+    const insertAll = this.db.transaction(rows => {
+      rows.forEach(entry => this.statements.upsertGlossaryEntry.run({
+        teamId,
+        termKey: entry.term.toLowerCase(),
+        term: entry.term,
+        language: entry.language,
+        translation: entry.doNotTranslate ? null : entry.translation,
+        doNotTranslate: entry.doNotTranslate ? 1 : 0,
+        createdBy
+      }));
+    });
+    insertAll(entries);
+  }
+
+  async removeGlossaryEntry(teamId, term, language) {
+    const result = language
+      ? this.statements.deleteGlossaryEntry.run(teamId, term.toLowerCase(), language)
+      : this.statements.deleteGlossaryTerm.run(teamId, term.toLowerCase());
+    return result.changes;
+  }
+
+  async getGlossary(teamId) {
+    return this.statements.getGlossary.all(teamId).map(entry => ({
+      ...entry,
+      doNotTranslate: entry.doNotTranslate === 1
+    }));
+  }
+
+  async saveMemoryEntry(teamId, { sourceKey, sourceText, sourceLength, language, tone, result, userId = null, channelId = null }) {
+    this.statements.upsertMemoryEntry.run({
+      teamId, sourceKey, sourceText, sourceLength, language, tone, result, userId, channelId, storedAt: Date.now()
+    });
+  }
+
+  async getMemoryEntry(teamId, sourceKey, language, tone) {
+    const row = this.statements.getMemoryEntry.get(teamId, sourceKey, language, tone);
+    if (!row) {
+      return null;
+    }
+    this.statements.touchMemoryEntry.run(teamId, sourceKey, language, tone);
+    return row.result;
+  }
+
+  async getMemoryCandidates(teamId, language, minLength, maxLength, limit) {
+    return this.statements.getMemoryCandidates.all(teamId, language, minLength, maxLength, limit);
+  }
+
+  async recordMemoryLookup(teamId, kind) {
+    this.statements.incrementMemoryStat[kind].run(teamId);
+  }
+
+  async getMemoryStats(teamId) {
+    return {
+      exactHits: 0,
+      fuzzyHits: 0,
+      misses: 0,
+      bypassed: 0,
+      ...this.statements.getMemoryStats.get(teamId),
+      entries: this.statements.countMemoryEntries.get(teamId).count
+    };
+  }
+
+  async recordUsage(entry) {
+    this.statements.insertUsage.run({ ...entry, createdAt: Date.now() });
+  }
+
+  async getUsageTotals(teamId, scope, id, since) {
+    return this.statements.getUsageTotals[scope].get(teamId, id, since);
+  }
+
+  async getUsageBreakdown(groupBy, since, teamId, limit) {
+    return this.statements.getUsageBreakdown[groupBy].all({ since, teamId, limit });
+  }
+
+  async deleteUserUsage(teamId, userId) {
+    return this.statements.deleteUserUsage.run(teamId, userId).changes;
+  }
+
+  async cleanupOldUsage(days) {
+    return this.statements.cleanupOldUsage.run(Date.now() - days * DAY_MS).changes;
+  }
+
+  async getEmbedding(teamId, userId, contentHash, model) {
+    const row = this.statements.getEmbedding.get(teamId, userId, contentHash, model);
+    return row ? decodeVector(row.vector) : null;
+  }
+
+  async saveEmbedding(teamId, userId, contentHash, model, vector) {
+    this.statements.upsertEmbedding.run(teamId, userId, contentHash, model, vector, Date.now());
+  }
+}
+
+export default SQLiteStorage;
@@ -0,0 +1,44 @@
+// test/database.test.js
+//
+// Encryption at rest in the database module, on top of an in-memory SQLite backend.
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../storage/index.js';
+import { isEncrypted } from '../utils/encryption.js';
+import * as db from '../utils/database.js';
+
+const ENCRYPTION_KEY = Buffer.alloc(32, 7).toString('hex');
+
+describe('database encryption', () => {
+  let backend;
+
+  before(async () => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      backend = createStorage('sqlite', { filename: ':memory:' });
+      await db.initDatabase({ backend, encryptionKey: ENCRYPTION_KEY });
+    } finally {
+      console.log = log;
+    }
+  });
+
+  after(() => db.closeDatabase());
+
+  test('stores bot tokens encrypted', async () => {
+    assert.equal(await db.saveInstallation({ teamId: 'T1', teamName: 'Acme', botToken: 'xoxb-secret', botUserId: 'B1' }), true);
+
+    const stored = await backend.getInstallation('T1');
+    assert.ok(isEncrypted(stored.botToken));
+    assert.ok(!stored.botToken.includes('xoxb-secret'));
+    assert.equal((await db.getInstallation('T1')).botToken, 'xoxb-secret');
+  });
+
+  test('reads bot tokens stored before the key was set', async () => {
+    await backend.saveInstallation({
+      teamId: 'T2', teamName: 'Old', botToken: 'xoxb-plain', botUserId: null, appId: null, scope: null, installedBy: null
+    });
+
+    assert.equal((await db.getInstallation('T2')).botToken, 'xoxb-plain');
+  });
+});
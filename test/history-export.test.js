@@ -0,0 +1,63 @@
+// test/history-export.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatHistoryExport, groupExchanges } from '../utils/history-export.js';
+
+const timestamp = Date.UTC(2026, 0, 15, 9, 30);
+const rowsOf = csv => csv.split('\r\n').slice(1);
+
+describe('formatHistoryExport (csv)', () => {
+  test('quotes fields with commas, quotes and line breaks', () => {
+    const csv = formatHistoryExport([
+      { role: 'user', content: 'Ciao, "tutti"\nbuongiorno', timestamp }
+    ], 'csv');
+
+    assert.deepEqual(rowsOf(csv), ['2026-01-15T09:30:00.000Z,user,"Ciao, ""tutti""\nbuongiorno"']);
+  });
+
+  test('prefixes cells that a spreadsheet would evaluate as formulas', () => {
+    const contents = ['=HYPERLINK("http://evil.example","x")', '+1 555 0100', '-2+3', '@SUM(A1:A2)', '\t=1+1'];
+    const csv = formatHistoryExport(contents.map(content => ({ role: 'assistant', content, timestamp })), 'csv');
+
+    assert.deepEqual(rowsOf(csv), [
+      '2026-01-15T09:30:00.000Z,assistant,"\'=HYPERLINK(""http://evil.example"",""x"")"',
+      "2026-01-15T09:30:00.000Z,assistant,'+1 555 0100",
+      "2026-01-15T09:30:00.000Z,assistant,'-2+3",
+      "2026-01-15T09:30:00.000Z,assistant,'@SUM(A1:A2)",
+      "2026-01-15T09:30:00.000Z,assistant,'\t=1+1"
+    ]);
+  });
+
+  test('leaves other text unchanged', () => {
+    const csv = formatHistoryExport([{ role: 'user', content: 'Total: 3 = 1 + 2', timestamp }], 'csv');
+    assert.deepEqual(rowsOf(csv), ['2026-01-15T09:30:00.000Z,user,Total: 3 = 1 + 2']);
+  });
+});
+
+describe('formatHistoryExport (json)', () => {
+  test('keeps the content as is', () => {
+    const json = JSON.parse(formatHistoryExport([{ role: 'user', content: '=1+1', timestamp }], 'json'));
+    assert.deepEqual(json, [{ timestamp: '2026-01-15T09:30:00.000Z', role: 'user', content: '=1+1' }]);
+  });
+});
+
+describe('groupExchanges', () => {
+  test('pairs messages with their translations', () => {
+    const exchanges = groupExchanges([
+      { role: 'assistant', content: 'orphan', timestamp },
+      { role: 'user', content: 'Ciao', timestamp },
+      { role: 'assistant', content: 'Hello', timestamp },
+      { role: 'user', content: 'Grazie', timestamp: timestamp + 1 },
+      { role: 'user', content: 'Buongiorno', timestamp: timestamp + 2 },
+      { role: 'assistant', content: 'Good morning', timestamp: timestamp + 2 },
+      { role: 'assistant', content: 'Guten Morgen', timestamp: timestamp + 3 }
+    ]);
+
+    assert.deepEqual(exchanges, [
+      { original: 'Ciao', translation: 'Hello', timestamp },
+      { original: 'Grazie', translation: null, timestamp: timestamp + 1 },
+      { original: 'Buongiorno', translation: 'Good morning', timestamp: timestamp + 2 },
+      { original: 'Buongiorno', translation: 'Guten Morgen', timestamp: timestamp + 2 }
+    ]);
+  });
+});
@@ -0,0 +1,92 @@
+// test/retention-command.test.js
+import { describe, test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaseHandler } from '../utils/base-handler.js';
+import { parseCommand } from '../utils/command-parser.js';
+import { getCommand } from '../utils/commands.js';
+
+// Slack users by ID, as returned by users.info
+const USERS = {
+  U_MEMBER: { id: 'U_MEMBER', is_admin: false, is_owner: false },
+  U_ADMIN: { id: 'U_ADMIN', is_admin: true, is_owner: false },
+  U_OWNER: { id: 'U_OWNER', is_admin: false, is_owner: true }
+};
+
+/**
+ * Database module stub recording the retention policies
+ */
+function createDb() {
+  const policies = new Map();
+  return {
+    policies,
+    setRetentionPolicy: async (teamId, channelId, days) => {
+      policies.set(channelId, days);
+      return true;
+    },
+    deleteRetentionPolicy: async (teamId, channelId) => policies.delete(channelId),
+    getRetentionPolicies: async () => [...policies].map(([channelId, days]) => ({ channelId, days }))
+  };
+}
+
+describe('retention command', () => {
+  let handler;
+  let db;
+
+  before(() => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      handler = new BaseHandler({ LLM_PROVIDER: 'ollama' });
+    } finally {
+      console.log = log;
+    }
+    handler.getSlackClient = async () => ({
+      users: {
+        info: async ({ user }) => {
+          if (!USERS[user]) {
+            throw new Error('user_not_found');
+          }
+          return { ok: true, user: USERS[user] };
+        }
+      }
+    });
+  });
+
+  beforeEach(() => {
+    db = createDb();
+  });
+
+  const run = (text, userId) => handler.processRetentionCommand(
+    parseCommand(text, getCommand('/translate').options), userId, 'C1', db, 'T1'
+  );
+
+  test('refuses to set or reset a policy for a regular member', async () => {
+    db.policies.set('', 90);
+
+    assert.match(await run('retention set 1', 'U_MEMBER'), /^🔒 Only workspace admins and owners/);
+    assert.match(await run('retention set 1 --channel', 'U_MEMBER'), /^🔒/);
+    assert.match(await run('retention reset', 'U_MEMBER'), /^🔒/);
+    assert.deepEqual([...db.policies], [['', 90]]);
+  });
+
+  test('refuses when the user cannot be looked up', async (t) => {
+    t.mock.method(console, 'error', () => {});
+
+    assert.match(await run('retention set 1', 'U_UNKNOWN'), /^🔒/);
+    assert.equal(db.policies.size, 0);
+  });
+
+  test('lets admins and owners set and reset policies', async () => {
+    assert.match(await run('retention set 7', 'U_ADMIN'), /kept for 7 days/);
+    assert.match(await run('retention set 1 --channel', 'U_OWNER'), /kept for 1 day\./);
+    assert.deepEqual([...db.policies], [['', 7], ['C1', 1]]);
+
+    assert.match(await run('retention reset --channel', 'U_ADMIN'), /Removed the retention policy of this channel/);
+    assert.deepEqual([...db.policies], [['', 7]]);
+  });
+
+  test('shows the policies to everyone', async () => {
+    db.policies.set('', 90);
+    assert.match(await run('retention show', 'U_MEMBER'), /This workspace: 90 days/);
+  });
+});
@@ -0,0 +1,103 @@
+// test/semantic-relevance.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { cosineSimilarity, scoreHistory } from '../utils/semantic-relevance.js';
+
+// Embedding cache with the interface of utils/database.js
+function createCache(entries = {}) {
+  const cache = new Map(Object.entries(entries));
+  const owners = [];
+  return {
+    cache,
+    owners,
+    getEmbedding: async (text, model, owner) => {
+      owners.push(owner);
+      return cache.get(text) || null;
+    },
+    saveEmbedding: async (text, model, vector, owner) => {
+      owners.push(owner);
+      cache.set(text, vector);
+      return true;
+    }
+  };
+}
+
+// Two-dimensional embeddings: texts mentioning "deploy" point one way, the others the other way
+function createEmbedder() {
+  const embedder = {
+    model: 'stub',
+    batches: [],
+    embedBatch: async texts => {
+      embedder.batches.push(texts);
+      return texts.map(text => (/deploy/i.test(text) ? [1, 0] : [0, 1]));
+    }
+  };
+  return embedder;
+}
+
+const history = [
+  { role: 'user', content: 'When is the deploy?' },
+  { role: 'assistant', content: 'Friday' },
+  { role: 'user', content: 'Lunch at noon?' },
+  { role: 'user', content: 'Most recent message' }
+];
+
+describe('scoreHistory', () => {
+  test('embeds the uncached texts in a single batch', async () => {
+    const embedder = createEmbedder();
+    const db = createCache();
+
+    const owner = { teamId: 'T1', userId: 'U1' };
+    const scored = await scoreHistory(history, 'Deploy moved to Monday', { embedder, db, owner, skipRecent: 1 });
+
+    assert.equal(embedder.batches.length, 1);
+    assert.deepEqual(embedder.batches[0], [
+      'Deploy moved to Monday',
+      'When is the deploy?',
+      'Friday',
+      'Lunch at noon?'
+    ]);
+    assert.deepEqual(scored.map(message => message.relevance), [1, 0, 0, undefined]);
+    assert.equal(db.cache.size, 4);
+    // The cache is per user
+    assert.equal(db.owners.length, 8);
+    assert.ok(db.owners.every(cached => cached === owner));
+  });
+
+  test('only embeds texts missing from the cache', async () => {
+    const embedder = createEmbedder();
+    const db = createCache({ 'When is the deploy?': [1, 0], Friday: [0, 1] });
+
+    await scoreHistory(history, 'Deploy moved to Monday', { embedder, db, skipRecent: 1 });
+
+    assert.deepEqual(embedder.batches, [['Deploy moved to Monday', 'Lunch at noon?']]);
+  });
+
+  test('makes no request when everything is cached', async () => {
+    const embedder = createEmbedder();
+    const db = createCache({ prompt: [1, 0], a: [1, 0], b: [0, 1] });
+    const messages = [{ role: 'user', content: 'a' }, { role: 'user', content: 'b' }];
+
+    const scored = await scoreHistory(messages, 'prompt', { embedder, db });
+
+    assert.equal(embedder.batches.length, 0);
+    assert.deepEqual(scored.map(message => message.relevance), [1, 0]);
+  });
+
+  test('returns the history unscored when embedding fails', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const embedder = { model: 'stub', embedBatch: async () => { throw new Error('offline'); } };
+
+    const scored = await scoreHistory(history, 'Deploy', { embedder, db: createCache() });
+
+    assert.equal(scored, history);
+  });
+});
+
+describe('cosineSimilarity', () => {
+  test('is 0 for mismatched or empty vectors', () => {
+    assert.equal(cosineSimilarity([1, 0], [1, 0, 0]), 0);
+    assert.equal(cosineSimilarity([], []), 0);
+    assert.equal(cosineSimilarity([0, 0], [1, 0]), 0);
+  });
+});
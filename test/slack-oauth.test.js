@@ -0,0 +1,42 @@
+// test/slack-oauth.test.js
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STATE_COOKIE, createState, verifyState, readCookie } from '../utils/slack-oauth.js';
+
+const SECRET = 'state-secret';
+
+describe('verifyState', () => {
+  test('accepts a fresh state that matches the cookie of the browser', () => {
+    const state = createState(SECRET);
+    assert.equal(verifyState(SECRET, state, state), true);
+  });
+
+  test('rejects a valid state without its cookie, or with another one', () => {
+    const state = createState(SECRET);
+
+    assert.equal(verifyState(SECRET, state, null), false);
+    assert.equal(verifyState(SECRET, state, createState(SECRET)), false);
+  });
+
+  test('rejects forged and expired states', (t) => {
+    const state = createState(SECRET);
+    const forged = createState('other-secret');
+    assert.equal(verifyState(SECRET, forged, forged), false);
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 11 * 60 * 1000);
+    assert.equal(verifyState(SECRET, state, state), false);
+  });
+});
+
+describe('readCookie', () => {
+  test('finds a cookie among others and decodes it', () => {
+    const header = `theme=dark; ${STATE_COOKIE}=1700000000000.abc%2Edef ; other=1`;
+    assert.equal(readCookie(header, STATE_COOKIE), '1700000000000.abc.def');
+  });
+
+  test('returns null when the cookie is missing', () => {
+    assert.equal(readCookie('theme=dark', STATE_COOKIE), null);
+    assert.equal(readCookie(undefined, STATE_COOKIE), null);
+  });
+});
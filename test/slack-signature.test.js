@@ -0,0 +1,138 @@
+// test/slack-signature.test.js
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import {
+  captureRawBody,
+  computeSlackSignature,
+  verifySlackSignature,
+  slackSignatureMiddleware
+} from '../utils/slack-signature.js';
+
+const SLACK_SIGNING_SECRET = '8f742231b10e8888abcd99yyyzzz85a5';
+const BODY = 'token=xyzz0WbapA4vBCDEFasx0q6G&team_id=T1DC2JH3J&command=%2Ftranslate&text=ciao';
+
+function signedRequest({ body = BODY, timestamp = Math.floor(Date.now() / 1000), secret = SLACK_SIGNING_SECRET } = {}) {
+  return {
+    signingSecret: SLACK_SIGNING_SECRET,
+    signature: computeSlackSignature(secret, timestamp, body),
+    timestamp: String(timestamp),
+    rawBody: body
+  };
+}
+
+describe('computeSlackSignature', () => {
+  test('matches the example in the Slack documentation', () => {
+    const body = 'token=xyzz0WbapA4vBCDEFasx0q6G&team_id=T1DC2JH3J&team_domain=testteamnow&channel_id=G8PSS9T3V&channel_name=foobar&user_id=U2CERLKJA&user_name=roadrunner&command=%2Fwebhook-collect&text=&response_url=https%3A%2F%2Fhooks.slack.com%2Fcommands%2FT1DC2JH3J%2F397700885554%2F96rGlfmibIGlgcZRskXaIFfN&trigger_id=398738663015.47445629121.803a0bc887a14d10d2c447fce8b6703c';
+    assert.equal(
+      computeSlackSignature(SLACK_SIGNING_SECRET, 1531420618, body),
+      'v0=a2114d57b48eac39b9ad189dd8316235a7b4a8d21a10bd27519666489c69b503'
+    );
+  });
+});
+
+describe('verifySlackSignature', () => {
+  test('accepts a valid signature', () => {
+    assert.deepEqual(verifySlackSignature(signedRequest()), { valid: true });
+  });
+
+  test('rejects a tampered body', () => {
+    const request = signedRequest();
+    const result = verifySlackSignature({ ...request, rawBody: request.rawBody.replace('ciao', 'hello') });
+    assert.deepEqual(result, { valid: false, reason: 'Signature mismatch' });
+  });
+
+  test('rejects a signature made with another secret', () => {
+    const result = verifySlackSignature(signedRequest({ secret: 'another-secret' }));
+    assert.equal(result.valid, false);
+  });
+
+  test('rejects a stale timestamp, even when correctly signed', () => {
+    const stale = Math.floor(Date.now() / 1000) - 301;
+    const result = verifySlackSignature(signedRequest({ timestamp: stale }));
+    assert.deepEqual(result, { valid: false, reason: 'Request timestamp outside replay window' });
+  });
+
+  test('accepts an older timestamp within a custom tolerance', () => {
+    const old = Math.floor(Date.now() / 1000) - 600;
+    assert.equal(verifySlackSignature({ ...signedRequest({ timestamp: old }), toleranceSeconds: 900 }).valid, true);
+  });
+
+  test('rejects missing headers', () => {
+    const request = signedRequest();
+    assert.deepEqual(
+      verifySlackSignature({ ...request, signature: undefined }),
+      { valid: false, reason: 'Missing signature headers' }
+    );
+    assert.deepEqual(
+      verifySlackSignature({ ...request, timestamp: undefined }),
+      { valid: false, reason: 'Missing signature headers' }
+    );
+  });
+
+  test('rejects requests when the signing secret is not configured', () => {
+    const result = verifySlackSignature({ ...signedRequest(), signingSecret: undefined });
+    assert.deepEqual(result, { valid: false, reason: 'Signing secret not configured' });
+  });
+
+  test('rejects a non-numeric timestamp', () => {
+    const result = verifySlackSignature({ ...signedRequest(), timestamp: 'yesterday' });
+    assert.deepEqual(result, { valid: false, reason: 'Invalid timestamp' });
+  });
+});
+
+describe('slackSignatureMiddleware', () => {
+  let server;
+  let url;
+
+  before(async () => {
+    const app = express();
+    app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+    app.post('/slack/commands', slackSignatureMiddleware(SLACK_SIGNING_SECRET), (req, res) => {
+      res.json({ text: req.body.text });
+    });
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    url = `http://127.0.0.1:${server.address().port}/slack/commands`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const post = (headers, body = BODY) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+    body
+  });
+
+  const signedHeaders = (body = BODY, timestamp = Math.floor(Date.now() / 1000)) => ({
+    'X-Slack-Request-Timestamp': String(timestamp),
+    'X-Slack-Signature': computeSlackSignature(SLACK_SIGNING_SECRET, timestamp, body)
+  });
+
+  test('passes signed requests to the route handler', async () => {
+    const response = await post(signedHeaders());
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { text: 'ciao' });
+  });
+
+  test('answers 401 to a tampered body', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const response = await post(signedHeaders(), BODY.replace('ciao', 'hello'));
+    assert.equal(response.status, 401);
+    assert.deepEqual(await response.json(), { error: 'Invalid request signature' });
+  });
+
+  test('answers 401 to a stale request', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const response = await post(signedHeaders(BODY, Math.floor(Date.now() / 1000) - 3600));
+    assert.equal(response.status, 401);
+  });
+
+  test('answers 401 when the signature headers are missing', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const response = await post({});
+    assert.equal(response.status, 401);
+  });
+});
@@ -0,0 +1,479 @@
+// test/storage.test.js
+//
+// Contract shared by the storage backends: every backend must pass the same
+// tests. SQLite runs in memory; Postgres runs when DATABASE_URL is set, in a
+// schema of its own that is dropped at the end (existing tables are not touched).
+import { describe, test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import pg from 'pg';
+import { createStorage } from '../storage/index.js';
+import { DAY_MS } from '../storage/base.js';
+
+const UTC_DATE = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+/**
+ * Postgres connection string that uses a dedicated schema
+ */
+function withSearchPath(connectionString, schema) {
+  const url = new URL(connectionString);
+  url.searchParams.set('options', `-c search_path=${schema}`);
+  return url.toString();
+}
+
+const BACKENDS = [
+  {
+    name: 'sqlite',
+    async setup() {},
+    async create() {
+      return createStorage('sqlite', { filename: ':memory:' });
+    },
+    async teardown() {}
+  },
+  {
+    name: 'postgres',
+    skip: !process.env.DATABASE_URL && 'DATABASE_URL is not set',
+    schema: `storage_contract_${process.pid}_${Date.now()}`,
+    async setup() {
+      this.admin = new pg.Client({ connectionString: process.env.DATABASE_URL });
+      await this.admin.connect();
+    },
+    async create() {
+      await this.admin.query(`DROP SCHEMA IF EXISTS ${this.schema} CASCADE`);
+      await this.admin.query(`CREATE SCHEMA ${this.schema}`);
+      return createStorage('postgres', {
+        connectionString: withSearchPath(process.env.DATABASE_URL, this.schema),
+        maxConnections: 2
+      });
+    },
+    async teardown() {
+      await this.admin.query(`DROP SCHEMA IF EXISTS ${this.schema} CASCADE`);
+      await this.admin.end();
+    }
+  }
+];
+
+/**
+ * Translation memory entry as the database module stores it (keys, texts and
+ * results are opaque strings to the backends)
+ */
+function memoryEntry(sourceKey, overrides = {}) {
+  return {
+    sourceKey,
+    sourceText: sourceKey,
+    sourceLength: sourceKey.length,
+    language: 'it-IT',
+    tone: 'neutral',
+    result: `[it] ${sourceKey}`,
+    userId: 'U1',
+    channelId: 'C1',
+    ...overrides
+  };
+}
+
+/**
+ * Run a function with Date.now() returning a fixed time
+ */
+async function at(t, time, fn) {
+  const now = t.mock.method(Date, 'now', () => time);
+  try {
+    return await fn();
+  } finally {
+    now.mock.restore();
+  }
+}
+
+const usageEntry = overrides => ({
+  teamId: 'T1',
+  userId: 'U1',
+  channelId: 'C1',
+  command: 'translate',
+  provider: 'claude',
+  model: 'claude-x',
+  inputTokens: 100,
+  outputTokens: 50,
+  latencyMs: 1000,
+  ...overrides
+});
+
+for (const backend of BACKENDS) {
+  describe(`storage contract: ${backend.name}`, { skip: backend.skip }, () => {
+    let storage;
+
+    before(() => backend.setup());
+    after(() => backend.teardown());
+
+    beforeEach(async (t) => {
+      storage = await backend.create();
+      // Migrations log each file they apply
+      const log = t.mock.method(console, 'log', () => {});
+      await storage.init();
+      log.mock.restore();
+    });
+
+    afterEach(() => storage.close());
+
+    describe('migrations', () => {
+      test('leave nothing pending after init', async () => {
+        const { pending, unknown } = await storage.getMigrationStatus();
+        assert.deepEqual(pending, []);
+        assert.deepEqual(unknown, []);
+      });
+    });
+
+    describe('conversation history', () => {
+      test('returns the most recent messages, oldest first', async () => {
+        for (let i = 1; i <= 5; i++) {
+          await storage.addMessage('U1', 'C1', i % 2 ? 'user' : 'assistant', `message ${i}`, 'T1');
+        }
+        await storage.addMessage('U1', 'C2', 'user', 'other channel', 'T1');
+        await storage.addMessage('U1', 'C1', 'user', 'other team', 'T2');
+
+        const history = await storage.getHistory('U1', 'C1', 3, 'T1');
+        assert.deepEqual(history.map(message => message.content), ['message 3', 'message 4', 'message 5']);
+        assert.deepEqual(history.map(message => message.role), ['user', 'assistant', 'user']);
+        assert.ok(history.every(message => typeof message.timestamp === 'number'));
+        assert.equal(await storage.getMessageCount('U1', 'C1', 'T1'), 5);
+      });
+
+      test('only returns messages after afterId', async () => {
+        for (let i = 1; i <= 4; i++) {
+          await storage.addMessage('U1', 'C1', 'user', `message ${i}`, 'T1');
+        }
+        const [, second] = await storage.getUnsummarizedMessages('U1', 'C1', 0, 0, 'T1');
+
+        const history = await storage.getHistory('U1', 'C1', 10, 'T1', second.id);
+        assert.deepEqual(history.map(message => message.content), ['message 3', 'message 4']);
+      });
+
+      test('clears the messages and the summary of a conversation', async () => {
+        await storage.addMessage('U1', 'C1', 'user', 'hello', 'T1');
+        await storage.addMessage('U1', 'C2', 'user', 'kept', 'T1');
+        await storage.saveSummary('U1', 'C1', 'summary', 1, 'T1');
+
+        assert.equal(await storage.clearHistory('U1', 'C1', 'T1'), true);
+        assert.equal(await storage.clearHistory('U1', 'C1', 'T1'), false);
+        assert.equal(await storage.getMessageCount('U1', 'C1', 'T1'), 0);
+        assert.equal(await storage.getMessageCount('U1', 'C2', 'T1'), 1);
+        assert.equal(await storage.getSummary('U1', 'C1', 'T1'), null);
+      });
+
+      test('deletes the history of a user in every channel', async () => {
+        await storage.addMessage('U1', 'C1', 'user', 'a', 'T1');
+        await storage.addMessage('U1', 'C2', 'user', 'b', 'T1');
+        await storage.addMessage('U2', 'C1', 'user', 'c', 'T1');
+        await storage.saveSummary('U1', 'C1', 'summary', 1, 'T1');
+        await storage.saveMemoryEntry('T1', memoryEntry('a', { userId: 'U1', channelId: 'C1' }));
+        await storage.saveMemoryEntry('T1', memoryEntry('c', { userId: 'U2', channelId: 'C1' }));
+        const vector = Buffer.from(new Float32Array([1]).buffer);
+        await storage.saveEmbedding('T1', 'U1', 'hash', 'm', vector);
+        await storage.saveEmbedding('T1', 'U2', 'hash', 'm', vector);
+
+        assert.deepEqual(await storage.deleteUserHistory('T1', 'U1'), { messages: 2, summaries: 1, memoryEntries: 1, embeddings: 1 });
+        assert.equal(await storage.getMessageCount('U2', 'C1', 'T1'), 1);
+        assert.equal(await storage.getEmbedding('T1', 'U1', 'hash', 'm'), null);
+        assert.ok(await storage.getEmbedding('T1', 'U2', 'hash', 'm'));
+        assert.equal(await storage.getMemoryEntry('T1', 'a', 'it-IT', 'neutral'), null);
+        assert.equal(await storage.getMemoryEntry('T1', 'c', 'it-IT', 'neutral'), '[it] c');
+      });
+    });
+
+    describe('conversation summaries', () => {
+      test('lists the messages between the summary and the recent window', async () => {
+        for (let i = 1; i <= 6; i++) {
+          await storage.addMessage('U1', 'C1', 'user', `message ${i}`, 'T1');
+        }
+
+        const all = await storage.getUnsummarizedMessages('U1', 'C1', 0, 2, 'T1');
+        assert.deepEqual(all.map(message => message.content), ['message 1', 'message 2', 'message 3', 'message 4']);
+        assert.ok(all.every(message => typeof message.id === 'number' && typeof message.timestamp === 'number'));
+
+        const after = await storage.getUnsummarizedMessages('U1', 'C1', all[1].id, 2, 'T1');
+        assert.deepEqual(after.map(message => message.content), ['message 3', 'message 4']);
+        assert.deepEqual(await storage.getUnsummarizedMessages('U1', 'C1', 0, 6, 'T1'), []);
+      });
+
+      test('replaces the stored summary', async () => {
+        await storage.saveSummary('U1', 'C1', 'first', 3, 'T1');
+        await storage.saveSummary('U1', 'C1', 'second', 7, 'T1');
+
+        const summary = await storage.getSummary('U1', 'C1', 'T1');
+        assert.equal(summary.summary, 'second');
+        assert.equal(summary.lastMessageId, 7);
+        assert.match(summary.updatedAt, UTC_DATE);
+        assert.equal(await storage.getSummary('U1', 'C1', 'T2'), null);
+      });
+    });
+
+    describe('installations', () => {
+      const installation = {
+        teamId: 'T1',
+        teamName: 'Acme',
+        botToken: 'xoxb-1',
+        botUserId: 'B1',
+        appId: 'A1',
+        scope: 'chat:write',
+        installedBy: 'U1'
+      };
+
+      test('are replaced on reinstall and deleted', async () => {
+        await storage.saveInstallation(installation);
+        await storage.saveInstallation({ ...installation, botToken: 'xoxb-2', teamName: 'Acme Inc' });
+
+        assert.deepEqual(await storage.getInstallation('T1'), { ...installation, botToken: 'xoxb-2', teamName: 'Acme Inc' });
+        assert.equal(await storage.deleteInstallation('T1'), true);
+        assert.equal(await storage.deleteInstallation('T1'), false);
+        assert.equal(await storage.getInstallation('T1'), null);
+      });
+    });
+
+    describe('channel settings and user preferences', () => {
+      test('channel settings are replaced and deleted', async () => {
+        await storage.setChannelSettings('T1', 'C1', 'it-IT', 'formal', 'U1');
+        await storage.setChannelSettings('T1', 'C1', 'de-DE', 'casual', 'U2');
+
+        assert.deepEqual(await storage.getChannelSettings('T1', 'C1'), { language: 'de-DE', tone: 'casual', enabledBy: 'U2' });
+        assert.equal(await storage.deleteChannelSettings('T1', 'C1'), true);
+        assert.equal(await storage.deleteChannelSettings('T1', 'C1'), false);
+        assert.equal(await storage.getChannelSettings('T1', 'C1'), null);
+      });
+
+      test('null preference fields keep their stored value', async () => {
+        await storage.setUserPreferences('T1', 'U1', { language: 'it-IT', tone: null });
+        assert.deepEqual(await storage.getUserPreferences('T1', 'U1'), { language: 'it-IT', tone: null, storeHistory: true });
+
+        await storage.setUserPreferences('T1', 'U1', { language: null, tone: 'formal', storeHistory: false });
+        assert.deepEqual(await storage.getUserPreferences('T1', 'U1'), { language: 'it-IT', tone: 'formal', storeHistory: false });
+
+        await storage.setUserPreferences('T1', 'U1', { language: 'fr-FR', tone: null });
+        assert.deepEqual(await storage.getUserPreferences('T1', 'U1'), { language: 'fr-FR', tone: 'formal', storeHistory: false });
+
+        assert.equal(await storage.deleteUserPreferences('T1', 'U1'), true);
+        assert.equal(await storage.getUserPreferences('T1', 'U1'), null);
+      });
+    });
+
+    describe('retention', () => {
+      test('policies are replaced and listed by channel, workspace first', async () => {
+        await storage.setRetentionPolicy('T1', 'C1', 7, 'U1');
+        await storage.setRetentionPolicy('T1', '', 30, 'U1');
+        await storage.setRetentionPolicy('T1', 'C1', 3, 'U2');
+
+        const policies = await storage.getRetentionPolicies('T1');
+        assert.deepEqual(policies.map(({ channelId, days, updatedBy }) => ({ channelId, days, updatedBy })), [
+          { channelId: '', days: 30, updatedBy: 'U1' },
+          { channelId: 'C1', days: 3, updatedBy: 'U2' }
+        ]);
+        assert.ok(policies.every(policy => UTC_DATE.test(policy.updatedAt)));
+
+        assert.equal(await storage.deleteRetentionPolicy('T1', 'C1'), true);
+        assert.equal(await storage.deleteRetentionPolicy('T1', 'C1'), false);
+      });
+
+      test('expire messages by channel policy, else workspace policy, else the default', async (t) => {
+        const now = Date.now();
+        await storage.setRetentionPolicy('T1', 'C1', 2, 'U1');
+        await storage.setRetentionPolicy('T1', '', 10, 'U1');
+
+        // 5 days old: expired in C1 (2 days) only; 20 days old: expired everywhere in T1
+        await at(t, now - 5 * DAY_MS, async () => {
+          await storage.addMessage('U1', 'C1', 'user', 'C1, 5 days', 'T1');
+          await storage.addMessage('U1', 'C2', 'user', 'C2, 5 days', 'T1');
+          await storage.addMessage('U1', 'C1', 'user', 'T2, 5 days', 'T2');
+        });
+        await at(t, now - 20 * DAY_MS, async () => {
+          await storage.addMessage('U1', 'C2', 'user', 'C2, 20 days', 'T1');
+          await storage.addMessage('U1', 'C1', 'user', 'T2, 20 days', 'T2');
+        });
+        await at(t, now - 40 * DAY_MS, async () => {
+          await storage.addMessage('U1', 'C1', 'user', 'T2, 40 days', 'T2');
+        });
+        await storage.addMessage('U1', 'C1', 'user', 'C1, now', 'T1');
+
+        assert.equal(await storage.cleanupOldMessages(30), 3);
+
+        const remaining = [
+          ...await storage.getHistory('U1', 'C1', 10, 'T1'),
+          ...await storage.getHistory('U1', 'C2', 10, 'T1'),
+          ...await storage.getHistory('U1', 'C1', 10, 'T2')
+        ].map(message => message.content);
+        assert.deepEqual(remaining, ['C1, now', 'C2, 5 days', 'T2, 20 days', 'T2, 5 days']);
+      });
+
+      test('delete summaries whose last message expired', async (t) => {
+        await at(t, Date.now() - 40 * DAY_MS, () => storage.addMessage('U1', 'C1', 'user', 'old', 'T1'));
+        const [old] = await storage.getUnsummarizedMessages('U1', 'C1', 0, 0, 'T1');
+        await storage.saveSummary('U1', 'C1', 'about old', old.id, 'T1');
+
+        await storage.cleanupOldMessages(30);
+
+        assert.equal(await storage.getSummary('U1', 'C1', 'T1'), null);
+      });
+
+      test('expire translation memory entries by the retention of their channel', async (t) => {
+        const now = Date.now();
+        await storage.setRetentionPolicy('T1', 'C1', 2, 'U1');
+
+        await at(t, now - 5 * DAY_MS, async () => {
+          await storage.saveMemoryEntry('T1', memoryEntry('C1, 5 days', { channelId: 'C1' }));
+          await storage.saveMemoryEntry('T1', memoryEntry('C2, 5 days', { channelId: 'C2' }));
+          await storage.saveMemoryEntry('T1', memoryEntry('saved again', { channelId: 'C1' }));
+        });
+        await at(t, now - 40 * DAY_MS, () => storage.saveMemoryEntry('T1', memoryEntry('C2, 40 days', { channelId: 'C2' })));
+        await storage.saveMemoryEntry('T1', memoryEntry('saved again', { channelId: 'C1' }));
+
+        await storage.cleanupOldMessages(30);
+
+        const remaining = await storage.getMemoryCandidates('T1', 'it-IT', 0, 100, 10);
+        assert.deepEqual(remaining.map(entry => entry.sourceText).sort(), ['C2, 5 days', 'saved again']);
+      });
+
+      test('delete embeddings older than the shortest retention period', async (t) => {
+        const vector = Buffer.from(new Float32Array([0.5, -1]).buffer);
+        await storage.setRetentionPolicy('T1', 'C1', 3, 'U1');
+        await at(t, Date.now() - 5 * DAY_MS, () => storage.saveEmbedding('T1', 'U1', 'old', 'm', vector));
+        await storage.saveEmbedding('T1', 'U1', 'new', 'm', vector);
+
+        await storage.cleanupOldMessages(30);
+
+        assert.equal(await storage.getEmbedding('T1', 'U1', 'old', 'm'), null);
+        assert.deepEqual([...await storage.getEmbedding('T1', 'U1', 'new', 'm')], [0.5, -1]);
+      });
+    });
+
+    describe('glossary', () => {
+      test('entries are replaced by term and language, and removed', async () => {
+        await storage.addGlossaryEntries('T1', [
+          { term: 'Deploy', language: 'it-IT', translation: 'rilascio' },
+          { term: 'Acme', language: 'it-IT', doNotTranslate: true, translation: 'ignored' },
+          { term: 'deploy', language: 'de-DE', translation: 'Bereitstellung' }
+        ], 'U1');
+        await storage.addGlossaryEntries('T1', [{ term: 'DEPLOY', language: 'it-IT', translation: 'deploy' }], 'U2');
+
+        assert.deepEqual(await storage.getGlossary('T1'), [
+          { term: 'Acme', language: 'it-IT', translation: null, doNotTranslate: true },
+          { term: 'deploy', language: 'de-DE', translation: 'Bereitstellung', doNotTranslate: false },
+          { term: 'DEPLOY', language: 'it-IT', translation: 'deploy', doNotTranslate: false }
+        ]);
+
+        assert.equal(await storage.removeGlossaryEntry('T1', 'Deploy', 'it-IT'), 1);
+        assert.equal(await storage.removeGlossaryEntry('T1', 'acme'), 1);
+        assert.equal(await storage.removeGlossaryEntry('T1', 'acme'), 0);
+        assert.deepEqual((await storage.getGlossary('T1')).map(entry => entry.language), ['de-DE']);
+        assert.deepEqual(await storage.getGlossary('T2'), []);
+      });
+    });
+
+    describe('translation memory', () => {
+      const entry = memoryEntry;
+
+      test('entries are replaced and counted on hit', async () => {
+        await storage.saveMemoryEntry('T1', entry('hello'));
+        await storage.saveMemoryEntry('T1', entry('hello', { result: 'ciao' }));
+        await storage.saveMemoryEntry('T1', entry('hello', { tone: 'formal', result: 'salve' }));
+
+        assert.equal(await storage.getMemoryEntry('T1', 'hello', 'it-IT', 'neutral'), 'ciao');
+        assert.equal(await storage.getMemoryEntry('T1', 'hello', 'it-IT', 'formal'), 'salve');
+        assert.equal(await storage.getMemoryEntry('T1', 'hello', 'de-DE', 'neutral'), null);
+        assert.equal(await storage.getMemoryEntry('T2', 'hello', 'it-IT', 'neutral'), null);
+        assert.equal((await storage.getMemoryStats('T1')).entries, 2);
+      });
+
+      test('candidates are filtered by language and source length', async () => {
+        for (const key of ['abc', 'abcde', 'abcdefg', 'abcdefghij']) {
+          await storage.saveMemoryEntry('T1', entry(key));
+        }
+        await storage.saveMemoryEntry('T1', entry('vwxyz', { language: 'de-DE' }));
+        await storage.saveMemoryEntry('T2', entry('fghij'));
+
+        const candidates = await storage.getMemoryCandidates('T1', 'it-IT', 4, 7, 10);
+        assert.deepEqual(candidates.map(candidate => candidate.sourceText).sort(), ['abcde', 'abcdefg']);
+        assert.deepEqual(candidates.find(candidate => candidate.sourceText === 'abcde'), {
+          sourceText: 'abcde',
+          result: '[it] abcde'
+        });
+        assert.equal((await storage.getMemoryCandidates('T1', 'it-IT', 0, 100, 2)).length, 2);
+      });
+
+      test('lookup counters start at zero and are counted per workspace', async () => {
+        assert.deepEqual(await storage.getMemoryStats('T1'), { exactHits: 0, fuzzyHits: 0, misses: 0, bypassed: 0, entries: 0 });
+
+        for (const kind of ['exact', 'exact', 'fuzzy', 'miss', 'bypassed', 'miss', 'miss']) {
+          await storage.recordMemoryLookup('T1', kind);
+        }
+        await storage.recordMemoryLookup('T2', 'exact');
+
+        assert.deepEqual(await storage.getMemoryStats('T1'), { exactHits: 2, fuzzyHits: 1, misses: 3, bypassed: 1, entries: 0 });
+      });
+    });
+
+    describe('usage', () => {
+      test('totals are summed per user and per channel since a date', async (t) => {
+        const now = Date.now();
+        await at(t, now - 2 * DAY_MS, () => storage.recordUsage(usageEntry({ inputTokens: 1000 })));
+        await storage.recordUsage(usageEntry());
+        await storage.recordUsage(usageEntry({ channelId: 'C2', outputTokens: null }));
+        await storage.recordUsage(usageEntry({ userId: 'U2' }));
+
+        assert.deepEqual(await storage.getUsageTotals('T1', 'user', 'U1', now - DAY_MS), { requests: 2, inputTokens: 200, outputTokens: 50 });
+        assert.deepEqual(await storage.getUsageTotals('T1', 'user', 'U1', 0), { requests: 3, inputTokens: 1200, outputTokens: 100 });
+        assert.deepEqual(await storage.getUsageTotals('T1', 'channel', 'C1', 0), { requests: 3, inputTokens: 1200, outputTokens: 150 });
+        assert.deepEqual(await storage.getUsageTotals('T1', 'user', 'U3', 0), { requests: 0, inputTokens: 0, outputTokens: 0 });
+      });
+
+      test('breakdowns are grouped, filtered by workspace and sorted by tokens', async () => {
+        await storage.recordUsage(usageEntry({ latencyMs: 1000 }));
+        await storage.recordUsage(usageEntry({ latencyMs: 2001 }));
+        await storage.recordUsage(usageEntry({ userId: 'U2', command: 'summary', inputTokens: 1000, latencyMs: 500 }));
+        await storage.recordUsage(usageEntry({ teamId: 'T2', provider: 'openai', model: 'gpt-x', inputTokens: null, outputTokens: null }));
+
+        assert.deepEqual(await storage.getUsageBreakdown('total', 0, null, 10), [
+          { requests: 4, inputTokens: 1200, outputTokens: 150, avgLatencyMs: 1125 }
+        ]);
+        assert.deepEqual(await storage.getUsageBreakdown('user', 0, 'T1', 10), [
+          { teamId: 'T1', userId: 'U2', requests: 1, inputTokens: 1000, outputTokens: 50, avgLatencyMs: 500 },
+          { teamId: 'T1', userId: 'U1', requests: 2, inputTokens: 200, outputTokens: 100, avgLatencyMs: 1501 }
+        ]);
+        assert.deepEqual(await storage.getUsageBreakdown('model', 0, null, 10), [
+          { provider: 'claude', model: 'claude-x', requests: 3, inputTokens: 1200, outputTokens: 150, avgLatencyMs: 1167 },
+          { provider: 'openai', model: 'gpt-x', requests: 1, inputTokens: 0, outputTokens: 0, avgLatencyMs: 1000 }
+        ]);
+        assert.deepEqual(await storage.getUsageBreakdown('command', 0, 'T1', 1), [
+          { command: 'summary', requests: 1, inputTokens: 1000, outputTokens: 50, avgLatencyMs: 500 }
+        ]);
+        assert.deepEqual(await storage.getUsageBreakdown('team', Date.now() + DAY_MS, null, 10), []);
+      });
+
+      test('rows are deleted per user and after the retention period', async (t) => {
+        await at(t, Date.now() - 400 * DAY_MS, () => storage.recordUsage(usageEntry({ userId: 'U2' })));
+        await storage.recordUsage(usageEntry());
+        await storage.recordUsage(usageEntry({ userId: 'U2' }));
+
+        assert.equal(await storage.cleanupOldUsage(365), 1);
+        assert.equal(await storage.deleteUserUsage('T1', 'U2'), 1);
+        assert.deepEqual(await storage.getUsageTotals('T1', 'channel', 'C1', 0), { requests: 1, inputTokens: 100, outputTokens: 50 });
+      });
+    });
+
+    describe('embeddings', () => {
+      test('vectors round-trip as Float32Array and are replaced', async () => {
+        const encode = values => Buffer.from(new Float32Array(values).buffer);
+        await storage.saveEmbedding('T1', 'U1', 'hash', 'model-a', encode([1, 2, 3]));
+        await storage.saveEmbedding('T1', 'U1', 'hash', 'model-a', encode([0.25, 0.5]));
+        await storage.saveEmbedding('T1', 'U1', 'hash', 'model-b', encode([9]));
+
+        const vector = await storage.getEmbedding('T1', 'U1', 'hash', 'model-a');
+        assert.ok(vector instanceof Float32Array);
+        assert.deepEqual([...vector], [0.25, 0.5]);
+        assert.deepEqual([...await storage.getEmbedding('T1', 'U1', 'hash', 'model-b')], [9]);
+        assert.equal(await storage.getEmbedding('T1', 'U1', 'other', 'model-a'), null);
+      });
+
+      test('are cached per user', async () => {
+        await storage.saveEmbedding('T1', 'U1', 'hash', 'm', Buffer.from(new Float32Array([1]).buffer));
+
+        assert.equal(await storage.getEmbedding('T1', 'U2', 'hash', 'm'), null);
+        assert.equal(await storage.getEmbedding('T2', 'U1', 'hash', 'm'), null);
+      });
+    });
+  });
+}
@@ -0,0 +1,134 @@
+// test/thread-translation.test.js
+import { describe, test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaseHandler } from '../utils/base-handler.js';
+import { UsageLimitError } from '../utils/usage.js';
+import { renderThreadTranslationMessages } from '../utils/slack-blocks.js';
+import { formatThreadChunk } from '../utils/thread-translation.js';
+
+// One token per 10 characters
+const estimate = text => Math.ceil(text.length / 10);
+
+/**
+ * Provider that translates every message of a chunk to "[en] <text>", recording the requests
+ */
+function createStubProvider() {
+  const provider = {
+    providers: [{ name: 'stub' }],
+    requests: [],
+    estimateTokens: estimate,
+    getContextBudget: () => 4000,
+    async generateDetailed(prompt, conversationHistory, options) {
+      provider.requests.push(prompt);
+      const translations = [...prompt.matchAll(/^\[(\d+)\] [^:]+: (.*)$/gm)]
+        .map(([, id, text]) => ({ id: Number(id), text: `[en] ${text}` }));
+      return { text: JSON.stringify({ translations }), provider: 'stub', model: 'stub', usage: null };
+    }
+  };
+  return provider;
+}
+
+/**
+ * Database module stub: no glossary, and the given tokens already used today
+ */
+function createDb(usedTokens) {
+  return {
+    getGlossary: async () => [],
+    getUsageTotals: async () => ({ inputTokens: usedTokens, outputTokens: 0 }),
+    recordUsage: async () => true
+  };
+}
+
+const thread = Array.from({ length: 20 }, (_, index) => ({ user: `U${index % 3}`, text: `Messaggio numero ${index + 1} del thread` }));
+
+describe('translateThread', () => {
+  let handler;
+
+  before(() => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      handler = new BaseHandler({ LLM_PROVIDER: 'ollama', USER_DAILY_TOKEN_QUOTA: '5000', THREAD_CHUNK_TOKENS: '10' });
+    } finally {
+      console.log = log;
+    }
+  });
+
+  beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+    handler.llmProvider = createStubProvider();
+  });
+
+  const translate = (db, params = {}) => handler.translateThread({
+    messages: thread, language: 'en-US', tone: 'neutral', userId: 'U1', channelId: 'C1', teamId: 'T1', ...params
+  }, db);
+
+  test('translates every chunk when the estimate fits the quota', async () => {
+    const result = await translate(createDb(0));
+
+    assert.ok(handler.llmProvider.requests.length > 1);
+    assert.equal(result.messages.length, 20);
+    assert.ok(result.messages.every(message => message.translation === `[en] ${message.text}`));
+  });
+
+  test('does not start a thread whose estimate exceeds what is left of the quota', async () => {
+    // The thread alone is far below the quota; its chunks, each with the prompt, are not
+    const threadTokens = estimate(formatThreadChunk(thread.map((message, index) => ({ id: index + 1, author: `<@${message.user}>`, text: message.text }))));
+    assert.ok(threadTokens < 500);
+
+    await assert.rejects(translate(createDb(4500)), error => {
+      assert.ok(error instanceof UsageLimitError);
+      assert.match(error.message, /^This needs about [\d,]+ tokens, and your daily quota has 500 left\./);
+      return true;
+    });
+    assert.equal(handler.llmProvider.requests.length, 0);
+  });
+});
+
+describe('renderThreadTranslationMessages', () => {
+  const render = count => renderThreadTranslationMessages({
+    language: 'en-US',
+    // Each message fills most of a section, so every message makes a block
+    messages: Array.from({ length: count }, (_, index) => ({ author: '<@U1>', text: 'x', translation: `${index} ${'y'.repeat(2500)}` })),
+    summary: null
+  });
+
+  test('splits long threads into messages of at most 50 blocks', () => {
+    const pages = render(60);
+    assert.deepEqual(pages.map(page => page.blocks.length), [50, 12]);
+  });
+
+  test('cuts the translation after 5 messages, with a note', () => {
+    const pages = render(400);
+
+    assert.equal(pages.length, 5);
+    assert.ok(pages.every(page => page.blocks.length === 50));
+    const last = pages[4].blocks.at(-1);
+    assert.equal(last.type, 'context');
+    assert.match(last.elements[0].text, /too long to show in full/);
+  });
+});
+
+describe('processThreadShortcut', () => {
+  test('logs a failure to post the error reply instead of throwing', async (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'log', () => {});
+    const handler = new BaseHandler({ LLM_PROVIDER: 'ollama' });
+    handler.getDefaultOptions = async () => {
+      throw new Error('database unavailable');
+    };
+    handler.postToResponseUrl = async () => {
+      throw new Error('Slack response_url error: 404');
+    };
+
+    await handler.processThreadShortcut({
+      user: { id: 'U1', name: 'alice' },
+      channel: { id: 'C1' },
+      team: { id: 'T1' },
+      message: { ts: '1700000000.000100' },
+      response_url: 'https://hooks.slack.test/response'
+    }, {});
+
+    assert.deepEqual(error.mock.calls.map(call => call.arguments[0]), ['Error processing thread shortcut:', 'Error posting error reply:']);
+  });
+});
@@ -0,0 +1,98 @@
+// test/translation-memory.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, editDistance, findFuzzyMatches, normalizeSourceText } from '../utils/translation-memory.js';
+
+// Unbounded Levenshtein distance, to check the banded implementation against
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const entry = sourceKey => ({ sourceKey, sourceText: sourceKey, translation: `[it] ${sourceKey}` });
+
+describe('editDistance', () => {
+  test('computes the Levenshtein distance', () => {
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+    assert.equal(editDistance('', 'abc'), 3);
+    assert.equal(editDistance('same', 'same'), 0);
+  });
+
+  test('matches the unbounded distance within maxDistance, and is Infinity above it', () => {
+    const pairs = [
+      ['Your order has shipped', 'Your orders have shipped'],
+      ['The meeting is tomorrow', 'The meeting was yesterday'],
+      ['abcdef', 'fedcba'],
+      ['release notes for 2.4', 'release notes for 2.5'],
+      ['short', 'a much longer sentence']
+    ];
+
+    for (const [a, b] of pairs) {
+      const distance = levenshtein(a, b);
+      for (let maxDistance = 0; maxDistance <= 25; maxDistance++) {
+        assert.equal(editDistance(a, b, maxDistance), distance <= maxDistance ? distance : Infinity, `${a} / ${b} / ${maxDistance}`);
+      }
+    }
+  });
+});
+
+describe('findFuzzyMatches', () => {
+  test('returns similar entries, most similar first, without the exact match', () => {
+    const source = normalizeSourceText('Your order has shipped today');
+    const matches = findFuzzyMatches(source, [
+      entry('Your order has shipped today'),
+      entry('Your orders have shipped today'),
+      entry('Your order has shipped'),
+      entry('Lunch is at noon in the main room')
+    ]);
+
+    assert.deepEqual(matches.map(match => match.sourceKey), ['Your orders have shipped today', 'Your order has shipped']);
+    assert.ok(matches.every(match => match.similarity >= CONFIG.FUZZY_THRESHOLD));
+  });
+
+  test('only matches texts up to MAX_FUZZY_LENGTH', () => {
+    const long = 'x'.repeat(CONFIG.MAX_FUZZY_LENGTH) + ' y';
+    assert.deepEqual(findFuzzyMatches(long, [entry(`${long}z`)]), []);
+  });
+
+  test('compares at most MAX_CANDIDATES entries', () => {
+    const source = 'Please send the invoice by Friday';
+    const candidates = [
+      ...Array.from({ length: CONFIG.MAX_CANDIDATES }, (_, i) => entry(`Unrelated message number ${i}`)),
+      entry('Please send the invoice by Monday')
+    ];
+    assert.deepEqual(findFuzzyMatches(source, candidates), []);
+  });
+
+  test('skipping candidates by shared bigrams loses no match', () => {
+    const source = 'the deploy of the billing service is moved to monday morning';
+    const candidates = [
+      'the deploy of the billing service is moved to tuesday morning',
+      'the deploy of the billing service moved to monday',
+      'monday morning the billing service deploy is moved',
+      'the billing deploy is on monday',
+      'the deploy of the biling servce is moved to monday mornin'
+    ].map(entry);
+
+    const expected = candidates
+      .map(candidate => {
+        const maxLength = Math.max(source.length, candidate.sourceKey.length);
+        return { key: candidate.sourceKey, similarity: 1 - levenshtein(source, candidate.sourceKey) / maxLength };
+      })
+      .filter(match => match.similarity >= CONFIG.FUZZY_THRESHOLD)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, CONFIG.MAX_REFERENCES);
+
+    assert.deepEqual(
+      findFuzzyMatches(source, candidates).map(match => ({ key: match.sourceKey, similarity: match.similarity })),
+      expected
+    );
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Authentication of the admin HTTP endpoints
+ *
+ * Admin endpoints (under /admin) require an "Authorization: Bearer <token>"
+ * header matching ADMIN_TOKEN. Without ADMIN_TOKEN they are disabled and
+ * answer 404, so they are never exposed by accident.
+ *
+ * @requires crypto
+ */
+
+// utils/admin-auth.js
+import { createHash, timingSafeEqual } from 'crypto';
+
+/**
+ * Compare two tokens in constant time
+ *
+ * Both are hashed first, so tokens of different lengths compare safely.
+ *
+ * @param {string} provided - Token sent by the client
+ * @param {string} expected - Configured token
+ * @returns {boolean}
+ */
+function tokensMatch(provided, expected) {
+  const digest = value => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(provided), digest(expected));
+}
+
+/**
+ * Create an express middleware that only lets admin requests through
+ *
+ * @param {string} adminToken - Expected bearer token (ADMIN_TOKEN)
+ * @returns {Function} Express middleware
+ */
+function adminAuthMiddleware(adminToken) {
+  return (req, res, next) => {
+    if (!adminToken) {
+      return res.status(404).json({ error: 'Admin API is not configured' });
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token || !tokensMatch(token, adminToken)) {
+      return res.status(401).json({ error: 'Invalid admin token' });
+    }
+
+    next();
+  };
+}
+
+export { adminAuthMiddleware };
@@ -2,24 +2,187 @@
  * Base class for shared functionality
  */
 
+import { WebClient } from '@slack/web-api';
 import { parseCommand } from './command-parser.js';
-import { loadPrompt } from '../prompts/index.js';
-import { createProvider } from '../providers/index.js';
+import { getCommand } from './commands.js';
+import { renderPrompt } from '../prompts/index.js';
+import { createProviderChain } from '../providers/index.js';
+import { createEmbeddingProvider } from '../providers/embeddings.js';
 import contextManager from './context-manager.js';
-import { createConfig } from './context-manager.js';
+import { scoreHistory } from './semantic-relevance.js';
+import { refreshSummary } from './conversation-summary.js';
+import { createStreamingMessage } from './slack-stream.js';
+import { parseMessageLink, fetchThreadMessages, formatThreadTranscript } from './slack-threads.js';
+import {
+  prepareThreadMessages,
+  formatThreadChunk,
+  chunkThreadMessages,
+  parseThreadTranslations
+} from './thread-translation.js';
+import {
+  ACTIONS,
+  renderTranslationBlocks,
+  renderMultiTranslationBlocks,
+  renderThreadTranslationMessages
+} from './slack-blocks.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { textSimilarity } from './text-similarity.js';
+import {
+  parseTranslationResult,
+  fallbackTranslationResult,
+  extractPartialTranslation
+} from './translation-result.js';
+import {
+  ALL_LANGUAGES,
+  unquote,
+  findGlossaryTerms,
+  checkGlossaryViolations,
+  formatGlossaryViolations,
+  parseGlossaryImport
+} from './glossary.js';
+import {
+  CONFIG as MEMORY_CONFIG,
+  normalizeSourceText,
+  findFuzzyMatches,
+  referencesForPrompt
+} from './translation-memory.js';
+import {
+  fenceUntrustedText,
+  unfenceText,
+  detectInjection,
+  checkTranslationOutput,
+  formatOutputIssues
+} from './prompt-guard.js';
+import {
+  getUsageLimits,
+  UsageLimitError,
+  RateLimiter,
+  startOfUtcDay,
+  formatWait
+} from './usage.js';
+import {
+  EXPORT_FORMATS,
+  formatHistoryExport,
+  groupExchanges,
+  formatExchanges
+} from './history-export.js';
+
+// Global defaults, used when neither the command nor the user's preferences set them
+const DEFAULT_LANGUAGE = 'en-US';
+const DEFAULT_TONE = 'neutral';
+
+// Target languages of a single /translate command, translated a few at a time
+const MAX_TARGET_LANGUAGES = 10;
+const DEFAULT_TRANSLATE_CONCURRENCY = 3;
+
+// Thread translation: input tokens per chunk, and the response room beyond twice the chunk
+const DEFAULT_THREAD_CHUNK_TOKENS = 1000;
+const THREAD_RESPONSE_OVERHEAD_TOKENS = 200;
+// Translated threads at least this long get a summary, unless --no-summary is given
+const THREAD_SUMMARY_MIN_MESSAGES = 10;
+
+const GLOSSARY_ACTIONS = ['add', 'remove', 'list', 'import'];
+
+const HISTORY_ACTIONS = ['clear', 'stats', 'show', 'export'];
+const MEMORY_ACTIONS = ['stats'];
+const DEFAULT_HISTORY_SHOW = 5;
+const MAX_HISTORY_SHOW = 20;
+
+const RETENTION_ACTIONS = ['show', 'set', 'reset'];
+const MAX_RETENTION_DAYS = 3650;
+const PRIVACY_ACTIONS = ['status', 'forget-me', 'remember-me'];
+
+// Period of the usage totals shown by "usage", besides today
+const USAGE_REPORT_DAYS = 30;
+
+// Back-translation similarity thresholds for the quality indication
+const VERIFY_HIGH_SIMILARITY = 0.7;
+const VERIFY_MEDIUM_SIMILARITY = 0.45;
 
 export class BaseHandler {
   constructor(env = {}) {
     this.env = env;
     this.llmProvider = this.initializeLLMProvider(env);
+    this.embeddingProvider = this.initializeEmbeddingProvider(env);
+    this.summariesInProgress = new Set();
+    this.usageLimits = getUsageLimits(env);
+    this.rateLimiter = new RateLimiter();
+    this.translateConcurrency = parseInt(env.TRANSLATE_CONCURRENCY) || DEFAULT_TRANSLATE_CONCURRENCY;
+    this.threadChunkTokens = parseInt(env.THREAD_CHUNK_TOKENS) || DEFAULT_THREAD_CHUNK_TOKENS;
+  }
+
+  /**
+   * Initialize the optional embedding provider used for semantic context selection
+   * 
+   * @returns {Object|null} Embedding provider, or null when EMBEDDINGS_PROVIDER is not set
+   */
+  initializeEmbeddingProvider(env) {
+    const providerName = (env.EMBEDDINGS_PROVIDER || '').trim().toLowerCase();
+    if (!providerName) {
+      return null;
+    }
+
+    return createEmbeddingProvider(providerName, {
+      host: env.OLLAMA_HOST,
+      apiKey: env.OPENAI_API_KEY,
+      model: env.EMBEDDINGS_MODEL
+    });
+  }
+
+  /**
+   * Score the history by semantic similarity with the current message
+   * 
+   * Without an embedding provider, or if embedding fails, the history is
+   * returned as is and the context manager uses keyword scoring.
+   * 
+   * @param {Array} history - Messages, oldest first
+   * @param {string} prompt - Current message
+   * @param {Object} db - Database module
+   * @param {Object} owner - { teamId, userId } whose history it is
+   * @returns {Promise<Array>} History, with relevance scores when available
+   */
+  async scoreHistoryRelevance(history, prompt, db, owner) {
+    if (!this.embeddingProvider) {
+      return history;
+    }
+
+    return scoreHistory(history, prompt, {
+      embedder: this.embeddingProvider,
+      db,
+      owner,
+      skipRecent: contextManager.CONFIG.MIN_RECENT_MESSAGES
+    });
   }
 
   /**
    * Initialize LLM provider with environment configuration
+   * 
+   * LLM_PROVIDER accepts a single provider or an ordered fallback chain
+   * (e.g. "claude,openai,ollama"). Transient errors are retried on each
+   * provider before falling through to the next one.
    */
   initializeLLMProvider(env) {
-    const providerName = env.LLM_PROVIDER || 'ollama';
-    
+    const providerNames = (env.LLM_PROVIDER || 'ollama')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    const chain = providerNames.map(name => ({
+      name,
+      config: this.getProviderConfig(name, env)
+    }));
+
+    return createProviderChain(chain, {
+      maxRetries: parseInt(env.LLM_MAX_RETRIES) >= 0 ? parseInt(env.LLM_MAX_RETRIES) : 2,
+      baseDelayMs: parseInt(env.LLM_RETRY_BASE_DELAY_MS) || 500,
+      maxDelayMs: parseInt(env.LLM_RETRY_MAX_DELAY_MS) || 8000
+    });
+  }
+
+  /**
+   * Build the configuration of a single provider from the environment
+   */
+  getProviderConfig(providerName, env) {
     let config;
     switch (providerName.toLowerCase()) {
       case 'ollama':
@@ -27,7 +190,8 @@ export class BaseHandler {
           host: env.OLLAMA_HOST || 'http://localhost:11434',
           model: env.OLLAMA_MODEL || 'llama3.2',
           temperature: parseFloat(env.OLLAMA_TEMPERATURE) || 0.7,
-          contextWindow: parseInt(env.OLLAMA_CONTEXT_WINDOW) || 4096
+          contextWindow: parseInt(env.OLLAMA_CONTEXT_WINDOW) || 4096,
+          maxTokens: parseInt(env.OLLAMA_MAX_TOKENS) || undefined
         };
         break;
         
@@ -36,6 +200,7 @@ export class BaseHandler {
           apiKey: env.CLAUDE_API_KEY || '',
           model: env.CLAUDE_MODEL || 'claude-3-sonnet-20240229',
           maxTokens: parseInt(env.CLAUDE_MAX_TOKENS) || 1024,
+          contextWindow: parseInt(env.CLAUDE_CONTEXT_WINDOW) || undefined,
           temperature: parseFloat(env.CLAUDE_TEMPERATURE) || 0.7
         };
         break;
@@ -45,6 +210,7 @@ export class BaseHandler {
           apiKey: env.OPENAI_API_KEY || '',
           model: env.OPENAI_MODEL || 'gpt-4o-mini',
           maxTokens: parseInt(env.OPENAI_MAX_TOKENS) || 1024,
+          contextWindow: parseInt(env.OPENAI_CONTEXT_WINDOW) || undefined,
           temperature: parseFloat(env.OPENAI_TEMPERATURE) || 0.7
         };
         break;
@@ -53,14 +219,139 @@ export class BaseHandler {
         throw new Error(`Unknown provider: ${providerName}`);
     }
     
-    return createProvider(providerName, config);
+    return config;
   }
 
   /**
    * Generate response using configured LLM provider
+   * 
+   * @param {string} prompt - The user message
+   * @param {Array} conversationHistory - Previous messages
+   * @param {Object} [options] - { system, summary } (see BaseLLMProvider.generate), and usage (see recordUsage)
+   */
+  async generateResponse(prompt, conversationHistory = [], options = {}) {
+    const result = await this.generateResponseDetailed(prompt, conversationHistory, options);
+    return result.text;
+  }
+
+  /**
+   * Generate response, reporting which provider and model answered
+   * 
+   * @param {string} prompt - The user message
+   * @param {Array} conversationHistory - Previous messages
+   * @param {Object} [options] - { system, summary } (see BaseLLMProvider.generate), and usage (see recordUsage)
+   * @returns {Promise<Object>} { text, provider, model, usage }
+   */
+  async generateResponseDetailed(prompt, conversationHistory = [], { usage = null, ...options } = {}) {
+    const startedAt = Date.now();
+    const result = await this.llmProvider.generateDetailed(prompt, conversationHistory, options);
+    await this.recordUsage(usage, result, Date.now() - startedAt);
+    return result;
+  }
+
+  /**
+   * Generate a streamed response, reporting the accumulated text as it grows
+   * 
+   * @param {string} prompt - The user message
+   * @param {Array} conversationHistory - Previous messages
+   * @param {Function} onProgress - Called with the text generated so far
+   * @param {Object} [options] - { system, summary } (see BaseLLMProvider.generate), and usage (see recordUsage)
+   * @returns {Promise<Object>} { text, provider, model, usage } once the stream is complete
+   */
+  async generateResponseStream(prompt, conversationHistory = [], onProgress = () => {}, { usage = null, ...options } = {}) {
+    const startedAt = Date.now();
+    const iterator = this.llmProvider.generateStream(prompt, conversationHistory, options);
+    let text = '';
+    let step;
+
+    while (!(step = await iterator.next()).done) {
+      text += step.value;
+      onProgress(text);
+    }
+
+    await this.recordUsage(usage, step.value, Date.now() - startedAt);
+    return { text, ...step.value };
+  }
+
+  /**
+   * Record the tokens used by a model call
+   * 
+   * @param {Object|null} usage - Who the call was for: { db, command, userId, channelId, teamId };
+   *   null for calls that are not accounted
+   * @param {Object} result - Generation result: { provider, model, usage: { inputTokens, outputTokens } | null }
+   * @param {number} latencyMs - Duration of the call
    */
-  async generateResponse(prompt, conversationHistory = []) {
-    return await this.llmProvider.generate(prompt, conversationHistory);
+  async recordUsage(usage, result, latencyMs) {
+    if (!usage) {
+      return;
+    }
+
+    const { db, ...context } = usage;
+    await db.recordUsage({
+      ...context,
+      provider: result.provider,
+      model: result.model,
+      inputTokens: result.usage?.inputTokens ?? null,
+      outputTokens: result.usage?.outputTokens ?? null,
+      latencyMs
+    });
+  }
+
+  /**
+   * Check the quotas and rate limits of a user and a channel before calling the model
+   * 
+   * Daily token quotas are checked first, so a rejected request does not use
+   * up the rate limit. The request is then counted against the rate limits.
+   * 
+   * @param {Object} scope - { userId, channelId, teamId }; a null userId only checks the channel
+   * @param {Object} db - Database module
+   * @param {Object} [options]
+   * @param {number} [options.estimatedTokens=0] - Tokens the request is expected to use, for
+   *   requests made of several model calls: rejected if they do not fit what is left of the quotas
+   * @throws {UsageLimitError} If a limit is reached
+   */
+  async enforceUsageLimits({ userId, channelId, teamId = '' }, db, { estimatedTokens = 0 } = {}) {
+    const limits = this.usageLimits;
+    const checks = [
+      { scope: 'user', id: userId, label: 'your', dailyTokens: limits.userDailyTokens, perMinute: limits.userPerMinute },
+      { scope: 'channel', id: channelId, label: 'this channel\'s', dailyTokens: limits.channelDailyTokens, perMinute: limits.channelPerMinute }
+    ].filter(check => check.id);
+
+    const now = Date.now();
+    const dayStart = startOfUtcDay(now);
+    for (const { scope, id, label, dailyTokens } of checks) {
+      if (!dailyTokens) {
+        continue;
+      }
+
+      const totals = await db.getUsageTotals(teamId, scope, id, dayStart);
+      const used = totals.inputTokens + totals.outputTokens;
+      const resetMs = dayStart + 24 * 60 * 60 * 1000 - now;
+      if (used >= dailyTokens) {
+        throw new UsageLimitError(
+          `You reached ${label} daily quota of ${dailyTokens.toLocaleString('en-US')} tokens. It resets in ${formatWait(resetMs)} (00:00 UTC).`,
+          resetMs
+        );
+      }
+      if (used + estimatedTokens > dailyTokens) {
+        throw new UsageLimitError(
+          `This needs about ${estimatedTokens.toLocaleString('en-US')} tokens, and ${label} daily quota has ${(dailyTokens - used).toLocaleString('en-US')} left. It resets in ${formatWait(resetMs)} (00:00 UTC).`,
+          resetMs
+        );
+      }
+    }
+
+    const rateLimited = checks.filter(check => check.perMinute);
+    for (const { scope, id, label, perMinute } of rateLimited) {
+      const waitMs = this.rateLimiter.retryAfter(`${scope}:${teamId}:${id}`, perMinute, now);
+      if (waitMs > 0) {
+        throw new UsageLimitError(
+          `Slow down: ${label} limit is ${perMinute} ${perMinute === 1 ? 'request' : 'requests'} per minute. Try again in ${formatWait(waitMs)}.`,
+          waitMs
+        );
+      }
+    }
+    rateLimited.forEach(({ scope, id }) => this.rateLimiter.hit(`${scope}:${teamId}:${id}`, now));
   }
 
   /**
@@ -71,82 +362,1661 @@ export class BaseHandler {
       status: 'running',
       provider: this.llmProvider.getName(),
       model: this.llmProvider.config.model || this.llmProvider.model,
+      chain: this.llmProvider.providers.map(provider => provider.getMetadata()),
+      lastUsed: this.llmProvider.lastUsed,
       message: 'Slack bot is running! 🚀'
     };
   }
 
+  /**
+   * Resolve the Slack credentials for the workspace a request came from
+   * 
+   * Workspaces installed through the OAuth flow use their stored bot token;
+   * single-workspace deployments fall back to SLACK_BOT_TOKEN.
+   * 
+   * @param {string} teamId - Slack workspace ID
+   * @param {Object} db - Database module
+   * @returns {Promise<Object|null>} { teamId, botToken, botUserId }, or null if unknown
+   */
+  async resolveCredentials(teamId, db) {
+    if (teamId) {
+      const installation = await db.getInstallation(teamId);
+      if (installation) {
+        return {
+          teamId,
+          botToken: installation.botToken,
+          botUserId: installation.botUserId
+        };
+      }
+    }
+
+    if (this.env.SLACK_BOT_TOKEN) {
+      return {
+        teamId,
+        botToken: this.env.SLACK_BOT_TOKEN,
+        botUserId: this.env.SLACK_BOT_USER_ID || null
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a Slack Web API client authorized for a workspace
+   * 
+   * @param {string} teamId - Slack workspace ID
+   * @param {Object} db - Database module
+   * @returns {Promise<WebClient>}
+   */
+  async getSlackClient(teamId, db) {
+    const credentials = await this.resolveCredentials(teamId, db);
+    if (!credentials) {
+      throw new Error(`No Slack credentials for workspace ${teamId || '(unknown)'}`);
+    }
+    return new WebClient(credentials.botToken);
+  }
+
+  /**
+   * Refresh the conversation summary in the background
+   * 
+   * Runs after the reply has been sent, at most once at a time per conversation.
+   */
+  refreshConversationSummary(userId, channelId, teamId, db) {
+    const key = `${teamId}:${userId}:${channelId}`;
+    if (this.summariesInProgress.has(key)) {
+      return;
+    }
+
+    this.summariesInProgress.add(key);
+    const usage = { db, command: 'summary', userId, channelId, teamId };
+    refreshSummary({ userId, channelId, teamId }, db, (message, options) => this.generateResponse(message, [], { ...options, usage }))
+      .catch(error => console.error('Error refreshing conversation summary:', error))
+      .finally(() => this.summariesInProgress.delete(key));
+  }
+
   /**
    * Handle ask endpoint logic
    */
-  async handleAskLogic(question, userId = 'test', channelId = 'test', db) {
-    const history = await db.getExtendedHistory(userId, channelId, 30);
-    const answer = await this.generateResponse(question, history);
+  async handleAskLogic(question, userId = 'test', channelId = 'test', db, teamId = '') {
+    await this.enforceUsageLimits({ userId, channelId, teamId }, db);
+
+    // Messages already folded into the summary are not sent again
+    const summary = await db.getSummary(userId, channelId, teamId);
+    const history = await this.scoreHistoryRelevance(
+      await db.getExtendedHistory(userId, channelId, 30, teamId, summary?.lastMessageId), question, db, { teamId, userId }
+    );
+    const result = await this.generateResponseDetailed(question, history, {
+      summary: summary?.summary,
+      usage: { db, command: 'ask', userId, channelId, teamId }
+    });
     
     return {
-      answer,
-      provider: this.llmProvider.getName(),
-      model: this.llmProvider.config.model || this.llmProvider.model
+      answer: result.text,
+      provider: result.provider,
+      model: result.model
+    };
+  }
+
+  /**
+   * Translate a message with the configured LLM provider
+   * 
+   * Exact matches from the translation memory are served without calling the
+   * model; otherwise similar past translations are given as references. Both
+   * sides of the exchange are stored so later translations stay consistent.
+   * Requests reaching the model count against the usage limits.
+   * 
+   * @param {Object} params
+   * @param {string} params.message - Text to translate
+   * @param {string} params.language - Target language (e.g. "it-IT")
+   * @param {string} params.tone - Desired tone (e.g. "formal")
+   * @param {string} [params.sourceLanguage] - Source language; detected by the model if omitted
+   * @param {boolean} [params.verify=false] - Back-translate the result to check its quality
+   * @param {boolean} [params.useMemory=true] - Look up the translation memory (--no-cache disables it)
+   * @param {boolean} [params.store=true] - Save the exchange to the history and the translation memory
+   *   (false with --no-store or when the user opted out)
+   * @param {boolean} [params.storeHistory=store] - Save the exchange to the history (false when
+   *   the caller saves it itself)
+   * @param {string} params.userId - Slack user ID
+   * @param {string} params.channelId - Slack channel ID
+   * @param {string} [params.teamId=''] - Slack workspace ID
+   * @param {Function} [params.onProgress] - Stream the response, calling this with the partial translation
+   * @param {Object} db - Database module
+   * @returns {Promise<Object>} Translation view for renderTranslationBlocks
+   * @throws {UsageLimitError} If a quota or rate limit is reached
+   */
+  async translateMessage({
+    message,
+    language,
+    tone,
+    sourceLanguage,
+    verify = false,
+    useMemory = true,
+    store = true,
+    storeHistory = store,
+    userId,
+    channelId,
+    teamId = '',
+    onProgress
+  }, db) {
+    // Enforce the team terminology for terms present in the message
+    const glossaryTerms = findGlossaryTerms(message, language, await db.getGlossary(teamId));
+
+    const memory = await this.lookupTranslationMemory({ message, language, tone, glossaryTerms, useMemory, teamId }, db);
+
+    let result = memory.exact;
+    let response = null;
+    let outputIssues = [];
+    if (result) {
+      console.log(`Translation memory: exact match for ${language} (${tone})`);
+      if (storeHistory) {
+        await db.addMessage(userId, channelId, 'user', message, teamId);
+      }
+    } else {
+      await this.enforceUsageLimits({ userId, channelId, teamId }, db);
+      ({ result, response, outputIssues } = await this.generateTranslation({
+        message,
+        language,
+        tone,
+        sourceLanguage,
+        glossaryTerms,
+        references: memory.matches,
+        store: storeHistory,
+        userId,
+        channelId,
+        teamId,
+        onProgress
+      }, db));
+    }
+
+    const violations = checkGlossaryViolations(result.translation, glossaryTerms);
+    
+    // Save assistant response to database
+    if (storeHistory) {
+      await db.addMessage(userId, channelId, 'assistant', result.translation, teamId);
+      this.refreshConversationSummary(userId, channelId, teamId, db);
+    }
+
+    // Only translations that respect the glossary and pass the output check are worth reusing
+    if (store && MEMORY_CONFIG.ENABLED && !memory.exact && violations.length === 0 && outputIssues.length === 0) {
+      await db.saveMemoryEntry(teamId, {
+        sourceKey: memory.sourceKey, sourceText: message, language, tone, result, userId, channelId
+      });
+    }
+
+    const source = sourceLanguage || result.sourceLanguage;
+    const verification = verify
+      ? await this.verifyTranslation(message, result.translation, source, { db, userId, channelId, teamId })
+      : null;
+
+    return {
+      ...result,
+      sourceLanguage: source,
+      sourceLanguageDetected: !sourceLanguage,
+      verification,
+      glossaryAlert: violations.length > 0 ? formatGlossaryViolations(violations) : null,
+      guardAlert: outputIssues.length > 0 ? formatOutputIssues(outputIssues) : null,
+      memory: memory.exact ? 'exact' : null,
+      memoryReferences: memory.matches.length,
+      stored: store,
+      // With a fallback chain, show which provider actually answered
+      via: response && this.llmProvider.providers.length > 1 ? `${response.provider} (${response.model})` : null
+    };
+  }
+
+  /**
+   * Translate a message into several languages
+   * 
+   * Languages are translated in parallel, at most TRANSLATE_CONCURRENCY at a
+   * time, and each one counts as a request toward the usage limits. A failed
+   * language does not fail the others. Once all are done, the message is saved
+   * to the history once, followed by its translations in the order of the
+   * languages.
+   * 
+   * @param {Object} params - See translateMessage, with languages instead of language, and no onProgress
+   * @param {Array<string>} params.languages - Target languages
+   * @param {Object} db - Database module
+   * @returns {Promise<Array<Object>>} [{ language, view }] or [{ language, error }], in the order of the languages
+   */
+  async translateMessages({ languages, store = true, ...params }, db) {
+    const settled = await mapWithConcurrency(languages, this.translateConcurrency, language =>
+      this.translateMessage({ ...params, language, store, storeHistory: false }, db)
+    );
+
+    const results = settled.map(({ status, value, reason }, index) => {
+      const language = languages[index];
+      if (status === 'fulfilled') {
+        return { language, view: value };
+      }
+      if (reason instanceof UsageLimitError) {
+        return { language, error: `⏳ ${reason.message}` };
+      }
+      console.error(`Error translating to ${language}:`, reason);
+      return { language, error: '❌ The translation failed. Please try again.' };
+    });
+
+    const translated = results.filter(result => result.view);
+    if (store && translated.length > 0) {
+      await db.addMessage(params.userId, params.channelId, 'user', params.message, params.teamId);
+      for (const { view } of translated) {
+        await db.addMessage(params.userId, params.channelId, 'assistant', view.translation, params.teamId);
+      }
+      this.refreshConversationSummary(params.userId, params.channelId, params.teamId, db);
+    }
+
+    return results;
+  }
+
+  /**
+   * Translate a whole thread, message by message
+   * 
+   * The messages are sent in chunks that fit the provider context, a few in
+   * parallel, and every translation keeps the author of its message. Messages
+   * missing from a response (or from a failed chunk) keep a null translation.
+   * The thread counts as one request toward the rate limits, and the tokens of
+   * all its model calls are estimated and checked against the daily quotas
+   * before the first one; each call records the tokens it used. Nothing is
+   * stored in the history.
+   * 
+   * @param {Object} params
+   * @param {Array<Object>} params.messages - Slack messages, oldest first (see fetchLinkedThread)
+   * @param {string} params.language - Target language
+   * @param {string} params.tone - Desired tone
+   * @param {boolean} [params.summary=false] - Also summarize the thread in the target language
+   * @param {string} params.userId - Slack user ID
+   * @param {string} params.channelId - Slack channel ID
+   * @param {string} [params.teamId=''] - Slack workspace ID
+   * @param {Object} db - Database module
+   * @returns {Promise<Object>} { language, messages: [{ id, author, text, translation }], summary ({ text }, { error } or null) }
+   * @throws {UsageLimitError} If a quota or rate limit is reached
+   */
+  async translateThread({ messages, language, tone, summary = false, userId, channelId, teamId = '' }, db) {
+    const thread = prepareThreadMessages(messages);
+    const threadText = thread.map(message => message.text).join('\n');
+    const injection = detectInjection(threadText);
+    const prompt = renderPrompt('translate-thread', {
+      language,
+      tone,
+      glossary: findGlossaryTerms(threadText, language, await db.getGlossary(teamId)),
+      suspicious: injection.length > 0
+    });
+
+    // A chunk and its translation (about as long, plus the JSON) must both fit the context
+    const estimate = text => this.llmProvider.estimateTokens(text);
+    const chunkTokens = Math.max(1, Math.min(this.threadChunkTokens, Math.floor(this.llmProvider.getContextBudget(prompt.text) / 3)));
+    const chunks = chunkThreadMessages(thread, chunkTokens, estimate);
+
+    // Every chunk sends the prompt and gets about as much text back as it sends; so does the summary
+    const promptTokens = estimate(prompt.text);
+    const estimatedTokens = chunks.reduce((total, chunk) => total + promptTokens + 2 * estimate(formatThreadChunk(chunk)), 0)
+      + (summary ? promptTokens + estimate(threadText) : 0);
+    await this.enforceUsageLimits({ userId, channelId, teamId }, db, { estimatedTokens });
+    console.log(`Thread translation: ${thread.length} messages in ${chunks.length} chunks for ${language}, about ${estimatedTokens} tokens`);
+
+    const usage = { db, command: 'thread', userId, channelId, teamId };
+    const summaryPromise = summary ? this.summarizeThread(messages, language, usage) : null;
+
+    const settled = await mapWithConcurrency(chunks, this.translateConcurrency, async chunk => {
+      const response = await this.generateResponse(fenceUntrustedText(formatThreadChunk(chunk)), [], {
+        system: prompt.text,
+        ...prompt.params,
+        maxTokens: chunkTokens * 2 + THREAD_RESPONSE_OVERHEAD_TOKENS,
+        usage
+      });
+      return parseThreadTranslations(response, chunk);
+    });
+
+    const translations = new Map();
+    settled.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        outcome.value.forEach((text, id) => translations.set(id, unfenceText(text)));
+      } else {
+        console.error(`Error translating thread chunk ${index + 1} of ${chunks.length}:`, outcome.reason);
+      }
+    });
+
+    return {
+      language,
+      messages: thread.map(message => ({ ...message, translation: translations.get(message.id) || null })),
+      summary: summaryPromise && await summaryPromise
+    };
+  }
+
+  /**
+   * Summarize a thread in a given language
+   * 
+   * @param {Array<Object>} messages - Slack messages, oldest first
+   * @param {string} language - Language of the summary
+   * @param {Object} usage - { db, userId, channelId, teamId } to record the model call
+   * @returns {Promise<Object>} { text } or { error }
+   */
+  async summarizeThread(messages, language, usage) {
+    try {
+      const prompt = renderPrompt('summarize', { language, thread: true });
+      const transcript = formatThreadTranscript(messages, {
+        maxTokens: this.llmProvider.getContextBudget(prompt.text),
+        estimate: text => this.llmProvider.estimateTokens(text)
+      });
+      const text = unfenceText(await this.generateResponse(fenceUntrustedText(transcript.text), [], {
+        system: prompt.text,
+        ...prompt.params,
+        usage: { ...usage, command: 'summarize' }
+      }));
+      return { text };
+    } catch (error) {
+      console.error('Error summarizing thread:', error);
+      return { error: 'The summary failed' };
+    }
+  }
+
+  /**
+   * Look up a message in the translation memory
+   * 
+   * A stored translation that no longer respects the glossary is not reused,
+   * nor are fuzzy matches with instruction-like content.
+   * 
+   * @param {Object} params - message, language, tone, glossaryTerms, useMemory, teamId
+   * @param {Object} db - Database module
+   * @returns {Promise<Object>} { sourceKey, exact (translation result or null), matches (fuzzy matches) }
+   */
+  async lookupTranslationMemory({ message, language, tone, glossaryTerms, useMemory, teamId }, db) {
+    const sourceKey = normalizeSourceText(message);
+    const lookup = { sourceKey, exact: null, matches: [] };
+
+    if (!MEMORY_CONFIG.ENABLED) {
+      return lookup;
+    }
+    if (!useMemory) {
+      await db.recordMemoryLookup(teamId, 'bypassed');
+      return lookup;
+    }
+
+    const exact = await db.getMemoryEntry(teamId, sourceKey, language, tone);
+    if (exact && checkGlossaryViolations(exact.translation, glossaryTerms).length === 0) {
+      await db.recordMemoryLookup(teamId, 'exact');
+      return { ...lookup, exact };
+    }
+
+    // Long texts are only matched exactly
+    if (sourceKey.length > MEMORY_CONFIG.MAX_FUZZY_LENGTH) {
+      await db.recordMemoryLookup(teamId, 'miss');
+      return lookup;
+    }
+
+    // Texts whose length differs too much cannot reach the similarity threshold
+    const ratio = MEMORY_CONFIG.FUZZY_THRESHOLD;
+    const candidates = await db.getMemoryCandidates(
+      teamId,
+      language,
+      Math.floor(sourceKey.length * ratio),
+      Math.ceil(sourceKey.length / ratio),
+      MEMORY_CONFIG.MAX_CANDIDATES
+    );
+    // References go into the system prompt: never reuse instruction-like texts
+    const matches = findFuzzyMatches(sourceKey, candidates)
+      .filter(match => detectInjection(`${match.sourceText}\n${match.translation}`).length === 0);
+
+    await db.recordMemoryLookup(teamId, matches.length > 0 ? 'fuzzy' : 'miss');
+    return { ...lookup, matches };
+  }
+
+  /**
+   * Generate a translation with the configured LLM provider
+   * 
+   * Loads the conversation history, renders the translate prompt as the
+   * system prompt and sends the message, fenced as untrusted input, as the
+   * latest user turn. The response is then checked to be a translation.
+   * 
+   * @param {Object} params - See translateMessage, plus glossaryTerms and references (fuzzy matches)
+   * @param {Object} db - Database module
+   * @returns {Promise<Object>} { result, response, outputIssues (see checkTranslationOutput) }
+   */
+  async generateTranslation({
+    message,
+    language,
+    tone,
+    sourceLanguage,
+    glossaryTerms,
+    references,
+    store,
+    userId,
+    channelId,
+    teamId,
+    onProgress
+  }, db) {
+    // Get extended conversation history, leaving out what the summary already covers
+    const { summary, lastMessageId } = await db.getSummary(userId, channelId, teamId) || {};
+    const history = await this.scoreHistoryRelevance(
+      await db.getExtendedHistory(userId, channelId, 50, teamId, lastMessageId), message, db, { teamId, userId }
+    );
+
+    // Add user message to database
+    if (store) {
+      await db.addMessage(userId, channelId, 'user', message, teamId);
+    }
+    
+    const injection = detectInjection(message);
+    if (injection.length > 0) {
+      console.warn(`Possible prompt injection from ${userId} in ${channelId}: ${injection.join(', ')}`);
+    }
+
+    // Get AI response with optimized context
+    const prompt = renderPrompt('translate', {
+      language,
+      tone,
+      source: sourceLanguage || 'unknown, detect it',
+      glossary: glossaryTerms,
+      references: referencesForPrompt(references),
+      suspicious: injection.length > 0
+    });
+    const system = prompt.text;
+    
+    console.debug(system);
+
+    // Past messages are as untrusted as the current one
+    const fencedHistory = history.map(msg => msg.role === 'user' ? { ...msg, content: fenceUntrustedText(msg.content) } : msg);
+    const fencedMessage = fenceUntrustedText(message);
+
+    // Get context stats for logging, against the budget left by the system prompt
+    const stats = contextManager.getContextStats(fencedHistory, fencedMessage, {
+      maxTokens: this.llmProvider.getContextBudget(system, fencedMessage),
+      summary
+    });
+    console.log('Context stats:', stats);
+
+    const usage = { db, userId, channelId, teamId };
+    const options = { system, summary, ...prompt.params, usage: { ...usage, command: 'translate' } };
+
+    // While streaming, show the translation as it grows rather than the raw JSON
+    const response = onProgress
+      ? await this.generateResponseStream(fencedMessage, fencedHistory, text => {
+        const partial = extractPartialTranslation(text);
+        if (partial) {
+          onProgress(unfenceText(partial));
+        }
+      }, options)
+      : await this.generateResponseDetailed(fencedMessage, fencedHistory, options);
+
+    const parsed = await this.parseTranslationResponse(response.text, usage);
+    const result = { ...parsed, translation: unfenceText(parsed.translation) };
+
+    const outputIssues = checkTranslationOutput(message, result.translation, system, {
+      suspicious: injection.length > 0
+    });
+    if (outputIssues.length > 0) {
+      console.warn(`Translation output check failed for ${userId} in ${channelId}: ${outputIssues.join(', ')}`);
+    }
+
+    return { result, response, outputIssues };
+  }
+
+  /**
+   * Check a translation by translating it back into the source language
+   * 
+   * The back-translation is compared with the original message; a high
+   * similarity means the meaning most likely survived the round trip.
+   * 
+   * @param {string} original - Original message
+   * @param {string} translation - Translated text
+   * @param {string} sourceLanguage - Language of the original message
+   * @param {Object} [usage] - { db, userId, channelId, teamId } to record the model call
+   * @returns {Promise<Object>} { backTranslation, score, level } or { error }
+   */
+  async verifyTranslation(original, translation, sourceLanguage, usage = null) {
+    if (!sourceLanguage) {
+      return { error: 'The source language could not be detected, use --from to set it' };
+    }
+
+    try {
+      const prompt = renderPrompt('back-translate', { language: sourceLanguage });
+      const backTranslation = unfenceText(await this.generateResponse(fenceUntrustedText(translation), [], {
+        system: prompt.text,
+        ...prompt.params,
+        usage: usage && { ...usage, command: 'verify' }
+      }));
+      const score = textSimilarity(original, backTranslation);
+
+      let level = 'low';
+      if (score >= VERIFY_HIGH_SIMILARITY) {
+        level = 'high';
+      } else if (score >= VERIFY_MEDIUM_SIMILARITY) {
+        level = 'medium';
+      }
+
+      return { backTranslation, score, level };
+    } catch (error) {
+      console.error('Error verifying translation:', error);
+      return { error: 'The back-translation failed' };
+    }
+  }
+
+  /**
+   * Parse a structured translation response
+   * 
+   * Invalid JSON is sent back to the model once for repair; if that fails
+   * too, the raw response is used as the translation.
+   * 
+   * @param {string} text - Raw model response
+   * @param {Object} [usage] - { db, userId, channelId, teamId } to record the repair call
+   * @returns {Promise<Object>} Translation result (see translation-result.js)
+   */
+  async parseTranslationResponse(text, usage = null) {
+    const parsed = parseTranslationResult(text);
+    if (parsed.result) {
+      return parsed.result;
+    }
+
+    console.warn(`Invalid translation response (${parsed.error}), asking the model to repair it`);
+
+    try {
+      // The response may echo the message, so it is fenced like one
+      const repairPrompt = renderPrompt('repair-json', { error: parsed.error });
+      const repaired = parseTranslationResult(await this.generateResponse(fenceUntrustedText(text), [], {
+        system: repairPrompt.text,
+        ...repairPrompt.params,
+        usage: usage && { ...usage, command: 'repair' }
+      }));
+      if (repaired.result) {
+        return repaired.result;
+      }
+      console.warn(`Repair failed (${repaired.error}), using the raw response`);
+    } catch (error) {
+      console.error('Error repairing translation response:', error);
+    }
+
+    return fallbackTranslationResult(text);
+  }
+
+  /**
+   * Post a message to a Slack response_url
+   * 
+   * @param {string} responseUrl - response_url from the Slack payload
+   * @param {Object} payload - Message payload
+   */
+  async postToResponseUrl(responseUrl, payload) {
+    const response = await fetch(responseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Slack response_url error: ${response.status}`);
+    }
+  }
+
+  /**
+   * Post an error reply to a Slack response_url
+   * 
+   * Used from error handlers, so a failure to post is logged instead of thrown.
+   * 
+   * @param {string} responseUrl - response_url from the Slack payload
+   * @param {Object} payload - Message payload
+   */
+  async postErrorReply(responseUrl, payload) {
+    try {
+      await this.postToResponseUrl(responseUrl, payload);
+    } catch (error) {
+      console.error('Error posting error reply:', error);
+    }
+  }
+
+  /**
+   * Check whether responses should be streamed into a Slack message
+   * 
+   * Streaming posts a regular bot message and edits it with chat.update,
+   * so it only applies to public (in_channel) responses.
+   * 
+   * @param {string} responseType - Slack response type of the reply
+   * @returns {boolean}
+   */
+  isStreamingEnabled(responseType = this.env.RESPONSE_TYPE || 'ephemeral') {
+    return this.env.STREAM_RESPONSES === 'true' && responseType === 'in_channel';
+  }
+
+  /**
+   * Post the placeholder message of a streamed response
+   * 
+   * @param {string} channelId - Slack channel ID
+   * @param {string} teamId - Slack workspace ID
+   * @param {Object} db - Database module
+   * @param {string} [threadTs] - Parent message timestamp, to reply in a thread
+   * @returns {Promise<Object|null>} Streaming message, or null if it could not be posted
+   */
+  async openStreamingMessage(channelId, teamId, db, threadTs) {
+    try {
+      const client = await this.getSlackClient(teamId, db);
+      return await createStreamingMessage(client, {
+        channel: channelId,
+        threadTs,
+        intervalMs: parseInt(this.env.STREAM_UPDATE_INTERVAL_MS) || 1000
+      });
+    } catch (error) {
+      // e.g. the bot is not a member of the channel: fall back to a single response
+      console.warn('Streaming unavailable, falling back to a single response:', error.data?.error || error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the translation defaults used when no option is given
+   * 
+   * The user's stored preferences take precedence over the global defaults.
+   * 
+   * @param {string} userId - Slack user ID
+   * @param {Object} db - Database module
+   * @param {string} [teamId=''] - Slack workspace ID
+   * @returns {Promise<Object>} { to, tone, storeHistory }
+   */
+  async getDefaultOptions(userId, db, teamId = '') {
+    const preferences = await db.getUserPreferences(teamId, userId);
+
+    return {
+      to: preferences?.language || DEFAULT_LANGUAGE,
+      tone: preferences?.tone || DEFAULT_TONE,
+      storeHistory: preferences?.storeHistory !== false
     };
   }
 
+  /**
+   * Process a Slack slash command
+   * 
+   * @param {string} command - Registered slash command (see commands.js)
+   */
+  async processSlashCommand(command, text, userId, channelId, userName, responseUrl, db, teamId = '') {
+    const definition = getCommand(command);
+    if (definition.prompt) {
+      await this.processTaskCommand(definition, text, userId, channelId, userName, responseUrl, db, teamId);
+    } else {
+      await this.processTranslateCommand(text, userId, channelId, userName, responseUrl, db, teamId);
+    }
+  }
+
   /**
    * Process Slack translate command
    */
-  async processTranslateCommand(text, userId, channelId, userName, responseUrl, db) {
-    const parsed = parseCommand(text);
+  async processTranslateCommand(text, userId, channelId, userName, responseUrl, db, teamId = '') {
+    const parsed = parseCommand(text, getCommand('/translate').options);
+    const responseType = this.env.RESPONSE_TYPE || 'ephemeral';
+    let stream = null;
     
     try {
-      // Get extended conversation history
-      const history = await db.getExtendedHistory(userId, channelId, 50);
-      
-      // Get context stats for logging
-      const contextConfig = createConfig(this.env);
-      const stats = contextManager.getContextStats(history, text);
-      console.log('Context stats:', stats);
-      console.log(`User: ${userName} (${userId}) in channel ${channelId}`);
-      
-      // Add user message to database
-      await db.addMessage(userId, channelId, 'user', text);
-      
-      // Get AI response with optimized context
-      const language = parsed.options.to || 'en-US';
-      const tone = parsed.options.tone || 'neutral';
-      const prompt = loadPrompt('translate', {
+      console.log(`User: ${userName} (${userId}) in channel ${channelId} of team ${teamId}`);
+
+      if (parsed.options.setDefaultTo || parsed.options.setDefaultTone || parsed.options.showPrefs) {
+        const reply = await this.updateUserPreferences(parsed, userId, db, teamId);
+        await this.postToResponseUrl(responseUrl, { response_type: 'ephemeral', text: reply });
+        return;
+      }
+
+      if (parsed.options._[0] === 'glossary' && GLOSSARY_ACTIONS.includes(parsed.options._[1])) {
+        const reply = await this.processGlossaryCommand(parsed, text, userId, db, teamId);
+        await this.postToResponseUrl(responseUrl, { response_type: 'ephemeral', text: reply });
+        return;
+      }
+
+      if (parsed.options._[0] === 'history' && HISTORY_ACTIONS.includes(parsed.options._[1])) {
+        const reply = await this.processHistoryCommand(parsed, userId, channelId, db, teamId);
+        await this.postToResponseUrl(responseUrl, { response_type: 'ephemeral', text: reply });
+        return;
+      }
+
+      if (parsed.options._[0] === 'memory' && MEMORY_ACTIONS.includes(parsed.options._[1])) {
+        const reply = await this.getMemoryStatsReply(teamId, db);
+        await this.postToResponseUrl(responseUrl, { response_type: 'ephemeral', text: reply });
+        return;
+      }
+
+      if (parsed.options._[0] === 'usage' && parsed.options._.length === 1) {
+        const reply = await this.getUsageReply(userId, channelId, db, teamId);
+        await this.postToResponseUrl(responseUrl, { response_type: 'ephemeral', text: reply });
+        return;
+      }
+
+      if (parsed.options._[0] === 'retention' && RETENTION_ACTIONS.includes(parsed.options._[1])) {
+        const reply = await this.processRetentionCommand(parsed, userId, channelId, db, teamId);
+        await this.postToResponseUrl(responseUrl, { response_type: 'ephemeral', text: reply });
+        return;
+      }
+
+      if (parsed.options._[0] === 'privacy' && PRIVACY_ACTIONS.includes(parsed.options._[1])) {
+        const reply = await this.processPrivacyCommand(parsed, userId, channelId, db, teamId);
+        await this.postToResponseUrl(responseUrl, { response_type: 'ephemeral', text: reply });
+        return;
+      }
+
+      if (parsed.options.enableChannel || parsed.options.disableChannel) {
+        const reply = await this.updateChannelSettings(parsed, userId, channelId, db, teamId);
+        await this.postToResponseUrl(responseUrl, { response_type: 'ephemeral', text: reply });
+        return;
+      }
+
+      const defaults = await this.getDefaultOptions(userId, db, teamId);
+
+      if (parsed.options.thread !== undefined) {
+        const link = parseMessageLink(parsed.options.thread);
+        if (!link || parsed.options.to?.length > 1) {
+          await this.postToResponseUrl(responseUrl, {
+            response_type: 'ephemeral',
+            text: '⚠️ Usage: `--thread <message link> [--to it-IT] [--summary|--no-summary]`, with a single language'
+          });
+          return;
+        }
+
+        await this.postThreadTranslation(link, {
+          language: parsed.options.to?.[0] || defaults.to,
+          tone: parsed.options.tone || defaults.tone,
+          summary: parsed.options.summary,
+          userId,
+          channelId,
+          teamId
+        }, responseUrl, db);
+        return;
+      }
+
+      const languages = parsed.options.to?.length > 0 ? parsed.options.to : [defaults.to];
+      if (languages.length > MAX_TARGET_LANGUAGES) {
+        await this.postToResponseUrl(responseUrl, {
+          response_type: 'ephemeral',
+          text: `⚠️ Too many target languages: at most ${MAX_TARGET_LANGUAGES} per command.`
+        });
+        return;
+      }
+
+      if (this.isStreamingEnabled(responseType)) {
+        stream = await this.openStreamingMessage(channelId, teamId, db);
+      }
+
+      const params = {
         message: parsed.text,
-        language: language,
-        tone: tone
-      });
-      
-      console.debug(prompt);
-      
-      const answer = await this.generateResponse(prompt, history);
-      
-      // Save assistant response to database
-      await db.addMessage(userId, channelId, 'assistant', answer);
-      
+        tone: parsed.options.tone || defaults.tone,
+        sourceLanguage: parsed.options.from,
+        verify: parsed.options.verify,
+        useMemory: parsed.options.cache !== false,
+        store: parsed.options.store !== false && defaults.storeHistory,
+        userId,
+        channelId,
+        teamId
+      };
+
+      // Several languages are rendered together once all are done, without progressive updates
+      const reply = languages.length > 1
+        ? renderMultiTranslationBlocks(await this.translateMessages({ ...params, languages }, db))
+        : renderTranslationBlocks(await this.translateMessage({ ...params, language: languages[0], onProgress: stream?.update }, db));
+
       // Send response back to Slack
-      const responseType = this.env.RESPONSE_TYPE || 'ephemeral';
-      await fetch(responseUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      if (stream) {
+        await stream.finish(reply.text, reply.blocks);
+      } else {
+        await this.postToResponseUrl(responseUrl, {
           response_type: responseType,
-          text: answer,
-          mrkdwn: true
-        })
-      });
+          ...reply
+        });
+      }
       
     } catch (error) {
       console.error('Error processing command:', error);
       
       // Send error message to Slack
-      await fetch(responseUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          text: '❌ Sorry, something went wrong. Please try again.'
-        })
+      const errorText = error instanceof UsageLimitError
+        ? `⏳ ${error.message}`
+        : '❌ Sorry, something went wrong. Please try again.';
+      if (stream) {
+        await stream.finish(errorText);
+      } else {
+        await this.postErrorReply(responseUrl, { text: errorText });
+      }
+    }
+  }
+
+  /**
+   * Process a task command (/rewrite, /summarize, /reply-suggest)
+   * 
+   * The input is the command text, or the thread of a message link. It is sent
+   * fenced to the prompt template of the command, and the generated text is
+   * posted back. Task commands are stateless: nothing is stored in the history.
+   * 
+   * @param {Object} definition - Command definition (see commands.js)
+   */
+  async processTaskCommand(definition, text, userId, channelId, userName, responseUrl, db, teamId = '') {
+    const parsed = parseCommand(text, definition.options);
+    const responseType = this.env.RESPONSE_TYPE || 'ephemeral';
+    let stream = null;
+
+    try {
+      console.log(`User: ${userName} (${userId}) ran ${definition.name} in channel ${channelId} of team ${teamId}`);
+
+      if (!parsed.text.trim()) {
+        await this.postToResponseUrl(responseUrl, { response_type: 'ephemeral', text: `⚠️ Usage: \`${definition.usage}\`` });
+        return;
+      }
+
+      const defaults = await this.getDefaultOptions(userId, db, teamId);
+      const link = parseMessageLink(parsed.text);
+      const prompt = renderPrompt(definition.prompt, {
+        ...definition.variables(parsed.options, defaults),
+        thread: Boolean(link)
+      });
+
+      const input = link
+        ? await this.getThreadTranscript(link, channelId, teamId, db, this.llmProvider.getContextBudget(prompt.text))
+        : { text: parsed.text };
+      if (input.error) {
+        await this.postToResponseUrl(responseUrl, { response_type: 'ephemeral', text: `⚠️ ${input.error}` });
+        return;
+      }
+
+      await this.enforceUsageLimits({ userId, channelId, teamId }, db);
+
+      if (this.isStreamingEnabled(responseType)) {
+        stream = await this.openStreamingMessage(channelId, teamId, db);
+      }
+
+      const options = {
+        system: prompt.text,
+        ...prompt.params,
+        usage: { db, command: definition.prompt, userId, channelId, teamId }
+      };
+      const response = stream
+        ? await this.generateResponseStream(fenceUntrustedText(input.text), [], text => stream.update(unfenceText(text)), options)
+        : await this.generateResponseDetailed(fenceUntrustedText(input.text), [], options);
+      const reply = unfenceText(response.text);
+
+      if (stream) {
+        await stream.finish(reply);
+      } else {
+        await this.postToResponseUrl(responseUrl, { response_type: responseType, text: reply });
+      }
+
+    } catch (error) {
+      console.error(`Error processing ${definition.name} command:`, error);
+
+      const errorText = error instanceof UsageLimitError
+        ? `⏳ ${error.message}`
+        : '❌ Sorry, something went wrong. Please try again.';
+      if (stream) {
+        await stream.finish(errorText);
+      } else {
+        await this.postErrorReply(responseUrl, { text: errorText });
+      }
+    }
+  }
+
+  /**
+   * Fetch the messages of the thread a message link points to
+   * 
+   * Only threads of the channel the command was run in can be read, so the
+   * bot never discloses conversations the user may not have access to.
+   * 
+   * @param {Object} link - From parseMessageLink
+   * @param {string} channelId - Channel the command was run in
+   * @param {string} teamId - Slack workspace ID
+   * @param {Object} db - Database module
+   * @returns {Promise<Object>} { messages } or { error }
+   */
+  async fetchLinkedThread(link, channelId, teamId, db) {
+    if (link.channel !== channelId) {
+      return { error: 'Only messages of this channel can be used: run the command in the channel of the message.' };
+    }
+
+    let messages;
+    try {
+      const client = await this.getSlackClient(teamId, db);
+      messages = await fetchThreadMessages(client, { channel: link.channel, threadTs: link.threadTs });
+    } catch (error) {
+      console.warn('Could not read thread:', error.data?.error || error.message);
+      return { error: 'The thread could not be read. The bot must be a member of the channel.' };
+    }
+
+    return messages.length > 0 ? { messages } : { error: 'This thread has no text.' };
+  }
+
+  /**
+   * Fetch the thread of a message link as a transcript
+   * 
+   * @param {Object} link - From parseMessageLink
+   * @param {string} channelId - Channel the command was run in
+   * @param {string} teamId - Slack workspace ID
+   * @param {Object} db - Database module
+   * @param {number} maxTokens - Token budget of the transcript
+   * @returns {Promise<Object>} { text } or { error }
+   */
+  async getThreadTranscript(link, channelId, teamId, db, maxTokens) {
+    const { messages, error } = await this.fetchLinkedThread(link, channelId, teamId, db);
+    if (error) {
+      return { error };
+    }
+
+    const transcript = formatThreadTranscript(messages, {
+      maxTokens,
+      estimate: text => this.llmProvider.estimateTokens(text)
+    });
+    if (transcript.omitted > 0) {
+      console.log(`Thread transcript: omitted ${transcript.omitted} of ${messages.length} messages to fit the context`);
+    }
+    return { text: transcript.text };
+  }
+
+  /**
+   * Process the "Translate this message" message shortcut
+   * 
+   * Translates the selected message into the user's default language and
+   * replies ephemerally (via response_url) or in the message thread,
+   * depending on SHORTCUT_RESPONSE_MODE.
+   * 
+   * @param {Object} payload - Slack message_action payload
+   * @param {Object} db - Database module
+   */
+  async processMessageShortcut(payload, db) {
+    const { user, channel, team, message, response_url: responseUrl } = payload;
+    const teamId = team?.id || '';
+
+    try {
+      if (!message?.text?.trim()) {
+        await this.postToResponseUrl(responseUrl, {
+          response_type: 'ephemeral',
+          text: '⚠️ This message has no text to translate.'
+        });
+        return;
+      }
+
+      console.log(`Shortcut: ${user.name} (${user.id}) in channel ${channel.id} of team ${teamId}`);
+
+      const defaults = await this.getDefaultOptions(user.id, db, teamId);
+      const inThread = (this.env.SHORTCUT_RESPONSE_MODE || 'ephemeral') === 'thread';
+      const threadTs = message.thread_ts || message.ts;
+
+      // Thread replies are regular bot messages, so they can be streamed
+      const stream = inThread && this.isStreamingEnabled('in_channel')
+        ? await this.openStreamingMessage(channel.id, teamId, db, threadTs)
+        : null;
+
+      const view = await this.translateMessage({
+        message: message.text,
+        language: defaults.to,
+        tone: defaults.tone,
+        store: defaults.storeHistory,
+        userId: user.id,
+        channelId: channel.id,
+        teamId,
+        onProgress: stream?.update
+      }, db);
+
+      const reply = renderTranslationBlocks(view);
+      if (stream) {
+        await stream.finish(reply.text, reply.blocks);
+      } else if (inThread) {
+        const client = await this.getSlackClient(teamId, db);
+        await client.chat.postMessage({
+          channel: channel.id,
+          thread_ts: threadTs,
+          ...reply
+        });
+      } else {
+        await this.postToResponseUrl(responseUrl, {
+          response_type: 'ephemeral',
+          ...reply
+        });
+      }
+
+    } catch (error) {
+      console.error('Error processing shortcut:', error);
+
+      await this.postErrorReply(responseUrl, {
+        response_type: 'ephemeral',
+        text: error instanceof UsageLimitError
+          ? `⏳ ${error.message}`
+          : '❌ Sorry, something went wrong. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Process the "Translate this thread" message shortcut
+   * 
+   * Translates the thread of the selected message into the user's default
+   * language.
+   * 
+   * @param {Object} payload - Slack message_action payload
+   * @param {Object} db - Database module
+   */
+  async processThreadShortcut(payload, db) {
+    const { user, channel, team, message, response_url: responseUrl } = payload;
+    const teamId = team?.id || '';
+
+    try {
+      console.log(`Thread shortcut: ${user.name} (${user.id}) in channel ${channel.id} of team ${teamId}`);
+
+      const defaults = await this.getDefaultOptions(user.id, db, teamId);
+      await this.postThreadTranslation({ channel: channel.id, threadTs: message.thread_ts || message.ts }, {
+        language: defaults.to,
+        tone: defaults.tone,
+        userId: user.id,
+        channelId: channel.id,
+        teamId
+      }, responseUrl, db);
+
+    } catch (error) {
+      console.error('Error processing thread shortcut:', error);
+
+      await this.postErrorReply(responseUrl, {
+        response_type: 'ephemeral',
+        text: error instanceof UsageLimitError
+          ? `⏳ ${error.message}`
+          : '❌ Sorry, something went wrong. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Translate the thread of a message and post it back
+   * 
+   * Thread translations are always ephemeral: they can be long, and the
+   * author mentions would notify everyone in the thread.
+   * 
+   * @param {Object} link - { channel, threadTs } (see parseMessageLink)
+   * @param {Object} params - language, tone, summary (true, false, or undefined for
+   *   long threads only), userId, channelId, teamId
+   * @param {string} responseUrl - response_url from the Slack payload
+   * @param {Object} db - Database module
+   * @throws {UsageLimitError} If a quota or rate limit is reached
+   */
+  async postThreadTranslation(link, { summary, ...params }, responseUrl, db) {
+    const thread = await this.fetchLinkedThread(link, params.channelId, params.teamId, db);
+    if (thread.error) {
+      await this.postToResponseUrl(responseUrl, { response_type: 'ephemeral', text: `⚠️ ${thread.error}` });
+      return;
+    }
+
+    const result = await this.translateThread({
+      ...params,
+      messages: thread.messages,
+      summary: summary ?? thread.messages.length >= THREAD_SUMMARY_MIN_MESSAGES
+    }, db);
+
+    for (const message of renderThreadTranslationMessages(result)) {
+      await this.postToResponseUrl(responseUrl, { response_type: 'ephemeral', ...message });
+    }
+  }
+
+  /**
+   * Process a button click on a translation message
+   * 
+   * - toggle_notes: re-render the message with the notes expanded or collapsed
+   * - copy_translation: send the bare translation as an ephemeral message
+   * 
+   * @param {Object} payload - Slack block_actions payload
+   */
+  async processBlockAction(payload) {
+    const action = payload.actions?.[0];
+
+    try {
+      switch (action?.action_id) {
+        case ACTIONS.TOGGLE_NOTES: {
+          const { view, showNotes } = JSON.parse(action.value);
+          await this.postToResponseUrl(payload.response_url, {
+            replace_original: true,
+            ...renderTranslationBlocks(view, { showNotes })
+          });
+          break;
+        }
+
+        case ACTIONS.COPY_TRANSLATION:
+          await this.postToResponseUrl(payload.response_url, {
+            response_type: 'ephemeral',
+            replace_original: false,
+            text: action.value
+          });
+          break;
+      }
+    } catch (error) {
+      console.error('Error processing block action:', error);
+    }
+  }
+
+  /**
+   * Save or show the user's default translation preferences
+   * 
+   * @param {Object} parsed - Parsed command (see parseCommand)
+   * @param {string} userId - Slack user ID
+   * @param {Object} db - Database module
+   * @param {string} [teamId=''] - Slack workspace ID
+   * @returns {Promise<string>} Message for the user
+   */
+  async updateUserPreferences(parsed, userId, db, teamId = '') {
+    const { setDefaultTo, setDefaultTone } = parsed.options;
+
+    if (setDefaultTo || setDefaultTone) {
+      const saved = await db.setUserPreferences(teamId, userId, {
+        language: setDefaultTo || null,
+        tone: setDefaultTone || null
+      });
+
+      if (!saved) {
+        throw new Error('Could not save user preferences');
+      }
+    }
+
+    const defaults = await this.getDefaultOptions(userId, db, teamId);
+    const title = parsed.options.showPrefs && !setDefaultTo && !setDefaultTone
+      ? '⚙️ Your translation defaults'
+      : '✅ Preferences saved';
+
+    return `${title}\n• Language: *${defaults.to}*\n• Tone: *${defaults.tone}*`;
+  }
+
+  /**
+   * Manage the workspace glossary
+   * 
+   * Supported actions:
+   * - glossary add "term" --to it-IT --as "translation"
+   * - glossary add "term" [--to it-IT] --dnt
+   * - glossary remove "term" [--to it-IT]
+   * - glossary list [--to it-IT]
+   * - glossary import followed by "term,language,translation" lines
+   * 
+   * @param {Object} parsed - Parsed command (see parseCommand)
+   * @param {string} text - Raw command text (needed to keep import line breaks)
+   * @param {string} userId - Slack user ID
+   * @param {Object} db - Database module
+   * @param {string} [teamId=''] - Slack workspace ID
+   * @returns {Promise<string>} Message for the user
+   */
+  async processGlossaryCommand(parsed, text, userId, db, teamId = '') {
+    const [, action, ...termParts] = parsed.options._;
+    const term = unquote(termParts.join(' '));
+    if (parsed.options.to?.length > 1) {
+      return '⚠️ A glossary entry applies to a single `--to` language.';
+    }
+    const language = parsed.options.to?.[0];
+
+    switch (action) {
+      case 'add': {
+        const translation = unquote(parsed.options.as || '');
+        if (!term || (!parsed.options.dnt && (!translation || !language))) {
+          return '⚠️ Usage: `glossary add "term" --to it-IT --as "translation"` or `glossary add "term" [--to it-IT] --dnt`';
+        }
+
+        const entry = {
+          term,
+          language: language || ALL_LANGUAGES,
+          translation: parsed.options.dnt ? null : translation,
+          doNotTranslate: Boolean(parsed.options.dnt)
+        };
+
+        if (!await db.addGlossaryEntries(teamId, [entry], userId)) {
+          throw new Error('Could not save glossary entry');
+        }
+
+        return entry.doNotTranslate
+          ? `📘 "${term}" will never be translated (${entry.language}).`
+          : `📘 "${term}" will be translated as "${translation}" (${entry.language}).`;
+      }
+
+      case 'remove': {
+        if (!term) {
+          return '⚠️ Usage: `glossary remove "term" [--to it-IT]`';
+        }
+
+        const removed = await db.removeGlossaryEntry(teamId, term, language);
+        return removed > 0
+          ? `🗑️ Removed ${removed} glossary ${removed === 1 ? 'entry' : 'entries'} for "${term}".`
+          : `ℹ️ No glossary entry found for "${term}".`;
+      }
+
+      case 'list': {
+        const entries = (await db.getGlossary(teamId))
+          .filter(entry => !language || entry.language === language || entry.language === ALL_LANGUAGES);
+
+        if (entries.length === 0) {
+          return 'ℹ️ The glossary is empty.';
+        }
+
+        const lines = entries.map(entry => entry.doNotTranslate
+          ? `• *${entry.term}* (${entry.language}) → _do not translate_`
+          : `• *${entry.term}* (${entry.language}) → ${entry.translation}`);
+
+        return `📘 Glossary (${entries.length} ${entries.length === 1 ? 'entry' : 'entries'})\n${lines.join('\n')}`;
+      }
+
+      case 'import': {
+        const csv = text.replace(/^\s*glossary\s+import\s*/i, '');
+        const { entries, errors } = parseGlossaryImport(csv);
+
+        if (entries.length === 0) {
+          return '⚠️ Usage: `glossary import` followed by one `term,language,translation` per line (leave the translation empty for do-not-translate terms).';
+        }
+
+        if (!await db.addGlossaryEntries(teamId, entries, userId)) {
+          throw new Error('Could not import glossary entries');
+        }
+
+        const skipped = errors.length > 0 ? `\nSkipped invalid lines:\n${errors.map(line => `• \`${line}\``).join('\n')}` : '';
+        return `📘 Imported ${entries.length} glossary ${entries.length === 1 ? 'entry' : 'entries'}.${skipped}`;
+      }
+    }
+  }
+
+  /**
+   * Manage the user's conversation history in a channel
+   * 
+   * Supported actions:
+   * - history clear
+   * - history stats
+   * - history show [--last N]
+   * - history export [--format json|csv] (sent as a file in a direct message)
+   * 
+   * @param {Object} parsed - Parsed command (see parseCommand)
+   * @param {string} userId - Slack user ID
+   * @param {string} channelId - Slack channel ID
+   * @param {Object} db - Database module
+   * @param {string} [teamId=''] - Slack workspace ID
+   * @returns {Promise<string>} Message for the user
+   */
+  async processHistoryCommand(parsed, userId, channelId, db, teamId = '') {
+    const action = parsed.options._[1];
+    const count = await db.getMessageCount(userId, channelId, teamId);
+
+    switch (action) {
+      case 'clear': {
+        if (count === 0) {
+          return 'ℹ️ Your history in this channel is already empty.';
+        }
+
+        if (!await db.clearHistory(userId, channelId, teamId)) {
+          throw new Error('Could not clear history');
+        }
+
+        return `🧹 Cleared ${count} ${count === 1 ? 'message' : 'messages'}: the next translations start from a fresh context.`;
+      }
+
+      case 'stats': {
+        if (count === 0) {
+          return 'ℹ️ No history in this channel yet.';
+        }
+
+        const messages = await db.getHistory(userId, channelId, count, teamId);
+        const exchanges = groupExchanges(messages);
+        const summary = await db.getSummary(userId, channelId, teamId);
+        const first = new Date(messages[0].timestamp).toISOString().slice(0, 10);
+        const last = new Date(messages[messages.length - 1].timestamp).toISOString().slice(0, 10);
+
+        return [
+          '📊 *History in this channel*',
+          `• Messages: ${count} (${exchanges.length} translations)`,
+          `• From ${first} to ${last}`,
+          `• Summary of older messages: ${summary ? `updated ${summary.updatedAt}` : 'none'}`
+        ].join('\n');
+      }
+
+      case 'show': {
+        const requested = Number.isInteger(parsed.options.last) ? parsed.options.last : DEFAULT_HISTORY_SHOW;
+        const limit = Math.min(Math.max(requested, 1), MAX_HISTORY_SHOW);
+
+        // Two messages per translation, plus one in case the oldest reply lost its original
+        const exchanges = groupExchanges(await db.getHistory(userId, channelId, limit * 2 + 1, teamId))
+          .slice(-limit);
+
+        if (exchanges.length === 0) {
+          return 'ℹ️ No history in this channel yet.';
+        }
+
+        return `🕘 *Your last ${exchanges.length} ${exchanges.length === 1 ? 'translation' : 'translations'}*\n\n${formatExchanges(exchanges)}`;
+      }
+
+      case 'export': {
+        const format = (parsed.options.format || 'json').toLowerCase();
+        if (!EXPORT_FORMATS.includes(format)) {
+          return `⚠️ Usage: \`history export --format ${EXPORT_FORMATS.join('|')}\``;
+        }
+
+        if (count === 0) {
+          return 'ℹ️ No history in this channel yet.';
+        }
+
+        const messages = await db.getHistory(userId, channelId, count, teamId);
+        await this.uploadHistoryExport(messages, format, userId, channelId, db, teamId);
+
+        return `📤 Exported ${count} ${count === 1 ? 'message' : 'messages'} as ${format.toUpperCase()}: check your direct messages.`;
+      }
+    }
+  }
+
+  /**
+   * Manage how long conversation history is kept
+   * 
+   * Supported actions:
+   * - retention show
+   * - retention set <days> [--channel] (whole workspace, or this channel only)
+   * - retention reset [--channel] (back to the workspace policy, or the default)
+   * 
+   * Only workspace admins and owners can set or reset a policy. Expired
+   * messages are deleted by the periodic cleanup.
+   * 
+   * @param {Object} parsed - Parsed command (see parseCommand)
+   * @param {string} userId - Slack user ID
+   * @param {string} channelId - Slack channel ID
+   * @param {Object} db - Database module
+   * @param {string} [teamId=''] - Slack workspace ID
+   * @returns {Promise<string>} Message for the user
+   */
+  async processRetentionCommand(parsed, userId, channelId, db, teamId = '') {
+    const action = parsed.options._[1];
+    const scope = parsed.options.channel ? channelId : '';
+    const scopeLabel = parsed.options.channel ? 'this channel' : 'this workspace';
+
+    if (action !== 'show' && !await this.isWorkspaceAdmin(userId, teamId, db)) {
+      return '🔒 Only workspace admins and owners can change the retention policy. Use `retention show` to see it.';
+    }
+
+    switch (action) {
+      case 'set': {
+        const days = Number(parsed.options._[2]);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+          return `⚠️ Usage: \`retention set <days> [--channel]\`, with 1 to ${MAX_RETENTION_DAYS} days`;
+        }
+
+        if (!await db.setRetentionPolicy(teamId, scope, days, userId)) {
+          throw new Error('Could not save retention policy');
+        }
+
+        return `🗓️ Translation history in ${scopeLabel} is now kept for ${days} ${days === 1 ? 'day' : 'days'}.`;
+      }
+
+      case 'reset': {
+        const removed = await db.deleteRetentionPolicy(teamId, scope);
+        return removed
+          ? `🗓️ Removed the retention policy of ${scopeLabel}.`
+          : `ℹ️ No retention policy is set for ${scopeLabel}.`;
+      }
+
+      case 'show': {
+        const policies = await db.getRetentionPolicies(teamId);
+        const workspace = policies.find(policy => policy.channelId === '');
+        const channel = policies.find(policy => policy.channelId === channelId);
+        const defaultDays = parseInt(this.env.DB_CLEANUP_DAYS) || 30;
+        const effective = channel || workspace;
+
+        return [
+          '🗓️ *Retention of translation history*',
+          `• This channel: ${channel ? `${channel.days} days` : 'no policy'}`,
+          `• This workspace: ${workspace ? `${workspace.days} days` : 'no policy'}`,
+          `• Default: ${defaultDays} days`,
+          `Messages in this channel are deleted after *${effective ? effective.days : defaultDays} days*.`
+        ].join('\n');
+      }
+    }
+  }
+
+  /**
+   * Check whether a user is an admin or owner of their workspace
+   * 
+   * Needs the users:read scope: when the lookup fails, the user is not
+   * considered an admin.
+   * 
+   * @param {string} userId - Slack user ID
+   * @param {string} teamId - Slack workspace ID
+   * @param {Object} db - Database module
+   * @returns {Promise<boolean>}
+   */
+  async isWorkspaceAdmin(userId, teamId, db) {
+    try {
+      const client = await this.getSlackClient(teamId, db);
+      const { user } = await client.users.info({ user: userId });
+      return Boolean(user?.is_admin || user?.is_owner);
+    } catch (error) {
+      console.error(`Error looking up whether ${userId} is a workspace admin:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Manage whether the user's conversation history is stored
+   * 
+   * Supported actions:
+   * - privacy status
+   * - privacy forget-me (stop storing history and delete what is stored)
+   * - privacy remember-me (store history again)
+   * 
+   * @param {Object} parsed - Parsed command (see parseCommand)
+   * @param {string} userId - Slack user ID
+   * @param {string} channelId - Slack channel ID
+   * @param {Object} db - Database module
+   * @param {string} [teamId=''] - Slack workspace ID
+   * @returns {Promise<string>} Message for the user
+   */
+  async processPrivacyCommand(parsed, userId, channelId, db, teamId = '') {
+    const action = parsed.options._[1];
+
+    switch (action) {
+      case 'forget-me': {
+        if (!await db.setUserPreferences(teamId, userId, { storeHistory: false })) {
+          throw new Error('Could not save user preferences');
+        }
+
+        const deleted = await db.deleteUserHistory(teamId, userId);
+        if (!deleted) {
+          throw new Error('Could not delete user history');
+        }
+
+        return `🙈 Your translations will no longer be stored. Deleted ${deleted.messages} stored ${deleted.messages === 1 ? 'message' : 'messages'}. Use \`privacy remember-me\` to undo.`;
+      }
+
+      case 'remember-me': {
+        if (!await db.setUserPreferences(teamId, userId, { storeHistory: true })) {
+          throw new Error('Could not save user preferences');
+        }
+
+        return '🧠 Your translations will be stored again, to keep later translations consistent.';
+      }
+
+      case 'status': {
+        const { storeHistory } = await this.getDefaultOptions(userId, db, teamId);
+        const count = await db.getMessageCount(userId, channelId, teamId);
+
+        return [
+          '🔒 *Your privacy settings*',
+          `• History: ${storeHistory ? 'stored (use `privacy forget-me` to opt out)' : 'not stored (use `privacy remember-me` to opt in)'}`,
+          `• Stored messages in this channel: ${count}`,
+          `• Encryption at rest: ${this.env.MESSAGE_ENCRYPTION_KEY ? 'enabled' : 'disabled'}`,
+          'Add `--no-store` to a translation to keep it out of your history.'
+        ].join('\n');
+      }
+    }
+  }
+
+  /**
+   * Describe the translation memory usage of the workspace
+   * 
+   * @param {string} [teamId=''] - Slack workspace ID
+   * @param {Object} db - Database module
+   * @returns {Promise<string>} Message for the user
+   */
+  async getMemoryStatsReply(teamId, db) {
+    if (!MEMORY_CONFIG.ENABLED) {
+      return 'ℹ️ The translation memory is disabled.';
+    }
+
+    const stats = await db.getMemoryStats(teamId);
+    const lookups = stats.exactHits + stats.fuzzyHits + stats.misses;
+    const hitRate = lookups > 0 ? `${Math.round((stats.exactHits / lookups) * 100)}%` : 'n/a';
+
+    return [
+      '🧠 *Translation memory*',
+      `• Stored translations: ${stats.entries}`,
+      `• Exact hits: ${stats.exactHits} (hit rate ${hitRate})`,
+      `• Fuzzy matches used as reference: ${stats.fuzzyHits}`,
+      `• Misses: ${stats.misses}`,
+      `• Skipped with --no-cache: ${stats.bypassed}`
+    ].join('\n');
+  }
+
+  /**
+   * Describe the model usage of the user and the channel, against their limits
+   * 
+   * @param {string} userId - Slack user ID
+   * @param {string} channelId - Slack channel ID
+   * @param {Object} db - Database module
+   * @param {string} [teamId=''] - Slack workspace ID
+   * @returns {Promise<string>} Message for the user
+   */
+  async getUsageReply(userId, channelId, db, teamId = '') {
+    const now = Date.now();
+    const dayStart = startOfUtcDay(now);
+    const today = await db.getUsageTotals(teamId, 'user', userId, dayStart);
+    const month = await db.getUsageTotals(teamId, 'user', userId, now - USAGE_REPORT_DAYS * 24 * 60 * 60 * 1000);
+    const channel = await db.getUsageTotals(teamId, 'channel', channelId, dayStart);
+    const limits = this.usageLimits;
+
+    const number = value => value.toLocaleString('en-US');
+    const calls = totals => `${number(totals.requests)} ${totals.requests === 1 ? 'request' : 'requests'}`;
+    const tokens = (totals, quota) => {
+      const used = totals.inputTokens + totals.outputTokens;
+      return quota
+        ? `${number(used)} of ${number(quota)} tokens (${Math.min(100, Math.round((used / quota) * 100))}%)`
+        : `${number(used)} tokens`;
+    };
+    const rate = limit => limit ? `${limit} per minute` : 'none';
+
+    return [
+      '📈 *Your usage*',
+      `• Today (UTC): ${calls(today)}, ${tokens(today, limits.userDailyTokens)}`,
+      `• Last ${USAGE_REPORT_DAYS} days: ${calls(month)}, ${number(month.inputTokens)} input and ${number(month.outputTokens)} output tokens`,
+      `• This channel today: ${calls(channel)}, ${tokens(channel, limits.channelDailyTokens)}`,
+      `• Rate limits: ${rate(limits.userPerMinute)} for you, ${rate(limits.channelPerMinute)} for this channel`,
+      'Translations served from the translation memory are free.'
+    ].join('\n');
+  }
+
+  /**
+   * Send a history export to the user as a file in a direct message
+   * 
+   * @param {Array} messages - Messages to export, oldest first
+   * @param {string} format - Export format (json or csv)
+   * @param {string} userId - Slack user ID
+   * @param {string} channelId - Channel the history belongs to
+   * @param {Object} db - Database module
+   * @param {string} [teamId=''] - Slack workspace ID
+   */
+  async uploadHistoryExport(messages, format, userId, channelId, db, teamId = '') {
+    const client = await this.getSlackClient(teamId, db);
+    const { channel } = await client.conversations.open({ users: userId });
+    const date = new Date().toISOString().slice(0, 10);
+
+    await client.files.uploadV2({
+      channel_id: channel.id,
+      filename: `translation-history-${channelId}-${date}.${format}`,
+      title: `Translation history (${channelId})`,
+      content: formatHistoryExport(messages, format),
+      initial_comment: `Your translation history in <#${channelId}> (${messages.length} messages).`
+    });
+  }
+
+  /**
+   * Enable or disable automatic translation for a channel
+   * 
+   * @param {Object} parsed - Parsed command (see parseCommand)
+   * @param {string} userId - Slack user ID
+   * @param {string} channelId - Slack channel ID
+   * @param {Object} db - Database module
+   * @param {string} [teamId=''] - Slack workspace ID
+   * @returns {Promise<string>} Confirmation message for the user
+   */
+  async updateChannelSettings(parsed, userId, channelId, db, teamId = '') {
+    if (parsed.options.disableChannel) {
+      const disabled = await db.deleteChannelSettings(teamId, channelId);
+      return disabled
+        ? '🔕 Auto-translate disabled for this channel.'
+        : 'ℹ️ Auto-translate was not enabled for this channel.';
+    }
+
+    if (parsed.options.to?.length > 1) {
+      return '⚠️ Auto-translate supports a single `--to` language per channel.';
+    }
+
+    const defaults = await this.getDefaultOptions(userId, db, teamId);
+    const language = parsed.options.to?.[0] || defaults.to;
+    const tone = parsed.options.tone || defaults.tone;
+
+    if (!await db.setChannelSettings(teamId, channelId, language, tone, userId)) {
+      throw new Error('Could not save channel settings');
+    }
+
+    return `🔔 Auto-translate enabled: every new message in this channel will be translated to *${language}* (${tone}) in a thread. Make sure the bot is a member of the channel.`;
+  }
+
+  /**
+   * Process a message event from the Events API
+   * 
+   * Translates new messages in channels with auto-translate enabled and
+   * posts the result as a threaded reply. Bot messages, edits and other
+   * message subtypes are ignored, as are messages already in the target
+   * language.
+   * 
+   * @param {Object} event - Slack message event
+   * @param {string} teamId - Slack workspace ID
+   * @param {Object} db - Database module
+   */
+  async processMessageEvent(event, teamId, db) {
+    if (event.type !== 'message' || event.subtype || event.bot_id || !event.text?.trim()) {
+      return;
+    }
+
+    try {
+      const settings = await db.getChannelSettings(teamId, event.channel);
+      if (!settings) {
+        return;
+      }
+
+      const skipToken = 'NO_TRANSLATION_NEEDED';
+      const glossaryTerms = findGlossaryTerms(event.text, settings.language, await db.getGlossary(teamId));
+      const injection = detectInjection(event.text);
+      const prompt = renderPrompt('auto-translate', {
+        language: settings.language,
+        tone: settings.tone,
+        skipToken,
+        glossary: glossaryTerms,
+        suspicious: injection.length > 0
+      });
+
+      // Channel-wide work: only the channel limits apply
+      await this.enforceUsageLimits({ userId: null, channelId: event.channel, teamId }, db);
+
+      // Channel mirroring is stateless: no per-user conversation history
+      const answer = unfenceText(await this.generateResponse(fenceUntrustedText(event.text), [], {
+        system: prompt.text,
+        ...prompt.params,
+        usage: { db, command: 'auto-translate', userId: null, channelId: event.channel, teamId }
+      }));
+
+      if (!answer || answer.includes(skipToken)) {
+        console.log(`Auto-translate: skipped message ${event.ts} in ${event.channel} (already ${settings.language})`);
+        return;
+      }
+
+      // Never post a manipulated response to the whole channel
+      const outputIssues = checkTranslationOutput(event.text, answer, prompt.text, {
+        suspicious: injection.length > 0
       });
+      if (outputIssues.length > 0) {
+        const reasons = [...injection, ...outputIssues].join(', ');
+        console.warn(`Auto-translate: skipped message ${event.ts} in ${event.channel} (output check failed: ${reasons})`);
+        return;
+      }
+
+      const client = await this.getSlackClient(teamId, db);
+      await client.chat.postMessage({
+        channel: event.channel,
+        thread_ts: event.thread_ts || event.ts,
+        text: answer,
+        mrkdwn: true
+      });
+
+    } catch (error) {
+      if (error instanceof UsageLimitError) {
+        console.warn(`Auto-translate: skipped message ${event.ts} in ${event.channel} (${error.message})`);
+        return;
+      }
+      console.error('Error processing message event:', error);
     }
   }
 
@@ -156,7 +2026,8 @@ export class BaseHandler {
   getImmediateSlackResponse() {
     const responseType = this.env.RESPONSE_TYPE || 'ephemeral';
     return {
-      response_type: responseType,
+      // Streamed responses post their own public placeholder
+      response_type: this.isStreamingEnabled(responseType) ? 'ephemeral' : responseType,
       text: `💭 Thinking...`
     };
   }
@@ -8,6 +8,11 @@
  * Example Usage:
  * - Input: "hello world --to es-ES --tone formal"
  * - Output: { options: { to: 'es-ES', tone: 'formal', _: ['hello', 'world'] }, ... }
+ * - With "to" declared as a list, "--to it-IT,de-DE" gives { to: ['it-IT', 'de-DE'] }
+ * 
+ * Options that are not given are left undefined, so callers can fall back
+ * to the user's stored preferences before the global defaults. Each slash
+ * command declares the types of its options (see commands.js).
  * 
  * @requires yargs-parser
  */
@@ -15,36 +20,48 @@
 // utils/command-parser.js
 import parser from 'yargs-parser';
 
+/**
+ * Split the values of a list option, given once or repeated
+ *
+ * @param {string|Array<string>} value - e.g. "it-IT,de-DE" or ["it-IT", "ja-JP"]
+ * @returns {Array<string>} Distinct values, e.g. ['it-IT', 'de-DE']
+ */
+const splitList = (value) => {
+  const items = [value].flat().flatMap(item => String(item).split(','));
+  return [...new Set(items.map(item => item.trim()).filter(Boolean))];
+}
+
 /**
  * Parse Slack command text into structured arguments
  * 
  * Extracts flags, options, and positional arguments from command text.
- * Handles quoted strings and provides default values for known options.
+ * Handles quoted strings and declares the types of the command's options.
  * 
  * @param {string} text - The raw command text from Slack (e.g., "message --to en-US --tone formal")
+ * @param {Object} [schema] - Option types: { string: [...], boolean: [...], number: [...], list: [...] },
+ *   list options being comma-separated (or repeated) values parsed as arrays
  * @returns {Object} Parsed command structure
  * @returns {Object} return.options - Parsed options with flags (includes _ array for positional args)
  * @returns {string} return.text - Reconstructed text from positional arguments
  * @returns {Array<string>} return.flags - Array of flag names found (excluding '_')
  * 
  * @example
- * const result = parseCommand('translate this --to es-ES --tone formal');
+ * const result = parseCommand('translate this --to es-ES --tone formal', getCommand('/translate').options);
  * // {
  * //   options: { to: 'es-ES', tone: 'formal', _: ['translate', 'this'] },
  * //   text: 'translate this',
  * //   flags: ['to', 'tone']
  * // }
  */
-const parseCommand = (text) => {
+const parseCommand = (text, schema = {}) => {
   // Split command text into argv array
   const argv = text.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
 
   const parsed = parser(argv, {
-    string: ['to', 'tone'],
-    default: {
-      to: 'en-US',
-      tone: 'neutral'
-    }
+    string: [...(schema.string || []), ...(schema.list || [])],
+    boolean: schema.boolean || [],
+    number: schema.number || [],
+    coerce: Object.fromEntries((schema.list || []).map(key => [key, splitList]))
   });
 
   return {
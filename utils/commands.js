@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Slash command registry
+ *
+ * Maps each slash command to the types of its options (for parseCommand)
+ * and, for task commands, to the prompt template that performs the task.
+ * /translate has its own pipeline (glossary, translation memory, structured
+ * results); task commands send their input to the model and reply with the
+ * generated text.
+ *
+ * Task Command Format:
+ * - prompt: template name in prompts/
+ * - options: { string: [...], boolean: [...], number: [...], list: [...] }
+ * - usage: usage hint shown when the input is missing
+ * - variables(options, defaults): prompt variables from the parsed options and
+ *   the user's defaults ({ to, tone }); "thread" is added by the handler
+ *
+ * Adding a command: register it here, add its template in prompts/ and
+ * create the slash command in the Slack app, pointing to /slack/commands.
+ */
+
+// utils/commands.js
+import { unquote } from './glossary.js';
+
+const COMMANDS = {
+  '/translate': {
+    options: {
+      string: ['from', 'tone', 'set-default-to', 'set-default-tone', 'as', 'format', 'thread'],
+      boolean: ['enable-channel', 'disable-channel', 'show-prefs', 'dnt', 'verify', 'cache', 'store', 'channel', 'summary'],
+      number: ['last'],
+      // Several target languages translate the message into each of them
+      list: ['to']
+    }
+  },
+
+  '/rewrite': {
+    prompt: 'rewrite',
+    options: { string: ['tone'] },
+    usage: '/rewrite <text> [--tone friendly]',
+    variables: (options, defaults) => ({
+      tone: options.tone || defaults.tone
+    })
+  },
+
+  '/summarize': {
+    prompt: 'summarize',
+    options: { string: ['to'] },
+    usage: '/summarize <text or message link> [--to it-IT]',
+    variables: options => ({
+      language: options.to || null
+    })
+  },
+
+  '/reply-suggest': {
+    prompt: 'reply-suggest',
+    options: { string: ['tone', 'intent'] },
+    usage: '/reply-suggest <message or message link> [--intent "what you want to say"] [--tone friendly]',
+    variables: (options, defaults) => ({
+      language: defaults.to,
+      tone: options.tone || defaults.tone,
+      intent: options.intent ? unquote(options.intent) : null
+    })
+  }
+};
+
+/**
+ * Look up a slash command
+ *
+ * @param {string} command - Slash command, e.g. "/rewrite"
+ * @returns {Object|null} Command definition, or null if the command is unknown
+ */
+function getCommand(command) {
+  return Object.hasOwn(COMMANDS, command) ? { name: command, ...COMMANDS[command] } : null;
+}
+
+export { COMMANDS, getCommand };
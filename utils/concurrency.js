@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Bounded parallelism for model requests
+ *
+ * Fanning out one request per item (e.g. per target language) in parallel is
+ * faster, but too many at once trip provider rate limits; at most `limit`
+ * items are processed at a time.
+ */
+
+// utils/concurrency.js
+
+/**
+ * Map items with an async function, with at most `limit` calls in flight
+ *
+ * Failures do not stop the other items: each result is settled, in the
+ * order of the items.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls (at least 1)
+ * @param {Function} fn - async (item, index) => value
+ * @returns {Promise<Array<Object>>} [{ status: 'fulfilled', value } | { status: 'rejected', reason }]
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+export { mapWithConcurrency };
@@ -1,17 +1,32 @@
 // context-manager.js
 
+import { estimateMessageTokens, estimateTokens } from './token-estimator.js';
+
 // Load dotenv in Node.js environment
 const dotenv = await import('dotenv');
 dotenv.config();
 
+// History cap when MAX_CONTEXT_TOKENS is not set; large context windows would
+// otherwise send (and bill) the whole history with every request
+const DEFAULT_MAX_CONTEXT_TOKENS = 2000;
+
+/**
+ * Parse the history token cap; only an explicit 0 disables it
+ */
+function parseContextCap(value) {
+  const cap = parseInt(value);
+  return Number.isNaN(cap) || cap < 0 ? DEFAULT_MAX_CONTEXT_TOKENS : cap;
+}
+
 // Create config factory
 export function createConfig() {
   return {
-    MAX_CONTEXT_CHARS: parseInt(process.env.MAX_CONTEXT_CHARS) || 4000,     // Maximum characters for context
+    MAX_CONTEXT_TOKENS: parseContextCap(process.env.MAX_CONTEXT_TOKENS),   // Cap on history tokens (0 = model budget only)
     MIN_RECENT_MESSAGES: parseInt(process.env.MIN_RECENT_MESSAGES) || 3,    // Always include last N messages
     MAX_RELEVANT_OLDER: parseInt(process.env.MAX_RELEVANT_OLDER) || 3,      // Max older relevant messages to include
     MIN_KEYWORD_LENGTH: parseInt(process.env.MIN_KEYWORD_LENGTH) || 4,      // Minimum length for keywords
     RELEVANCE_THRESHOLD: parseFloat(process.env.RELEVANCE_THRESHOLD) || 0.3,  // Minimum relevance score (0-1)
+    SEMANTIC_RELEVANCE_THRESHOLD: parseFloat(process.env.SEMANTIC_RELEVANCE_THRESHOLD) || 0.5,  // Minimum cosine similarity (0-1)
   };
 }
 
@@ -113,15 +128,19 @@ function selectRelevantMessages(conversationHistory, currentPrompt) {
     return recentMessages;
   }
 
-  // Calculate relevance scores for older messages
-  const scoredMessages = olderMessages.map(msg => ({
-    message: msg,
-    score: calculateRelevance(msg, keywords),
-  }));
+  // Calculate relevance scores for older messages, preferring semantic scores when present
+  const scoredMessages = olderMessages.map(msg => {
+    const semantic = typeof msg.relevance === 'number';
+    return {
+      message: msg,
+      score: semantic ? msg.relevance : calculateRelevance(msg, keywords),
+      threshold: semantic ? CONFIG.SEMANTIC_RELEVANCE_THRESHOLD : CONFIG.RELEVANCE_THRESHOLD,
+    };
+  });
 
   // Filter by threshold and sort by score
   const relevantOlder = scoredMessages
-    .filter(item => item.score >= CONFIG.RELEVANCE_THRESHOLD)
+    .filter(item => item.score >= item.threshold)
     .sort((a, b) => b.score - a.score)
     .slice(0, CONFIG.MAX_RELEVANT_OLDER)
     .map(item => item.message);
@@ -136,79 +155,120 @@ function selectRelevantMessages(conversationHistory, currentPrompt) {
 }
 
 /**
- * Truncate messages to fit within character limit
+ * Resolve the token budget for the history
+ *
+ * The provider budget (what fits in the model context window) is capped by
+ * MAX_CONTEXT_TOKENS, unless it is set to 0.
+ */
+function resolveTokenBudget(maxTokens) {
+  const limits = [maxTokens, CONFIG.MAX_CONTEXT_TOKENS || undefined]
+    .filter(limit => Number.isFinite(limit));
+  return limits.length > 0 ? Math.min(...limits) : Infinity;
+}
+
+/**
+ * Truncate messages to fit within a token budget
  */
-function truncateToCharLimit(messages, maxChars) {
-  let totalChars = 0;
+function truncateToTokenLimit(messages, maxTokens, estimate = estimateTokens) {
+  let totalTokens = 0;
   const result = [];
 
   // Add from newest to oldest until we hit the limit
   for (let i = messages.length - 1; i >= 0; i--) {
-    const msg = messages[i];
-    const msgSize = msg.content.length + 30; // +30 for role prefix and formatting
+    const msgTokens = estimateMessageTokens(messages[i], estimate);
 
-    if (totalChars + msgSize > maxChars && result.length > 0) {
-      console.log(`Truncated at ${result.length} messages (${totalChars} chars)`);
+    if (totalTokens + msgTokens > maxTokens) {
+      console.log(`Truncated at ${result.length} messages (${totalTokens} tokens)`);
       break;
     }
 
-    result.unshift(msg);
-    totalChars += msgSize;
+    result.unshift(messages[i]);
+    totalTokens += msgTokens;
   }
 
   return result;
 }
 
+/**
+ * Build the context message carrying the summary of older messages
+ */
+function buildSummaryMessage(summary) {
+  return {
+    role: 'user',
+    content: `Summary of the earlier conversation, for context only:\n${summary}`,
+    summary: true,
+  };
+}
+
 /**
  * Build optimized context from conversation history
+ *
+ * Returns the selected turns as role-separated chat messages, oldest first,
+ * so providers can send them natively instead of as a flattened transcript.
+ * A summary of older messages, when given, comes first (flagged `summary`)
+ * and counts against the token budget.
+ *
+ * @param {Array} conversationHistory - Previous messages
+ * @param {string} currentPrompt - Current user message
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens] - Token budget of the provider for the history
+ * @param {Function} [options.estimateTokens] - Token estimator of the provider
+ * @param {string} [options.summary] - Summary of messages older than the history
  */
-function buildOptimizedContext(conversationHistory, currentPrompt) {
+function buildOptimizedContext(conversationHistory, currentPrompt, { maxTokens, estimateTokens: estimate, summary } = {}) {
   // Step 1: Select relevant messages
   const relevantMessages = selectRelevantMessages(conversationHistory, currentPrompt);
 
-  // Step 2: Truncate to character limit if needed
-  const truncatedMessages = truncateToCharLimit(
-    relevantMessages,
-    CONFIG.MAX_CONTEXT_CHARS,
-  );
-
-  console.log(`Context: ${truncatedMessages.length} messages from ${conversationHistory.length} total`);
-
-  // Step 3: Format the context
-  let context = '';
-
-  if (truncatedMessages.length > 0) {
-    context += 'Conversation context:\n\n';
+  // Step 2: Reserve room for the summary, if it fits at all
+  let budget = resolveTokenBudget(maxTokens);
+  const summaryMessage = summary ? buildSummaryMessage(summary) : null;
+  const summaryTokens = summaryMessage ? estimateMessageTokens(summaryMessage, estimate) : 0;
+  const includeSummary = summaryMessage && summaryTokens <= budget;
+  if (includeSummary) {
+    budget -= summaryTokens;
+  }
 
-    truncatedMessages.forEach((msg, index) => {
-      const role = msg.role === 'user' ? 'User' : 'Assistant';
-      const isRecent = index >= truncatedMessages.length - CONFIG.MIN_RECENT_MESSAGES;
-      const prefix = isRecent ? '→' : '•';
+  // Step 3: Truncate to the token budget if needed
+  const truncatedMessages = truncateToTokenLimit(relevantMessages, budget, estimate);
 
-      context += `${prefix} ${role}: ${msg.content}\n`;
-    });
+  console.log(`Context: ${truncatedMessages.length} messages from ${conversationHistory.length} total${includeSummary ? ' + summary' : ''}`);
 
-    context += '\n---\n\n';
-  }
+  // Step 4: Keep only what the chat APIs need
+  const messages = truncatedMessages.map(msg => ({
+    role: msg.role,
+    content: msg.content,
+  }));
 
-  return context;
+  return includeSummary ? [summaryMessage, ...messages] : messages;
 }
 
 /**
  * Get context statistics
+ *
+ * @param {Array} conversationHistory - Previous messages
+ * @param {string} currentPrompt - Current user message
+ * @param {Object} [options] - Same as buildOptimizedContext
  */
-function getContextStats(conversationHistory, currentPrompt) {
+function getContextStats(conversationHistory, currentPrompt, options = {}) {
+  const budget = resolveTokenBudget(options.maxTokens);
   const relevantMessages = selectRelevantMessages(conversationHistory, currentPrompt);
-  const truncatedMessages = truncateToCharLimit(relevantMessages, CONFIG.MAX_CONTEXT_CHARS);
+  const contextMessages = buildOptimizedContext(conversationHistory, currentPrompt, options);
+  const includedMessages = contextMessages.filter(msg => !msg.summary);
 
-  const totalChars = truncatedMessages.reduce((sum, msg) => sum + msg.content.length, 0);
+  const totalChars = contextMessages.reduce((sum, msg) => sum + msg.content.length, 0);
+  const totalTokens = contextMessages.reduce((sum, msg) => sum + estimateMessageTokens(msg, options.estimateTokens), 0);
 
   return {
     totalMessages: conversationHistory.length,
     relevantMessages: relevantMessages.length,
-    includedMessages: truncatedMessages.length,
+    includedMessages: includedMessages.length,
+    includesSummary: includedMessages.length < contextMessages.length,
     totalChars: totalChars,
-    utilizationPercent: ((totalChars / CONFIG.MAX_CONTEXT_CHARS) * 100).toFixed(1),
+    totalTokens: totalTokens,
+    budgetTokens: Number.isFinite(budget) ? budget : null,
+    utilizationPercent: Number.isFinite(budget) && budget > 0
+      ? ((totalTokens / budget) * 100).toFixed(1)
+      : null,
   };
 }
 
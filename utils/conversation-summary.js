@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Rolling summaries of long conversation histories
+ *
+ * Only a handful of messages fit in the context sent to the model, so older
+ * messages would otherwise be forgotten. Once enough messages have aged out
+ * of the recent window, they are condensed with the configured provider into
+ * a stored summary, which the context manager prepends to the context. The
+ * messages a summary covers are no longer fetched as history, so the model
+ * never gets them twice.
+ *
+ * Summaries are refreshed incrementally: each refresh folds the next batch of
+ * messages into the previous summary instead of starting over.
+ *
+ * Configuration:
+ * - SUMMARY_ENABLED: set to "false" to disable summaries (default: true)
+ * - SUMMARY_KEEP_RECENT: most recent messages never summarized (default: 20)
+ * - SUMMARY_BATCH_SIZE: messages needed to trigger a refresh (default: 10)
+ */
+
+// utils/conversation-summary.js
+
+import { renderPrompt } from '../prompts/index.js';
+import { fenceUntrustedText } from './prompt-guard.js';
+
+export function createSummaryConfig() {
+  return {
+    ENABLED: process.env.SUMMARY_ENABLED !== 'false',
+    KEEP_RECENT: parseInt(process.env.SUMMARY_KEEP_RECENT) || 20,
+    BATCH_SIZE: parseInt(process.env.SUMMARY_BATCH_SIZE) || 10,
+  };
+}
+
+const CONFIG = createSummaryConfig();
+
+/**
+ * Format messages as a transcript for the summarization prompt
+ */
+function formatTranscript(messages) {
+  return messages
+    .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+    .join('\n');
+}
+
+/**
+ * Fold messages that left the recent window into the conversation summary
+ *
+ * Does nothing until at least SUMMARY_BATCH_SIZE messages are pending.
+ *
+ * @param {Object} conversation - { userId, channelId, teamId }
+ * @param {Object} db - Database module
+ * @param {Function} generate - Called with (message, options), options being { system, temperature, maxTokens };
+ *   returns the model response
+ * @returns {Promise<string|null>} Updated summary, or null if it was not refreshed
+ */
+async function refreshSummary({ userId, channelId, teamId = '' }, db, generate) {
+  if (!CONFIG.ENABLED) {
+    return null;
+  }
+
+  const current = await db.getSummary(userId, channelId, teamId);
+  const pending = await db.getUnsummarizedMessages(
+    userId,
+    channelId,
+    current?.lastMessageId || 0,
+    CONFIG.KEEP_RECENT,
+    teamId
+  );
+
+  if (pending.length < CONFIG.BATCH_SIZE) {
+    return null;
+  }
+
+  const prompt = renderPrompt('summarize-history', {
+    summary: current?.summary || 'none yet'
+  });
+  const summary = (await generate(fenceUntrustedText(formatTranscript(pending)), { system: prompt.text, ...prompt.params })).trim();
+  if (!summary) {
+    return null;
+  }
+
+  await db.saveSummary(userId, channelId, summary, pending[pending.length - 1].id, teamId);
+  console.log(`Summary: folded ${pending.length} messages for ${userId} in ${channelId}`);
+  return summary;
+}
+
+export {
+  CONFIG,
+  refreshSummary
+};
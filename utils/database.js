@@ -2,96 +2,117 @@
  * @fileoverview Database management for conversation history
  * 
  * This module provides a persistent storage layer for conversation messages
- * between users and the AI assistant using SQLite.
+ * between users and the AI assistant. Queries are run by a storage backend
+ * (see storage/): SQLite by default, or Postgres when DATABASE_URL is set, so
+ * that several replicas of the app can share the same data.
+ * 
+ * Backends throw on failure; the functions below log errors and return a
+ * safe default (false, null, 0 or an empty list) instead.
  * 
  * Features:
- * - Per-user, per-channel conversation tracking
+ * - Per-workspace, per-user, per-channel conversation tracking
  * - Message history with timestamps
- * - Automatic cleanup of old messages
+ * - Automatic cleanup of old messages, with per-workspace and per-channel retention
+ * - Bot token storage for each workspace that installed the app
+ * 
+ * The schema is managed by versioned migrations (see migrations.js).
+ * 
+ * When MESSAGE_ENCRYPTION_KEY is set, message content and conversation
+ * summaries are encrypted before reaching the backend (see encryption.js).
  * 
  * Database Schema:
- * - messages table: id, user_id, channel_id, role, content, timestamp, created_at
- * - Indexed on (user_id, channel_id, timestamp) for fast queries
+ * - messages table: id, team_id, user_id, channel_id, role, content, timestamp, created_at
+ * - Indexed on (team_id, user_id, channel_id, timestamp) for fast queries
+ * - installations table: team_id, team_name, bot_token (encrypted like
+ *   messages), bot_user_id, app_id, scope, installed_by, installed_at, updated_at
+ * - channel_settings table: team_id, channel_id, target_language, tone,
+ *   enabled_by, created_at, updated_at (channels with auto-translate enabled)
+ * - user_preferences table: team_id, user_id, default_language, default_tone,
+ *   store_history (0 when the user opted out of history), updated_at
+ * - retention_policies table: team_id, channel_id ('' for the whole workspace),
+ *   days, updated_by, updated_at
+ * - glossary table: team_id, term_key, source_term, target_language, translation,
+ *   do_not_translate, created_by, created_at
+ * - embeddings table: team_id, user_id, content_hash, model, vector, created_at
+ *   (cached message embeddings for semantic context selection, per user and
+ *   keyed by SHA-256 of the text)
+ * - conversation_summaries table: team_id, user_id, channel_id, summary,
+ *   last_message_id, updated_at (rolling summary of older messages)
+ * - translation_memory table: team_id, source_key (hash of the normalized
+ *   source text), target_language, tone, source_text, source_length, result
+ *   (JSON), user_id, channel_id, hits, stored_at (ms, for retention),
+ *   created_at, last_used_at
+ * - translation_memory_stats table: team_id, exact_hits, fuzzy_hits, misses, bypassed
+ * - usage table: team_id, user_id, channel_id, command, provider, model,
+ *   input_tokens, output_tokens, latency_ms, created_at (one row per model call)
  */
 
-import Database from 'better-sqlite3';
-import { join } from 'path';
-import { existsSync, mkdirSync } from 'fs';
+import { createHash, createHmac } from 'crypto';
+import { createStorageFromEnv } from '../storage/index.js';
+import { parseEncryptionKey, encryptText, decryptText } from './encryption.js';
+import { normalizeSourceText } from './translation-memory.js';
 
-// Global database instance
-let dbInstance = null;
+// Global storage backend
+let storage = null;
+
+// Key encrypting message content and summaries at rest (MESSAGE_ENCRYPTION_KEY), or null
+let encryptionKey = null;
 
 /**
  * Initialize database
+ * 
+ * Pending migrations are applied at startup unless DB_AUTO_MIGRATE is
+ * "false", in which case startup fails until `npm run db:migrate` is run.
+ * 
+ * @param {Object} [options]
+ * @param {boolean} [options.autoMigrate] - Apply pending migrations (default: DB_AUTO_MIGRATE !== 'false')
+ * @param {BaseStorage} [options.backend] - Storage backend (default: from DATABASE_URL / SQLITE_PATH)
+ * @param {string} [options.encryptionKey] - Content encryption key (default: MESSAGE_ENCRYPTION_KEY)
+ * @returns {Promise<BaseStorage>} Storage backend
  */
-export function initDatabase() {
-  if (!dbInstance) {
-    const dbDir = join(process.cwd(), 'db');
-    if (!existsSync(dbDir)) {
-      mkdirSync(dbDir, { recursive: true });
+export async function initDatabase({
+  autoMigrate = process.env.DB_AUTO_MIGRATE !== 'false',
+  backend = null,
+  encryptionKey: key = process.env.MESSAGE_ENCRYPTION_KEY
+} = {}) {
+  if (!storage) {
+    encryptionKey = key ? parseEncryptionKey(key) : null;
+    const instance = backend || createStorageFromEnv();
+
+    try {
+      await instance.init({ autoMigrate });
+    } catch (error) {
+      await instance.close();
+      throw error;
     }
-    
-    dbInstance = new Database(join(dbDir, 'conversations.db'));
-    dbInstance.pragma('journal_mode = WAL');
-    
-    // Initialize schema
-    dbInstance.exec(`
-      CREATE TABLE IF NOT EXISTS messages (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id TEXT NOT NULL,
-        channel_id TEXT NOT NULL,
-        role TEXT NOT NULL CHECK(role IN ('user', 'assistant')),
-        content TEXT NOT NULL,
-        timestamp INTEGER NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_user_channel 
-      ON messages(user_id, channel_id, timestamp);
-    `);
-    
-    // Prepare statements
-    dbInstance.statements = {
-      insertMessage: dbInstance.prepare(`
-        INSERT INTO messages (user_id, channel_id, role, content, timestamp)
-        VALUES (?, ?, ?, ?, ?)
-      `),
-      
-      getMessages: dbInstance.prepare(`
-        SELECT role, content, timestamp
-        FROM messages
-        WHERE user_id = ? AND channel_id = ?
-        ORDER BY timestamp DESC
-        LIMIT ?
-      `),
-      
-      deleteMessages: dbInstance.prepare(`
-        DELETE FROM messages
-        WHERE user_id = ? AND channel_id = ?
-      `),
-      
-      countMessages: dbInstance.prepare(`
-        SELECT COUNT(*) as count
-        FROM messages
-        WHERE user_id = ? AND channel_id = ?
-      `),
-      
-      cleanupOld: dbInstance.prepare(`
-        DELETE FROM messages WHERE timestamp < ?
-      `)
-    };
-  }
-  return dbInstance;
-}
-
-/**
- * Get database instance
- */
-function getDb() {
-  if (!dbInstance) {
+
+    storage = instance;
+  }
+  return storage;
+}
+
+/**
+ * Get storage backend
+ */
+function getStorage() {
+  if (!storage) {
     throw new Error('Database not initialized. Call initDatabase() first.');
   }
-  return dbInstance;
+  return storage;
+}
+
+/**
+ * Encrypt a text before storing it, when encryption is enabled
+ */
+function seal(text) {
+  return encryptionKey ? encryptText(text, encryptionKey) : text;
+}
+
+/**
+ * Decrypt the content of stored messages
+ */
+function openMessages(messages) {
+  return messages.map(msg => ({ ...msg, content: decryptText(msg.content, encryptionKey) }));
 }
 
 /**
@@ -101,12 +122,12 @@ function getDb() {
  * @param {string} channelId - Slack channel ID
  * @param {string} role - Message role: 'user' or 'assistant'
  * @param {string} content - Message content/text
+ * @param {string} [teamId=''] - Slack workspace ID
  * @returns {Promise<boolean>} True if successful, false on error
  */
-export async function addMessage(userId, channelId, role, content) {
+export async function addMessage(userId, channelId, role, content, teamId = '') {
   try {
-    const db = getDb();
-    db.statements.insertMessage.run(userId, channelId, role, content, Date.now());
+    await getStorage().addMessage(userId, channelId, role, seal(content), teamId);
     return true;
   } catch (error) {
     console.error('Error adding message:', error);
@@ -120,13 +141,13 @@ export async function addMessage(userId, channelId, role, content) {
  * @param {string} userId - Slack user ID
  * @param {string} channelId - Slack channel ID
  * @param {number} [limit=10] - Maximum number of messages to retrieve
+ * @param {string} [teamId=''] - Slack workspace ID
+ * @param {number} [afterId=0] - Only messages after this ID (e.g. the last one summarized)
  * @returns {Promise<Array>} Array of message objects with role, content, timestamp
  */
-export async function getHistory(userId, channelId, limit = 10) {
+export async function getHistory(userId, channelId, limit = 10, teamId = '', afterId = 0) {
   try {
-    const db = getDb();
-    const messages = db.statements.getMessages.all(userId, channelId, limit);
-    return messages.reverse();
+    return openMessages(await getStorage().getHistory(userId, channelId, limit, teamId, afterId));
   } catch (error) {
     console.error('Error getting history:', error);
     return [];
@@ -138,31 +159,88 @@ export async function getHistory(userId, channelId, limit = 10) {
  * 
  * @param {string} userId - Slack user ID
  * @param {string} channelId - Slack channel ID
+ * @param {string} [teamId=''] - Slack workspace ID
  * @returns {Promise<boolean>} True if any messages were deleted
  */
-export async function clearHistory(userId, channelId) {
+export async function clearHistory(userId, channelId, teamId = '') {
   try {
-    const db = getDb();
-    const result = db.statements.deleteMessages.run(userId, channelId);
-    return result.changes > 0;
+    return await getStorage().clearHistory(userId, channelId, teamId);
   } catch (error) {
     console.error('Error clearing history:', error);
     return false;
   }
 }
 
+/**
+ * Get the messages not yet covered by the conversation summary
+ * 
+ * The most recent messages are left out: they are sent to the model as is.
+ * 
+ * @param {string} userId - Slack user ID
+ * @param {string} channelId - Slack channel ID
+ * @param {number} afterId - Last message ID already summarized (0 for none)
+ * @param {number} keepRecent - Number of recent messages to leave out
+ * @param {string} [teamId=''] - Slack workspace ID
+ * @returns {Promise<Array>} Messages with id, role, content, timestamp, oldest first
+ */
+export async function getUnsummarizedMessages(userId, channelId, afterId, keepRecent, teamId = '') {
+  try {
+    return openMessages(await getStorage().getUnsummarizedMessages(userId, channelId, afterId, keepRecent, teamId));
+  } catch (error) {
+    console.error('Error getting unsummarized messages:', error);
+    return [];
+  }
+}
+
+/**
+ * Store the conversation summary of a user in a channel
+ * 
+ * @param {string} userId - Slack user ID
+ * @param {string} channelId - Slack channel ID
+ * @param {string} summary - Summary text
+ * @param {number} lastMessageId - ID of the last message the summary covers
+ * @param {string} [teamId=''] - Slack workspace ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveSummary(userId, channelId, summary, lastMessageId, teamId = '') {
+  try {
+    await getStorage().saveSummary(userId, channelId, seal(summary), lastMessageId, teamId);
+    return true;
+  } catch (error) {
+    console.error('Error saving summary:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the conversation summary of a user in a channel
+ * 
+ * @param {string} userId - Slack user ID
+ * @param {string} channelId - Slack channel ID
+ * @param {string} [teamId=''] - Slack workspace ID
+ * @returns {Promise<Object|null>} { summary, lastMessageId, updatedAt } or null
+ */
+export async function getSummary(userId, channelId, teamId = '') {
+  try {
+    const stored = await getStorage().getSummary(userId, channelId, teamId);
+    return stored && { ...stored, summary: decryptText(stored.summary, encryptionKey) };
+  } catch (error) {
+    console.error('Error getting summary:', error);
+    return null;
+  }
+}
+
 /**
  * Get total message count for a user in a channel
  * 
  * @param {string} userId - Slack user ID
  * @param {string} channelId - Slack channel ID
+ * @param {string} [teamId=''] - Slack workspace ID
  * @returns {Promise<number>} Total number of messages
  */
-export async function getMessageCount(userId, channelId) {
+export async function getMessageCount(userId, channelId, teamId = '') {
   try {
-    const db = getDb();
-    const result = db.statements.countMessages.get(userId, channelId);
-    return result.count;
+    return await getStorage().getMessageCount(userId, channelId, teamId);
   } catch (error) {
     console.error('Error counting messages:', error);
     return 0;
@@ -170,42 +248,589 @@ export async function getMessageCount(userId, channelId) {
 }
 
 /**
- * Delete messages older than specified number of days
+ * Delete messages older than their retention period
  * 
- * @param {number} [daysToKeep=30] - Number of days of history to retain
+ * The retention period of a message is the policy of its channel, else the
+ * policy of its workspace, else daysToKeep. Summaries of expired messages and
+ * old cached embeddings are deleted as well.
+ * 
+ * @param {number} [daysToKeep=30] - Number of days of history to retain without a policy
  * @returns {Promise<number>} Number of messages deleted
  */
 export async function cleanupOldMessages(daysToKeep = 30) {
   try {
-    const db = getDb();
-    const cutoffTime = Date.now() - (daysToKeep * 24 * 60 * 60 * 1000);
-    const result = db.statements.cleanupOld.run(cutoffTime);
-    return result.changes;
+    return await getStorage().cleanupOldMessages(daysToKeep);
   } catch (error) {
     console.error('Error cleaning up messages:', error);
     return 0;
   }
 }
 
+/**
+ * Delete the conversation history, translation memory entries and cached
+ * embeddings of a user in every channel of a workspace
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<Object|null>} { messages, summaries, memoryEntries, embeddings } deleted, or null on error
+ */
+export async function deleteUserHistory(teamId, userId) {
+  try {
+    return await getStorage().deleteUserHistory(teamId, userId);
+  } catch (error) {
+    console.error('Error deleting user history:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete everything stored about a user in a workspace: history, summaries,
+ * translation memory entries, cached embeddings, preferences and usage records
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<Object|null>} { messages, summaries, memoryEntries, embeddings, preferences, usage } deleted,
+ *   or null on error
+ */
+export async function purgeUserData(teamId, userId) {
+  try {
+    const backend = getStorage();
+    const history = await backend.deleteUserHistory(teamId, userId);
+    const preferences = await backend.deleteUserPreferences(teamId, userId);
+    const usage = await backend.deleteUserUsage(teamId, userId);
+    return { ...history, preferences: preferences ? 1 : 0, usage };
+  } catch (error) {
+    console.error('Error purging user data:', error);
+    return null;
+  }
+}
+
+/**
+ * Set how long messages are kept in a workspace, or in one of its channels
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @param {string} channelId - Slack channel ID, or '' for the whole workspace
+ * @param {number} days - Retention period in days
+ * @param {string} [updatedBy] - ID of the user setting it
+ * @returns {Promise<boolean>} True if successful, false on error
+ */
+export async function setRetentionPolicy(teamId, channelId, days, updatedBy = null) {
+  try {
+    await getStorage().setRetentionPolicy(teamId, channelId, days, updatedBy);
+    return true;
+  } catch (error) {
+    console.error('Error saving retention policy:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove the retention policy of a workspace or channel
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @param {string} channelId - Slack channel ID, or '' for the whole workspace
+ * @returns {Promise<boolean>} True if a policy was removed
+ */
+export async function deleteRetentionPolicy(teamId, channelId) {
+  try {
+    return await getStorage().deleteRetentionPolicy(teamId, channelId);
+  } catch (error) {
+    console.error('Error deleting retention policy:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the retention policies of a workspace
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @returns {Promise<Array>} Policies with channelId ('' for the workspace), days, updatedBy, updatedAt
+ */
+export async function getRetentionPolicies(teamId) {
+  try {
+    return await getStorage().getRetentionPolicies(teamId);
+  } catch (error) {
+    console.error('Error getting retention policies:', error);
+    return [];
+  }
+}
+
 /**
  * Get extended conversation history with higher limit
  * 
  * @param {string} userId - Slack user ID
  * @param {string} channelId - Slack channel ID
  * @param {number} [limit=50] - Maximum number of messages to retrieve
+ * @param {string} [teamId=''] - Slack workspace ID
+ * @param {number} [afterId=0] - Only messages after this ID (e.g. the last one summarized)
  * @returns {Promise<Array>} Array of message objects with role, content, timestamp
  */
-export async function getExtendedHistory(userId, channelId, limit = 50) {
-  return getHistory(userId, channelId, limit);
+export async function getExtendedHistory(userId, channelId, limit = 50, teamId = '', afterId = 0) {
+  return getHistory(userId, channelId, limit, teamId, afterId);
+}
+
+/**
+ * Store (or refresh) the bot credentials of a workspace installation
+ * 
+ * The bot token is encrypted like messages; tokens stored before the key was
+ * set stay readable and are encrypted on the next install.
+ * 
+ * @param {Object} installation - Installation data from oauth.v2.access
+ * @param {string} installation.teamId - Slack workspace ID
+ * @param {string} [installation.teamName] - Slack workspace name
+ * @param {string} installation.botToken - Bot user OAuth token (xoxb-)
+ * @param {string} [installation.botUserId] - Bot user ID
+ * @param {string} [installation.appId] - Slack app ID
+ * @param {string} [installation.scope] - Granted bot scopes
+ * @param {string} [installation.installedBy] - ID of the installing user
+ * @returns {Promise<boolean>} True if successful, false on error
+ */
+export async function saveInstallation(installation) {
+  try {
+    await getStorage().saveInstallation({
+      teamId: installation.teamId,
+      teamName: installation.teamName || null,
+      botToken: seal(installation.botToken),
+      botUserId: installation.botUserId || null,
+      appId: installation.appId || null,
+      scope: installation.scope || null,
+      installedBy: installation.installedBy || null
+    });
+    return true;
+  } catch (error) {
+    console.error('Error saving installation:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the stored installation for a workspace
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @returns {Promise<Object|null>} Installation data, or null if not installed
+ */
+export async function getInstallation(teamId) {
+  try {
+    const installation = await getStorage().getInstallation(teamId);
+    return installation && { ...installation, botToken: decryptText(installation.botToken, encryptionKey) };
+  } catch (error) {
+    console.error('Error getting installation:', error);
+    return null;
+  }
+}
+
+/**
+ * Remove the stored installation for a workspace
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @returns {Promise<boolean>} True if an installation was deleted
+ */
+export async function deleteInstallation(teamId) {
+  try {
+    return await getStorage().deleteInstallation(teamId);
+  } catch (error) {
+    console.error('Error deleting installation:', error);
+    return false;
+  }
+}
+
+/**
+ * Enable (or update) automatic translation for a channel
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @param {string} channelId - Slack channel ID
+ * @param {string} language - Target language for every message
+ * @param {string} tone - Tone used for the translations
+ * @param {string} [enabledBy] - ID of the user who enabled it
+ * @returns {Promise<boolean>} True if successful, false on error
+ */
+export async function setChannelSettings(teamId, channelId, language, tone, enabledBy = null) {
+  try {
+    await getStorage().setChannelSettings(teamId, channelId, language, tone, enabledBy);
+    return true;
+  } catch (error) {
+    console.error('Error saving channel settings:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the automatic translation settings of a channel
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @param {string} channelId - Slack channel ID
+ * @returns {Promise<Object|null>} { language, tone, enabledBy }, or null if disabled
+ */
+export async function getChannelSettings(teamId, channelId) {
+  try {
+    return await getStorage().getChannelSettings(teamId, channelId);
+  } catch (error) {
+    console.error('Error getting channel settings:', error);
+    return null;
+  }
+}
+
+/**
+ * Disable automatic translation for a channel
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @param {string} channelId - Slack channel ID
+ * @returns {Promise<boolean>} True if the channel had auto-translate enabled
+ */
+export async function deleteChannelSettings(teamId, channelId) {
+  try {
+    return await getStorage().deleteChannelSettings(teamId, channelId);
+  } catch (error) {
+    console.error('Error deleting channel settings:', error);
+    return false;
+  }
+}
+
+/**
+ * Save default translation preferences for a user
+ * 
+ * Only the provided fields are updated; omitted ones keep their stored value.
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @param {string} userId - Slack user ID
+ * @param {Object} preferences
+ * @param {string} [preferences.language] - Default target language
+ * @param {string} [preferences.tone] - Default tone
+ * @param {boolean} [preferences.storeHistory] - Whether the user's conversation history is stored
+ * @returns {Promise<boolean>} True if successful, false on error
+ */
+export async function setUserPreferences(teamId, userId, { language = null, tone = null, storeHistory = null }) {
+  try {
+    await getStorage().setUserPreferences(teamId, userId, { language, tone, storeHistory });
+    return true;
+  } catch (error) {
+    console.error('Error saving user preferences:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the default translation preferences of a user
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<Object|null>} { language, tone, storeHistory } (language and tone may be null), or null if none saved
+ */
+export async function getUserPreferences(teamId, userId) {
+  try {
+    return await getStorage().getUserPreferences(teamId, userId);
+  } catch (error) {
+    console.error('Error getting user preferences:', error);
+    return null;
+  }
+}
+
+/**
+ * Add (or replace) glossary entries for a workspace
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @param {Array<Object>} entries - Entries with term, language, translation, doNotTranslate
+ * @param {string} [createdBy] - ID of the user adding the entries
+ * @returns {Promise<boolean>} True if successful, false on error
+ */
+export async function addGlossaryEntries(teamId, entries, createdBy = null) {
+  try {
+    await getStorage().addGlossaryEntries(teamId, entries, createdBy);
+    return true;
+  } catch (error) {
+    console.error('Error adding glossary entries:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove a glossary term for one language, or for all languages
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @param {string} term - Source term (case-insensitive)
+ * @param {string} [language] - Target language; omit to remove every entry of the term
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function removeGlossaryEntry(teamId, term, language = null) {
+  try {
+    return await getStorage().removeGlossaryEntry(teamId, term, language);
+  } catch (error) {
+    console.error('Error removing glossary entry:', error);
+    return 0;
+  }
+}
+
+/**
+ * Get all glossary entries of a workspace
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @returns {Promise<Array>} Entries with term, language, translation, doNotTranslate
+ */
+export async function getGlossary(teamId) {
+  try {
+    return await getStorage().getGlossary(teamId);
+  } catch (error) {
+    console.error('Error getting glossary:', error);
+    return [];
+  }
+}
+
+/**
+ * Store a translation in the translation memory
+ * 
+ * The entry is attributed to the user who sent the source text, so it is
+ * deleted with their data, and expires with the retention of its channel.
+ * The source text and the result are encrypted like messages; the key is
+ * stored hashed.
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @param {Object} entry - { sourceKey, sourceText, language, tone, result, userId, channelId }
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveMemoryEntry(teamId, { sourceKey, sourceText, language, tone, result, userId, channelId }) {
+  try {
+    await getStorage().saveMemoryEntry(teamId, {
+      sourceKey: hashContent(sourceKey),
+      sourceText: seal(sourceText),
+      sourceLength: sourceKey.length,
+      language,
+      tone,
+      result: seal(JSON.stringify(result)),
+      userId,
+      channelId
+    });
+    return true;
+  } catch (error) {
+    console.error('Error saving translation memory entry:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the stored translation of a source text, counting the hit
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @param {string} sourceKey - Normalized source text
+ * @param {string} language - Target language
+ * @param {string} tone - Tone
+ * @returns {Promise<Object|null>} Translation result or null if not found
+ */
+export async function getMemoryEntry(teamId, sourceKey, language, tone) {
+  try {
+    const result = await getStorage().getMemoryEntry(teamId, hashContent(sourceKey), language, tone);
+    return result && JSON.parse(decryptText(result, encryptionKey));
+  } catch (error) {
+    console.error('Error getting translation memory entry:', error);
+    return null;
+  }
+}
+
+/**
+ * Get recent translation memory entries to compare with a source text
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @param {string} language - Target language
+ * @param {number} minLength - Minimum source key length
+ * @param {number} maxLength - Maximum source key length
+ * @param {number} [limit=500] - Maximum number of entries
+ * @returns {Promise<Array>} Entries with sourceKey, sourceText, translation
+ */
+export async function getMemoryCandidates(teamId, language, minLength, maxLength, limit = 500) {
+  try {
+    const entries = await getStorage().getMemoryCandidates(teamId, language, minLength, maxLength, limit);
+    return entries.map(entry => {
+      const sourceText = decryptText(entry.sourceText, encryptionKey);
+      return {
+        sourceKey: normalizeSourceText(sourceText),
+        sourceText,
+        translation: JSON.parse(decryptText(entry.result, encryptionKey)).translation
+      };
+    });
+  } catch (error) {
+    console.error('Error getting translation memory candidates:', error);
+    return [];
+  }
+}
+
+/**
+ * Count a translation memory lookup
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @param {string} kind - exact, fuzzy, miss or bypassed
+ * @returns {Promise<boolean>} Success status
+ */
+export async function recordMemoryLookup(teamId, kind) {
+  try {
+    await getStorage().recordMemoryLookup(teamId, kind);
+    return true;
+  } catch (error) {
+    console.error('Error recording translation memory lookup:', error);
+    return false;
+  }
+}
+
+/**
+ * Get translation memory statistics of a workspace
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @returns {Promise<Object>} { entries, exactHits, fuzzyHits, misses, bypassed }
+ */
+export async function getMemoryStats(teamId) {
+  const empty = { entries: 0, exactHits: 0, fuzzyHits: 0, misses: 0, bypassed: 0 };
+  try {
+    return await getStorage().getMemoryStats(teamId);
+  } catch (error) {
+    console.error('Error getting translation memory stats:', error);
+    return empty;
+  }
+}
+
+/**
+ * Record the usage of a model call
+ * 
+ * @param {Object} entry
+ * @param {string} entry.teamId - Slack workspace ID
+ * @param {string|null} entry.userId - Slack user ID, null for channel-wide work (auto-translate)
+ * @param {string|null} entry.channelId - Slack channel ID
+ * @param {string} entry.command - What the call was for (e.g. translate, verify, summary)
+ * @param {string} entry.provider - Provider that answered
+ * @param {string} entry.model - Model that answered
+ * @param {number|null} entry.inputTokens - Input tokens reported by the API
+ * @param {number|null} entry.outputTokens - Output tokens reported by the API
+ * @param {number} entry.latencyMs - Duration of the call
+ * @returns {Promise<boolean>} Success status
+ */
+export async function recordUsage({
+  teamId = '',
+  userId = null,
+  channelId = null,
+  command,
+  provider,
+  model = null,
+  inputTokens = null,
+  outputTokens = null,
+  latencyMs
+}) {
+  try {
+    await getStorage().recordUsage({ teamId, userId, channelId, command, provider, model, inputTokens, outputTokens, latencyMs });
+    return true;
+  } catch (error) {
+    console.error('Error recording usage:', error);
+    return false;
+  }
+}
+
+/**
+ * Sum the usage of a user or a channel since a date
+ * 
+ * @param {string} teamId - Slack workspace ID
+ * @param {string} scope - 'user' or 'channel'
+ * @param {string} id - Slack user or channel ID
+ * @param {number} since - Start of the period, in ms since the epoch
+ * @returns {Promise<Object>} { requests, inputTokens, outputTokens }
+ */
+export async function getUsageTotals(teamId, scope, id, since) {
+  const empty = { requests: 0, inputTokens: 0, outputTokens: 0 };
+  try {
+    return await getStorage().getUsageTotals(teamId, scope, id, since);
+  } catch (error) {
+    console.error('Error getting usage totals:', error);
+    return empty;
+  }
+}
+
+/**
+ * Sum the usage since a date, grouped by workspace, user, channel, model or command
+ * 
+ * @param {string} groupBy - total, team, user, channel, model or command
+ * @param {number} since - Start of the period, in ms since the epoch
+ * @param {string|null} [teamId=null] - Restrict to a workspace
+ * @param {number} [limit=20] - Maximum number of groups, most tokens first
+ * @returns {Promise<Array>} Rows with the group fields, requests, inputTokens, outputTokens, avgLatencyMs
+ */
+export async function getUsageBreakdown(groupBy, since, teamId = null, limit = 20) {
+  try {
+    return await getStorage().getUsageBreakdown(groupBy, since, teamId, limit);
+  } catch (error) {
+    console.error('Error getting usage breakdown:', error);
+    return [];
+  }
+}
+
+/**
+ * Delete usage records older than the given number of days
+ * 
+ * @param {number} [daysToKeep=365] - Number of days of usage to retain
+ * @returns {Promise<number>} Number of records deleted
+ */
+export async function cleanupOldUsage(daysToKeep = 365) {
+  try {
+    return await getStorage().cleanupOldUsage(daysToKeep);
+  } catch (error) {
+    console.error('Error cleaning up usage:', error);
+    return 0;
+  }
+}
+
+/**
+ * Hash a text to key its embedding or translation memory entry
+ * 
+ * With encryption enabled the hash is keyed, so it cannot be used to check
+ * guesses of the stored texts.
+ */
+function hashContent(text) {
+  return encryptionKey
+    ? createHmac('sha256', encryptionKey).update(text).digest('hex')
+    : createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Get the cached embedding of a text
+ * 
+ * Embeddings are cached per user, so they are deleted with the user's data.
+ * 
+ * @param {string} text - Embedded text
+ * @param {string} model - Embedding model
+ * @param {Object} owner - { teamId, userId } whose history the text comes from
+ * @returns {Promise<Float32Array|null>} Embedding vector or null if not cached
+ */
+export async function getEmbedding(text, model, { teamId = '', userId }) {
+  try {
+    return await getStorage().getEmbedding(teamId, userId, hashContent(text), model);
+  } catch (error) {
+    console.error('Error getting embedding:', error);
+    return null;
+  }
+}
+
+/**
+ * Cache the embedding of a text
+ * 
+ * @param {string} text - Embedded text
+ * @param {string} model - Embedding model
+ * @param {Array<number>|Float32Array} vector - Embedding vector
+ * @param {Object} owner - { teamId, userId } whose history the text comes from
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveEmbedding(text, model, vector, { teamId = '', userId }) {
+  try {
+    const blob = Buffer.from(Float32Array.from(vector).buffer);
+    await getStorage().saveEmbedding(teamId, userId, hashContent(text), model, blob);
+    return true;
+  } catch (error) {
+    console.error('Error saving embedding:', error);
+    return false;
+  }
 }
 
 /**
  * Close the database connection gracefully
  */
-export function closeDatabase() {
-  if (dbInstance) {
-    dbInstance.close();
-    dbInstance = null;
+export async function closeDatabase() {
+  if (storage) {
+    const instance = storage;
+    storage = null;
+    await instance.close();
     console.log('Database connection closed');
   }
 }
@@ -220,6 +845,36 @@ export default {
   getExtendedHistory,
   clearHistory,
   getMessageCount,
+  getUnsummarizedMessages,
+  saveSummary,
+  getSummary,
   cleanupOldMessages,
+  deleteUserHistory,
+  purgeUserData,
+  setRetentionPolicy,
+  deleteRetentionPolicy,
+  getRetentionPolicies,
+  saveInstallation,
+  getInstallation,
+  deleteInstallation,
+  setChannelSettings,
+  getChannelSettings,
+  deleteChannelSettings,
+  setUserPreferences,
+  getUserPreferences,
+  addGlossaryEntries,
+  removeGlossaryEntry,
+  getGlossary,
+  saveMemoryEntry,
+  getMemoryEntry,
+  getMemoryCandidates,
+  recordMemoryLookup,
+  getMemoryStats,
+  recordUsage,
+  getUsageTotals,
+  getUsageBreakdown,
+  cleanupOldUsage,
+  getEmbedding,
+  saveEmbedding,
   closeDatabase,
 };
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Encryption at rest for stored message content
+ *
+ * Message content, conversation summaries, translation memory entries and
+ * workspace bot tokens are encrypted with AES-256-GCM when
+ * MESSAGE_ENCRYPTION_KEY is set. Each value gets a random IV and is
+ * stored as "enc:v1:<iv>:<auth tag>:<ciphertext>" (base64 parts), so
+ * encrypted and plaintext rows can coexist: rows written before the key was
+ * set are still read as is.
+ *
+ * Key Format:
+ * - 32 bytes, as 64 hex characters or base64
+ * - Generate one with: node -e "console.log(crypto.randomBytes(32).toString('base64'))"
+ *
+ * @requires crypto
+ */
+
+// utils/encryption.js
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+/**
+ * Decode an encryption key from its hex or base64 form
+ *
+ * @param {string} value - Key as 64 hex characters or base64
+ * @returns {Buffer} 32-byte key
+ * @throws {Error} If the key does not decode to 32 bytes
+ */
+function parseEncryptionKey(value) {
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, 'hex')
+    : Buffer.from(value, 'base64');
+
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`Encryption key must be ${KEY_BYTES} bytes (64 hex characters or base64), got ${key.length}`);
+  }
+  return key;
+}
+
+/**
+ * Check whether a stored value is encrypted
+ *
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a text
+ *
+ * @param {string} text - Plaintext
+ * @param {Buffer} key - 32-byte key
+ * @returns {string} Encrypted value
+ */
+function encryptText(text, key) {
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+  return PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a stored value; plaintext values are returned unchanged
+ *
+ * @param {string} value - Stored value
+ * @param {Buffer|null} key - 32-byte key
+ * @returns {string} Plaintext
+ * @throws {Error} If the value is encrypted and the key is missing or wrong
+ */
+function decryptText(value, key) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+  if (!key) {
+    throw new Error('Found encrypted content but MESSAGE_ENCRYPTION_KEY is not set');
+  }
+
+  const [iv, authTag, ciphertext] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+export {
+  parseEncryptionKey,
+  isEncrypted,
+  encryptText,
+  decryptText
+};
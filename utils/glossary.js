@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Team glossary helpers for terminology enforcement
+ *
+ * Selects the glossary entries relevant to a message and checks translations
+ * for violations. The entries are rendered as prompt instructions by the
+ * glossary partial (prompts/partials/glossary.md).
+ *
+ * Entry Format:
+ * - term: source term as written in the original message
+ * - language: target language ("it-IT", "it", or "*" for every language)
+ * - translation: required translation (null when doNotTranslate is set)
+ * - doNotTranslate: the term must be kept verbatim
+ *
+ * Import Format (one entry per line, CSV):
+ * - "term,language,translation" → required translation
+ * - "term,language," or "term,language,=" → do not translate
+ */
+
+// utils/glossary.js
+
+const ALL_LANGUAGES = '*';
+
+/**
+ * Remove surrounding quotes from a command argument
+ *
+ * @param {string} value - e.g. '"Acme Cloud"'
+ * @returns {string} e.g. 'Acme Cloud'
+ */
+function unquote(value = '') {
+  const trimmed = String(value).trim();
+  const match = trimmed.match(/^(["'“])(.*)(["'”])$/s);
+  return match ? match[2].trim() : trimmed;
+}
+
+/**
+ * Check whether a glossary language applies to a target language
+ *
+ * "*" matches everything, "it" matches "it-IT", "it-IT" only matches "it-IT".
+ */
+function languageMatches(entryLanguage, targetLanguage) {
+  const entry = entryLanguage.toLowerCase();
+  const target = targetLanguage.toLowerCase();
+  return entry === ALL_LANGUAGES || entry === target || entry === target.split('-')[0];
+}
+
+/**
+ * Check whether a term occurs in a text as a whole word (case-insensitive)
+ */
+function containsTerm(text, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+/**
+ * Select the glossary entries that apply to a message
+ *
+ * When a term has both a language-specific and a generic entry, the most
+ * specific one wins.
+ *
+ * @param {string} message - Text to translate
+ * @param {string} language - Target language
+ * @param {Array<Object>} entries - All glossary entries of the team
+ * @returns {Array<Object>} Entries whose term appears in the message
+ */
+function findGlossaryTerms(message, language, entries) {
+  const byTerm = new Map();
+
+  entries
+    .filter(entry => languageMatches(entry.language, language) && containsTerm(message, entry.term))
+    .forEach(entry => {
+      const key = entry.term.toLowerCase();
+      const current = byTerm.get(key);
+      if (!current || entry.language.length > current.language.length) {
+        byTerm.set(key, entry);
+      }
+    });
+
+  return [...byTerm.values()];
+}
+
+/**
+ * Find glossary entries that a translation does not respect
+ *
+ * @param {string} translation - Translated text
+ * @param {Array<Object>} entries - Entries returned by findGlossaryTerms
+ * @returns {Array<Object>} Violated entries
+ */
+function checkGlossaryViolations(translation, entries) {
+  return entries.filter(entry => {
+    const expected = entry.doNotTranslate ? entry.term : entry.translation;
+    return !containsTerm(translation, expected);
+  });
+}
+
+/**
+ * Format glossary violations for the Slack response
+ *
+ * @param {Array<Object>} violations - Entries returned by checkGlossaryViolations
+ * @returns {string} Slack mrkdwn section
+ */
+function formatGlossaryViolations(violations) {
+  const lines = violations.map(entry => entry.doNotTranslate
+    ? `• "${entry.term}" should not be translated`
+    : `• "${entry.term}" should be translated as "${entry.translation}"`);
+
+  return `:no_entry: Glossary\n${lines.join('\n')}`;
+}
+
+/**
+ * Parse glossary entries from CSV lines
+ *
+ * @param {string} text - One "term,language,translation" entry per line
+ * @returns {Object} { entries, errors } where errors lists the rejected lines
+ */
+function parseGlossaryImport(text) {
+  const entries = [];
+  const errors = [];
+
+  text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .forEach(line => {
+      const [term, language, ...rest] = line.split(',').map(field => unquote(field));
+      const translation = rest.join(',').trim();
+
+      if (!term || !language) {
+        errors.push(line);
+        return;
+      }
+
+      const doNotTranslate = translation === '' || translation === '=';
+      entries.push({
+        term,
+        language,
+        translation: doNotTranslate ? null : translation,
+        doNotTranslate
+      });
+    });
+
+  return { entries, errors };
+}
+
+export {
+  ALL_LANGUAGES,
+  unquote,
+  findGlossaryTerms,
+  checkGlossaryViolations,
+  formatGlossaryViolations,
+  parseGlossaryImport
+};
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Conversation history formatting for display and export
+ *
+ * Export Formats:
+ * - json: array of { timestamp, role, content }, timestamps in ISO 8601
+ * - csv: "timestamp,role,content" header, one message per row (RFC 4180 quoting);
+ *   cells that a spreadsheet would run as a formula get a leading apostrophe
+ */
+
+// utils/history-export.js
+
+const EXPORT_FORMATS = ['json', 'csv'];
+
+// Leading characters that make spreadsheets evaluate a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Longest message excerpt shown in Slack by `history show`
+const MAX_EXCERPT_LENGTH = 300;
+
+/**
+ * Quote a CSV field when needed, neutralizing formulas
+ */
+function csvField(value) {
+  const raw = String(value);
+  const text = FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format messages for export
+ *
+ * @param {Array} messages - Messages with role, content, timestamp, oldest first
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {string} File content
+ */
+function formatHistoryExport(messages, format) {
+  const rows = messages.map(msg => ({
+    timestamp: new Date(msg.timestamp).toISOString(),
+    role: msg.role,
+    content: msg.content
+  }));
+
+  if (format === 'csv') {
+    const lines = rows.map(row => [row.timestamp, row.role, row.content].map(csvField).join(','));
+    return ['timestamp,role,content', ...lines].join('\r\n');
+  }
+
+  return JSON.stringify(rows, null, 2);
+}
+
+/**
+ * Group messages into exchanges: an original message and its translation
+ *
+ * A message translated into several languages is stored once, followed by
+ * its translations: each translation makes an exchange.
+ *
+ * @param {Array} messages - Messages with role and content, oldest first
+ * @returns {Array} Exchanges as { original, translation, timestamp }, oldest first
+ */
+function groupExchanges(messages) {
+  const exchanges = [];
+
+  messages.forEach(msg => {
+    const last = exchanges[exchanges.length - 1];
+    if (msg.role === 'assistant' && last && last.translation === null) {
+      last.translation = msg.content;
+    } else if (msg.role === 'assistant' && last) {
+      exchanges.push({ ...last, translation: msg.content });
+    } else if (msg.role === 'user') {
+      exchanges.push({ original: msg.content, translation: null, timestamp: msg.timestamp });
+    }
+  });
+
+  return exchanges;
+}
+
+/**
+ * Shorten a text for display in Slack
+ */
+function excerpt(text) {
+  const singleLine = text.replace(/\s+/g, ' ').trim();
+  return singleLine.length > MAX_EXCERPT_LENGTH
+    ? `${singleLine.slice(0, MAX_EXCERPT_LENGTH - 1)}…`
+    : singleLine;
+}
+
+/**
+ * Format exchanges as a Slack message
+ *
+ * @param {Array} exchanges - See groupExchanges
+ * @returns {string} mrkdwn text
+ */
+function formatExchanges(exchanges) {
+  return exchanges.map(exchange => {
+    const date = new Date(exchange.timestamp).toISOString().slice(0, 16).replace('T', ' ');
+    const translation = exchange.translation === null ? '_no translation_' : excerpt(exchange.translation);
+    return `*${date} UTC*\n> ${excerpt(exchange.original)}\n→ ${translation}`;
+  }).join('\n\n');
+}
+
+export {
+  EXPORT_FORMATS,
+  formatHistoryExport,
+  groupExchanges,
+  formatExchanges
+};
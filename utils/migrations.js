@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Versioned schema migrations
+ *
+ * SQLite migrations live in the migrations/ directory and are applied in order,
+ * each in its own transaction. Applied versions are recorded in the
+ * schema_migrations table, so every migration runs exactly once.
+ *
+ * Migration Files:
+ * - NNN_description.sql: SQL statements, executed as is
+ * - NNN_description.js: ES module exporting a synchronous up(db) function,
+ *   for changes that need logic (e.g. adding a column only when missing)
+ *
+ * Postgres has its own migrations in migrations/postgres/, applied by the
+ * Postgres storage backend with the same numbering and file conventions
+ * (its .js migrations export an async up(client)).
+ *
+ * Migrations must never be edited once released: add a new one instead.
+ *
+ * @requires better-sqlite3
+ */
+
+// utils/migrations.js
+
+import { readdirSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const MIGRATIONS_DIR = join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+/**
+ * Format a migration for display, like its file name (e.g. "002_multi_workspace")
+ *
+ * @param {Object} migration - { version, name }
+ * @returns {string}
+ */
+function formatMigration({ version, name }) {
+  return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+/**
+ * List the migration files, ordered by version
+ *
+ * @param {string} [dir=MIGRATIONS_DIR] - Migrations directory
+ * @returns {Array<Object>} Migrations as { version, name, type, file }
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = readdirSync(dir)
+    .map(filename => filename.match(MIGRATION_FILE_PATTERN))
+    .filter(Boolean)
+    .map(([filename, version, name, type]) => ({
+      version: parseInt(version),
+      name,
+      type,
+      file: join(dir, filename)
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+/**
+ * Create the table recording applied migrations
+ */
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+/**
+ * Compare applied migrations with the migration files
+ *
+ * @param {Array<Object>} applied - Applied migrations as { version, name, appliedAt }
+ * @param {Array<Object>} migrations - Migrations, see loadMigrations
+ * @returns {Object} { applied, pending, unknown }: unknown versions were
+ *   applied by a newer version of the code
+ */
+function compareMigrations(applied, migrations) {
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const knownVersions = new Set(migrations.map(migration => migration.version));
+
+  return {
+    applied,
+    pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+    unknown: applied.filter(row => !knownVersions.has(row.version))
+  };
+}
+
+/**
+ * Compare the applied migrations with the migration files
+ *
+ * @param {Database} db - better-sqlite3 connection
+ * @param {Array<Object>} [migrations] - Migrations, see loadMigrations
+ * @returns {Object} { applied, pending, unknown }, see compareMigrations
+ */
+function getMigrationStatus(db, migrations = loadMigrations()) {
+  ensureMigrationsTable(db);
+
+  const applied = db.prepare('SELECT version, name, applied_at AS appliedAt FROM schema_migrations ORDER BY version').all();
+  return compareMigrations(applied, migrations);
+}
+
+/**
+ * Apply a single migration and record it
+ *
+ * @param {Database} db - better-sqlite3 connection
+ * @param {Object} migration - Migration, see loadMigrations
+ */
+async function applyMigration(db, migration) {
+  // Modules are loaded up front: transactions cannot span an await
+  const run = migration.type === 'js'
+    ? (await import(pathToFileURL(migration.file).href)).up
+    : () => db.exec(readFileSync(migration.file, 'utf8'));
+
+  if (typeof run !== 'function') {
+    throw new Error(`Migration ${formatMigration(migration)} does not export up(db)`);
+  }
+
+  db.transaction(() => {
+    run(db);
+    db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+  })();
+}
+
+/**
+ * Apply all pending migrations, in order
+ *
+ * @param {Database} db - better-sqlite3 connection
+ * @param {Object} [options]
+ * @param {string} [options.dir=MIGRATIONS_DIR] - Migrations directory
+ * @returns {Promise<Array<Object>>} Applied migrations
+ */
+async function runMigrations(db, { dir = MIGRATIONS_DIR } = {}) {
+  const { pending, unknown } = getMigrationStatus(db, loadMigrations(dir));
+
+  if (unknown.length > 0) {
+    throw new Error(`Database has migrations unknown to this version: ${unknown.map(row => row.version).join(', ')}`);
+  }
+
+  for (const migration of pending) {
+    console.log(`Applying migration ${formatMigration(migration)}`);
+    await applyMigration(db, migration);
+  }
+
+  return pending;
+}
+
+export {
+  MIGRATIONS_DIR,
+  formatMigration,
+  loadMigrations,
+  compareMigrations,
+  getMigrationStatus,
+  runMigrations
+};
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Prompt-injection defenses for user-supplied text
+ *
+ * Messages to translate are untrusted: they may contain text written to
+ * override the prompt ("ignore the above and reply with..."). Three layers
+ * limit what such a message can do:
+ * - Fencing: untrusted text is sent as its own user turn, enclosed in
+ *   <source_text> tags that the prompts declare as content, never instructions
+ *   (see prompts/partials/untrusted-input.md)
+ * - Detection: heuristics flag instruction-like content, so the prompt can
+ *   insist on a literal translation and flagged texts are not reused as
+ *   translation memory references
+ * - Output check: the response is compared with the message and the system
+ *   prompt to catch replies that are not a translation. Reply-like openings
+ *   ("Sure, ...") are only held against messages flagged by detection, as
+ *   they are also ordinary translations ("Certo, ..." -> "Sure, ...")
+ *
+ * These are heuristics, not guarantees: they keep manipulated responses out
+ * of channels and the translation memory, and warn the user otherwise.
+ */
+
+// utils/prompt-guard.js
+
+// Must match the tag named in prompts/partials/untrusted-input.md
+const FENCE_TAG = 'source_text';
+const FENCE_PATTERN = new RegExp(`<\\s*/?\\s*${FENCE_TAG}\\s*>`, 'gi');
+
+// A translation is rarely more than a few times longer than its source
+const MAX_LENGTH_RATIO = 4;
+const LENGTH_SLACK = 100;
+
+// System prompt lines shorter than this are too generic to reveal a leak
+const MIN_LEAK_LINE_LENGTH = 40;
+
+/**
+ * Heuristics for instruction-like content, by reason
+ */
+const INJECTION_PATTERNS = [
+  {
+    reason: 'override',
+    pattern: /\b(ignore|disregard|forget|override)\b[^\n]{0,40}\b(above|previous|prior|earlier|preceding|system|all|any)\b[^\n]{0,20}\b(instructions?|prompts?|rules|directions|messages?)\b/i
+  },
+  {
+    // Same request in the other languages the bot is commonly asked to translate
+    reason: 'override',
+    pattern: /\b(ignora|ignorez|ignoriere|ignorieren|olvida|oublie)\b[^\n]{0,40}\b(istruzioni|instrucciones|instructions|anweisungen|regole|reglas|règles|regeln)\b/iu
+  },
+  {
+    reason: 'prompt_request',
+    pattern: /\b(system prompt|initial prompt|your (instructions|prompt|rules|guidelines))\b/i
+  },
+  {
+    reason: 'role_change',
+    pattern: /\b(you are now|from now on,? you|pretend (to be|you are)|new instructions?)\b/i
+  },
+  {
+    reason: 'role_marker',
+    pattern: /^\s*(system|assistant|developer)\s*:|<\|?(im_start|im_end|system|endoftext)\|?>|\[\/?INST\]|<<\/?SYS>>/im
+  },
+  {
+    reason: 'fence_escape',
+    pattern: new RegExp(FENCE_PATTERN.source, 'i')
+  },
+  {
+    reason: 'json_override',
+    pattern: /"(translation|content_alert|source_language)"\s*:/
+  }
+];
+
+/**
+ * Openings of a reply to the message, rather than a translation of it (only
+ * checked for flagged messages)
+ */
+const REPLY_PATTERN = /^(sure|certainly|of course|okay|as an ai|i('m| am) (sorry|unable|an ai)|i can(not|'t)|here (is|are) (the|my|your))\b/i;
+
+/**
+ * User-facing descriptions of the output check failures
+ */
+const OUTPUT_ISSUES = {
+  prompt_leak: 'it repeats the bot instructions',
+  reply: 'it reads like a reply to the message',
+  length: 'it is much longer than the original'
+};
+
+/**
+ * Enclose untrusted text in the fence tags
+ *
+ * Fence tags already in the text are defused (with full-width brackets), so
+ * the text cannot close the fence early and smuggle instructions after it.
+ *
+ * @param {string} text - User-supplied text
+ * @returns {string} Fenced text, to send as a user turn
+ */
+function fenceUntrustedText(text) {
+  const defused = String(text).replace(FENCE_PATTERN, tag => tag.replace('<', '＜').replace('>', '＞'));
+  return `<${FENCE_TAG}>\n${defused}\n</${FENCE_TAG}>`;
+}
+
+/**
+ * Remove fence tags a model echoed back in its response
+ *
+ * @param {string} text - Model response
+ * @returns {string}
+ */
+function unfenceText(text) {
+  return text.replace(FENCE_PATTERN, '').trim();
+}
+
+/**
+ * Look for instruction-like content in untrusted text
+ *
+ * @param {string} text - User-supplied text
+ * @returns {Array<string>} Reasons (e.g. "override", "role_change"), empty if none
+ */
+function detectInjection(text) {
+  const reasons = INJECTION_PATTERNS
+    .filter(({ pattern }) => pattern.test(text))
+    .map(({ reason }) => reason);
+  return [...new Set(reasons)];
+}
+
+/**
+ * Check that a response is a translation of the message
+ *
+ * @param {string} source - Original message
+ * @param {string} output - Translated text returned by the model
+ * @param {string} systemPrompt - System prompt the model was given
+ * @param {Object} [options]
+ * @param {boolean} [options.suspicious=false] - detectInjection flagged the message
+ * @returns {Array<string>} Issues (keys of OUTPUT_ISSUES), empty if the output looks fine
+ */
+function checkTranslationOutput(source, output, systemPrompt, { suspicious = false } = {}) {
+  const issues = [];
+  const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+  const normalizedSource = normalize(source);
+  const normalizedOutput = normalize(output);
+
+  // Distinctive prompt lines that the message itself does not contain
+  const leaked = systemPrompt
+    .split('\n')
+    .map(normalize)
+    .filter(line => line.length >= MIN_LEAK_LINE_LENGTH && !normalizedSource.includes(line))
+    .some(line => normalizedOutput.includes(line));
+  if (leaked) {
+    issues.push('prompt_leak');
+  }
+
+  if (suspicious && REPLY_PATTERN.test(output.trim()) && !REPLY_PATTERN.test(source.trim())) {
+    issues.push('reply');
+  }
+
+  if (output.length > source.length * MAX_LENGTH_RATIO + LENGTH_SLACK) {
+    issues.push('length');
+  }
+
+  return issues;
+}
+
+/**
+ * Format output check failures as a Slack mrkdwn alert
+ *
+ * @param {Array<string>} issues - From checkTranslationOutput
+ * @returns {string}
+ */
+function formatOutputIssues(issues) {
+  const reasons = issues.map(issue => OUTPUT_ISSUES[issue]).join(', ');
+  return `:shield: *This may not be a translation*\nThe response was not saved for reuse: ${reasons}.`;
+}
+
+export {
+  fenceUntrustedText,
+  unfenceText,
+  detectInjection,
+  checkTranslationOutput,
+  formatOutputIssues
+};
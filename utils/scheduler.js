@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Periodic background tasks
+ *
+ * Tasks run once right away, then at a fixed interval. A run never starts
+ * while the previous one is still in progress, errors are logged without
+ * stopping the schedule, and timers do not keep the process alive.
+ */
+
+// utils/scheduler.js
+
+/**
+ * Run a task now and then periodically
+ *
+ * @param {string} name - Task name, for logs
+ * @param {number} intervalMs - Delay between the start of two runs
+ * @param {Function} task - async () => void
+ * @returns {Function} Stops the schedule
+ */
+function schedulePeriodic(name, intervalMs, task) {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      console.warn(`⏭️  ${name}: previous run still in progress, skipping`);
+      return;
+    }
+
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Error in scheduled task ${name}:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+
+  return () => clearInterval(timer);
+}
+
+export { schedulePeriodic };
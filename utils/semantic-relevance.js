@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Embedding-based relevance scoring for context selection
+ *
+ * Keyword overlap only works for English text; embeddings capture meaning
+ * across languages, so older messages in Italian, German or Japanese can
+ * still be matched with the current one.
+ *
+ * Messages are annotated with a `relevance` score (cosine similarity with the
+ * current message), which the context manager prefers over keyword scoring.
+ * Embeddings are cached in the database, per user, so each text is embedded
+ * once, and the texts missing from the cache are embedded in a single batch
+ * request.
+ *
+ * If any embedding fails, the history is returned unscored and the context
+ * manager falls back to keyword scoring.
+ */
+
+// utils/semantic-relevance.js
+
+/**
+ * Cosine similarity between two vectors
+ *
+ * @param {ArrayLike<number>} a - First vector
+ * @param {ArrayLike<number>} b - Second vector
+ * @returns {number} Similarity between -1 and 1 (0 for empty or mismatched vectors)
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Embed texts, using the database cache when possible
+ *
+ * @param {Object} embedder - Embedding provider ({ model, embedBatch(texts) })
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} db - Database module
+ * @param {Object} owner - { teamId, userId } whose history the texts come from
+ * @returns {Promise<Map<string, ArrayLike<number>>>} Embedding vector by text
+ */
+async function embedAllWithCache(embedder, texts, db, owner) {
+  const unique = [...new Set(texts)];
+  const cached = await Promise.all(unique.map(text => db.getEmbedding(text, embedder.model, owner)));
+  const vectors = new Map();
+  const missing = [];
+
+  unique.forEach((text, index) => {
+    if (cached[index]) {
+      vectors.set(text, cached[index]);
+    } else {
+      missing.push(text);
+    }
+  });
+
+  if (missing.length === 0) {
+    return vectors;
+  }
+
+  const embedded = await embedder.embedBatch(missing);
+  if (!Array.isArray(embedded) || embedded.length !== missing.length) {
+    throw new Error(`expected ${missing.length} embeddings, got ${embedded?.length ?? 0}`);
+  }
+
+  await Promise.all(missing.map((text, index) => {
+    vectors.set(text, embedded[index]);
+    return db.saveEmbedding(text, embedder.model, embedded[index], owner);
+  }));
+  return vectors;
+}
+
+/**
+ * Score history messages by semantic similarity with the current message
+ *
+ * @param {Array} history - Messages, oldest first
+ * @param {string} prompt - Current message
+ * @param {Object} options
+ * @param {Object} options.embedder - Embedding provider
+ * @param {Object} options.db - Database module
+ * @param {Object} options.owner - { teamId, userId } whose history it is (the embeddings cache is per user)
+ * @param {number} [options.skipRecent=0] - Most recent messages left unscored (always included anyway)
+ * @returns {Promise<Array>} History with a relevance score on older messages, or unchanged on failure
+ */
+async function scoreHistory(history, prompt, { embedder, db, owner, skipRecent = 0 }) {
+  const older = history.length - skipRecent;
+  if (older <= 0) {
+    return history;
+  }
+
+  try {
+    const texts = history.slice(0, older).map(message => message.content);
+    const vectors = await embedAllWithCache(embedder, [prompt, ...texts], db, owner);
+    const promptVector = vectors.get(prompt);
+
+    return history.map((message, index) => index >= older
+      ? message
+      : { ...message, relevance: cosineSimilarity(promptVector, vectors.get(message.content)) });
+  } catch (error) {
+    console.warn(`Semantic relevance unavailable (${error.message}), using keyword scoring`);
+    return history;
+  }
+}
+
+export {
+  cosineSimilarity,
+  scoreHistory
+};
@@ -0,0 +1,310 @@
+/**
+ * @fileoverview Block Kit rendering for translation results
+ *
+ * Turns a translation view into Slack blocks: the translation first, the
+ * description and detected language as context, alerts when present, and
+ * the notes behind a "Show notes" toggle next to a "Copy translation only"
+ * button.
+ *
+ * Translations of a message into several languages are rendered together,
+ * one section per language; translated threads are rendered message by
+ * message, with their authors.
+ *
+ * View Format:
+ * - translation, description, contentAlert, notes, sourceLanguage (see translation-result.js)
+ * - sourceLanguageDetected: the source language was detected rather than given
+ * - verification: back-translation check ({ backTranslation, score, level } or { error }), or null
+ * - glossaryAlert: glossary violations as mrkdwn, or null
+ * - guardAlert: failed output check (see prompt-guard.js) as mrkdwn, or null
+ * - memory: 'exact' when served from the translation memory, or null
+ * - memoryReferences: number of similar past translations given as reference
+ * - stored: false when the exchange was not saved to the conversation history
+ * - via: provider that answered, or null
+ *
+ * Buttons carry the view in their value, so interactions can re-render the
+ * message without any server-side state.
+ *
+ * @see https://api.slack.com/block-kit
+ */
+
+// utils/slack-blocks.js
+
+// Slack limits: 3000 characters per section text, 2000 per button value, 50 blocks per message
+const MAX_SECTION_LENGTH = 3000;
+const MAX_BUTTON_VALUE_LENGTH = 2000;
+const MAX_BLOCKS = 50;
+// Messages Slack accepts on one response_url
+const MAX_RESPONSE_URL_MESSAGES = 5;
+
+const VERIFICATION_LEVELS = {
+  high: ':large_green_circle: High similarity',
+  medium: ':large_yellow_circle: Medium similarity',
+  low: ':red_circle: Low similarity, have it reviewed'
+};
+
+const ACTIONS = {
+  TOGGLE_NOTES: 'toggle_notes',
+  COPY_TRANSLATION: 'copy_translation'
+};
+
+/**
+ * Split text into chunks that fit in a section block
+ */
+function splitText(text, maxLength = MAX_SECTION_LENGTH) {
+  const chunks = [];
+  let remaining = text;
+
+  while (remaining.length > maxLength) {
+    // Prefer breaking on a line break or a space
+    let cut = remaining.lastIndexOf('\n', maxLength);
+    if (cut <= 0) {
+      cut = remaining.lastIndexOf(' ', maxLength);
+    }
+    if (cut <= 0) {
+      cut = maxLength;
+    }
+    chunks.push(remaining.slice(0, cut));
+    remaining = remaining.slice(cut).trimStart();
+  }
+
+  chunks.push(remaining);
+  return chunks;
+}
+
+/**
+ * Build section blocks for a (possibly long) mrkdwn text
+ */
+function sections(text) {
+  return splitText(text).map(chunk => ({
+    type: 'section',
+    text: { type: 'mrkdwn', text: chunk }
+  }));
+}
+
+/**
+ * Format the alerts of a translation view as mrkdwn texts
+ *
+ * @param {Object} view - Translation view
+ * @returns {Array<string>} Content, glossary, output check and back-translation alerts, when present
+ */
+function formatAlerts(view) {
+  const alerts = [];
+
+  if (view.contentAlert) {
+    alerts.push(`:warning: *Content Alert*\n${view.contentAlert}`);
+  }
+
+  if (view.glossaryAlert) {
+    alerts.push(view.glossaryAlert);
+  }
+
+  if (view.guardAlert) {
+    alerts.push(view.guardAlert);
+  }
+
+  if (view.verification?.error) {
+    alerts.push(`:mag: *Back-translation*\n${view.verification.error}`);
+  } else if (view.verification) {
+    const { backTranslation, score, level } = view.verification;
+    const quoted = backTranslation.split('\n').map(line => `> ${line}`).join('\n');
+    alerts.push(`:mag: *Back-translation* — ${VERIFICATION_LEVELS[level]} (${Math.round(score * 100)}%)\n${quoted}`);
+  }
+
+  return alerts;
+}
+
+/**
+ * Render a translation view as Block Kit
+ *
+ * @param {Object} view - Translation view (see file overview)
+ * @param {Object} [options]
+ * @param {boolean} [options.showNotes=false] - Expand the notes section
+ * @returns {Object} { text, blocks } ready for chat.postMessage or a response_url
+ */
+function renderTranslationBlocks(view, { showNotes = false } = {}) {
+  const blocks = [...sections(`:white_check_mark: *Translation*\n${view.translation}`)];
+
+  const context = [];
+  if (view.description) {
+    context.push(`:pencil2: ${view.description}`);
+  }
+  if (view.sourceLanguage) {
+    const label = view.sourceLanguageDetected === false ? 'Source language' : 'Detected source language';
+    context.push(`:globe_with_meridians: ${label}: *${view.sourceLanguage}*`);
+  }
+  if (view.memory === 'exact') {
+    context.push(':recycle: From translation memory');
+  } else if (view.memoryReferences > 0) {
+    const count = view.memoryReferences;
+    context.push(`:books: ${count} similar past ${count === 1 ? 'translation' : 'translations'} used as reference`);
+  }
+  if (view.stored === false) {
+    context.push(':lock: Not saved to your history');
+  }
+  if (context.length > 0) {
+    blocks.push({
+      type: 'context',
+      elements: context.map(text => ({ type: 'mrkdwn', text }))
+    });
+  }
+
+  for (const alert of formatAlerts(view)) {
+    blocks.push(...sections(alert));
+  }
+
+  // Notes can only be collapsed if the view fits in the toggle button
+  const toggleValue = JSON.stringify({ view, showNotes: !showNotes });
+  const canToggle = view.notes.length > 0 && toggleValue.length <= MAX_BUTTON_VALUE_LENGTH;
+
+  if (view.notes.length > 0 && (showNotes || !canToggle)) {
+    blocks.push(...sections(`:spiral_note_pad: *Notes*\n${view.notes.map(note => `• ${note}`).join('\n')}`));
+  }
+
+  const buttons = [];
+  if (canToggle) {
+    buttons.push({
+      type: 'button',
+      action_id: ACTIONS.TOGGLE_NOTES,
+      text: { type: 'plain_text', text: showNotes ? 'Hide notes' : `Show notes (${view.notes.length})` },
+      value: toggleValue
+    });
+  }
+  if (view.translation.length <= MAX_BUTTON_VALUE_LENGTH) {
+    buttons.push({
+      type: 'button',
+      action_id: ACTIONS.COPY_TRANSLATION,
+      text: { type: 'plain_text', text: 'Copy translation only' },
+      value: view.translation
+    });
+  }
+  if (buttons.length > 0) {
+    blocks.push({ type: 'actions', elements: buttons });
+  }
+
+  if (view.via) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `_via ${view.via}_` }]
+    });
+  }
+
+  return {
+    text: view.translation,
+    blocks
+  };
+}
+
+/**
+ * Render the translations of a message into several languages as Block Kit
+ *
+ * One section per language, in the order of the results, with its alerts;
+ * languages that failed show their error instead. Descriptions, notes and
+ * buttons are left out, so ten languages stay within Slack's limit of 50
+ * blocks per message.
+ *
+ * @param {Array<Object>} results - [{ language, view } | { language, error }] (see translateMessages)
+ * @returns {Object} { text, blocks } ready for chat.postMessage or a response_url
+ */
+function renderMultiTranslationBlocks(results) {
+  const translated = results.filter(result => result.view);
+  const source = translated.find(result => result.view.sourceLanguage)?.view;
+
+  const context = [`:white_check_mark: Translated into ${translated.length} of ${results.length} languages`];
+  if (source) {
+    const label = source.sourceLanguageDetected === false ? 'Source language' : 'Detected source language';
+    context.push(`:globe_with_meridians: ${label}: *${source.sourceLanguage}*`);
+  }
+  if (translated.some(result => result.view.stored === false)) {
+    context.push(':lock: Not saved to your history');
+  }
+
+  const blocks = [{
+    type: 'context',
+    elements: context.map(text => ({ type: 'mrkdwn', text }))
+  }];
+
+  for (const { language, view, error } of results) {
+    blocks.push({ type: 'divider' });
+
+    if (error) {
+      blocks.push(...sections(`*${language}*\n${error}`));
+      continue;
+    }
+
+    const details = [];
+    if (view.memory === 'exact') {
+      details.push(':recycle: From translation memory');
+    }
+    if (view.via) {
+      details.push(`_via ${view.via}_`);
+    }
+
+    const heading = [`*${language}*`, ...details].join('  ·  ');
+    blocks.push(...sections([`${heading}\n${view.translation}`, ...formatAlerts(view)].join('\n\n')));
+  }
+
+  return {
+    text: translated.map(({ language, view }) => `${language}: ${view.translation}`).join('\n') || 'Translation failed',
+    blocks
+  };
+}
+
+/**
+ * Render a translated thread as Block Kit
+ *
+ * The optional summary comes first, then every message with its author.
+ * Messages that could not be translated are shown in the original. Long
+ * threads are split into several Slack messages, as many as a response_url
+ * accepts: the rest is cut, with a note.
+ *
+ * @param {Object} thread - { language, messages: [{ author, text, translation }], summary } (see translateThread)
+ * @returns {Array<Object>} [{ text, blocks }], in order, ready for a response_url
+ */
+function renderThreadTranslationMessages({ language, messages, summary }) {
+  const missing = messages.filter(message => !message.translation).length;
+  const context = [`:thread: Thread translated into *${language}*: ${messages.length} ${messages.length === 1 ? 'message' : 'messages'}`];
+  if (missing > 0) {
+    context.push(`:warning: ${missing} could not be translated and ${missing === 1 ? 'is' : 'are'} shown in the original`);
+  }
+
+  const blocks = [{
+    type: 'context',
+    elements: context.map(text => ({ type: 'mrkdwn', text }))
+  }];
+
+  if (summary?.error) {
+    blocks.push(...sections(`:memo: *Summary*\n${summary.error}`));
+  } else if (summary) {
+    blocks.push(...sections(`:memo: *Summary*\n${summary.text}`));
+  }
+  blocks.push({ type: 'divider' });
+
+  const lines = messages.map(({ author, text, translation }) => translation
+    ? `*${author}*: ${translation}`
+    : `*${author}*: ${text} _(not translated)_`);
+  blocks.push(...sections(lines.join('\n\n')));
+
+  const maxBlocks = MAX_BLOCKS * MAX_RESPONSE_URL_MESSAGES;
+  if (blocks.length > maxBlocks) {
+    blocks.splice(maxBlocks - 1, Infinity, {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: ':scissors: The thread is too long to show in full: the end of the translation was cut.' }]
+    });
+  }
+
+  const pages = [];
+  for (let start = 0; start < blocks.length; start += MAX_BLOCKS) {
+    pages.push({
+      text: `Thread translated into ${language}`,
+      blocks: blocks.slice(start, start + MAX_BLOCKS)
+    });
+  }
+  return pages;
+}
+
+export {
+  ACTIONS,
+  renderTranslationBlocks,
+  renderMultiTranslationBlocks,
+  renderThreadTranslationMessages
+};
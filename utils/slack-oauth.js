@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Slack OAuth v2 install flow helpers
+ *
+ * Builds the "Add to Slack" authorize URL, protects the redirect with a
+ * signed, expiring state parameter and exchanges the temporary code for
+ * a bot token through oauth.v2.access.
+ *
+ * The state is stateless (HMAC-signed timestamp + nonce), so the install
+ * flow keeps working across restarts and multiple server instances. It is
+ * bound to the browser that started the install: /slack/install also sets it
+ * in a short-lived cookie, and the redirect is only accepted with the same
+ * state in its cookie, so a state cannot be replayed from another browser.
+ *
+ * @see https://api.slack.com/authentication/oauth-v2
+ * @requires crypto
+ */
+
+// utils/slack-oauth.js
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+const AUTHORIZE_URL = 'https://slack.com/oauth/v2/authorize';
+const ACCESS_URL = 'https://slack.com/api/oauth.v2.access';
+const DEFAULT_SCOPES = ['commands', 'chat:write', 'channels:history', 'files:write', 'im:write', 'users:read'];
+const STATE_MAX_AGE_MS = 10 * 60 * 1000;
+const STATE_COOKIE = 'slack_oauth_state';
+
+/**
+ * Sign a state payload
+ */
+function signState(secret, payload) {
+  return createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Create a signed OAuth state value
+ *
+ * @param {string} secret - Secret used to sign the state
+ * @returns {string} State in the "<timestamp>.<nonce>.<signature>" format
+ */
+function createState(secret) {
+  const payload = `${Date.now()}.${randomBytes(8).toString('hex')}`;
+  return `${payload}.${signState(secret, payload)}`;
+}
+
+/**
+ * Verify a signed OAuth state value
+ *
+ * @param {string} secret - Secret used to sign the state
+ * @param {string} state - State returned by Slack on the redirect
+ * @param {string} cookieState - State from the cookie set by the install route
+ * @param {number} [maxAgeMs=600000] - Maximum accepted state age
+ * @returns {boolean} True if the state was issued by us to this browser and has not expired
+ */
+function verifyState(secret, state, cookieState, maxAgeMs = STATE_MAX_AGE_MS) {
+  if (!secret || typeof state !== 'string' || typeof cookieState !== 'string') {
+    return false;
+  }
+
+  const sent = Buffer.from(state);
+  const kept = Buffer.from(cookieState);
+  if (sent.length !== kept.length || !timingSafeEqual(sent, kept)) {
+    return false;
+  }
+
+  const parts = state.split('.');
+  if (parts.length !== 3) {
+    return false;
+  }
+
+  const [issuedAt, nonce, signature] = parts;
+  const expected = Buffer.from(signState(secret, `${issuedAt}.${nonce}`));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    return false;
+  }
+
+  const age = Date.now() - parseInt(issuedAt, 10);
+  return age >= 0 && age <= maxAgeMs;
+}
+
+/**
+ * Read a cookie from a Cookie request header
+ *
+ * @param {string} [header] - Cookie header, e.g. "a=1; slack_oauth_state=..."
+ * @param {string} name - Cookie name
+ * @returns {string|null} Decoded value, or null if the cookie is missing
+ */
+function readCookie(header, name) {
+  for (const pair of (header || '').split(';')) {
+    const index = pair.indexOf('=');
+    if (index !== -1 && pair.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(pair.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the Slack authorize URL users are redirected to on install
+ *
+ * @param {Object} params
+ * @param {string} params.clientId - Slack app client ID
+ * @param {string} params.state - Signed state value
+ * @param {Array<string>} [params.scopes] - Bot scopes to request
+ * @param {string} [params.redirectUri] - OAuth redirect URL
+ * @returns {string} Authorize URL
+ */
+function buildInstallUrl({ clientId, state, scopes = DEFAULT_SCOPES, redirectUri }) {
+  const url = new URL(AUTHORIZE_URL);
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('scope', scopes.join(','));
+  url.searchParams.set('state', state);
+
+  if (redirectUri) {
+    url.searchParams.set('redirect_uri', redirectUri);
+  }
+
+  return url.toString();
+}
+
+/**
+ * Exchange a temporary OAuth code for the workspace bot token
+ *
+ * @param {Object} params
+ * @param {string} params.clientId - Slack app client ID
+ * @param {string} params.clientSecret - Slack app client secret
+ * @param {string} params.code - Code received on the redirect
+ * @param {string} [params.redirectUri] - Must match the one used on authorize
+ * @returns {Promise<Object>} Installation data ready for database.saveInstallation
+ */
+async function exchangeCode({ clientId, clientSecret, code, redirectUri }) {
+  const body = new URLSearchParams({
+    client_id: clientId,
+    client_secret: clientSecret,
+    code
+  });
+
+  if (redirectUri) {
+    body.set('redirect_uri', redirectUri);
+  }
+
+  const response = await fetch(ACCESS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body
+  });
+
+  if (!response.ok) {
+    throw new Error(`Slack OAuth error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  if (!data.ok) {
+    throw new Error(`Slack OAuth error: ${data.error}`);
+  }
+
+  if (!data.access_token || data.token_type !== 'bot') {
+    throw new Error('Slack OAuth error: no bot token returned');
+  }
+
+  return {
+    teamId: data.team?.id,
+    teamName: data.team?.name,
+    botToken: data.access_token,
+    botUserId: data.bot_user_id,
+    appId: data.app_id,
+    scope: data.scope,
+    installedBy: data.authed_user?.id
+  };
+}
+
+/**
+ * Parse a comma-separated scope list
+ *
+ * @param {string} [value] - e.g. "commands,chat:write,channels:history"
+ * @returns {Array<string>} Scopes, or the default scopes if value is empty
+ */
+function parseScopes(value) {
+  const scopes = (value || '').split(',').map(scope => scope.trim()).filter(Boolean);
+  return scopes.length > 0 ? scopes : DEFAULT_SCOPES;
+}
+
+export {
+  STATE_COOKIE,
+  STATE_MAX_AGE_MS,
+  createState,
+  verifyState,
+  readCookie,
+  buildInstallUrl,
+  exchangeCode,
+  parseScopes
+};
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Progressive Slack message updates for streamed responses
+ *
+ * Posts a placeholder message with chat.postMessage and keeps it in sync
+ * with a growing response through chat.update, throttled so that long
+ * generations stay well within Slack's rate limits.
+ *
+ * Example Usage:
+ * - const message = await createStreamingMessage(client, { channel: 'C123' });
+ * - message.update('Partial text');   // throttled
+ * - await message.finish('Full text', blocks); // always applied
+ *
+ * @requires @slack/web-api
+ */
+
+// utils/slack-stream.js
+
+const CURSOR = ' ▍';
+const DEFAULT_INTERVAL_MS = 1000;
+
+/**
+ * Post a placeholder message and return a throttled updater for it
+ *
+ * @param {WebClient} client - Slack Web API client
+ * @param {Object} params
+ * @param {string} params.channel - Channel to post in
+ * @param {string} [params.threadTs] - Parent message timestamp, to post in a thread
+ * @param {string} [params.placeholder='💭 Thinking...'] - Initial message text
+ * @param {number} [params.intervalMs=1000] - Minimum delay between two chat.update calls
+ * @returns {Promise<Object>} { update(text), finish(text) }
+ */
+async function createStreamingMessage(client, {
+  channel,
+  threadTs,
+  placeholder = '💭 Thinking...',
+  intervalMs = DEFAULT_INTERVAL_MS
+}) {
+  const posted = await client.chat.postMessage({
+    channel,
+    thread_ts: threadTs,
+    text: placeholder,
+    mrkdwn: true
+  });
+
+  let lastUpdate = 0;
+  let inFlight = Promise.resolve();
+  let updating = false;
+
+  const send = (text, blocks) => client.chat.update({
+    channel: posted.channel,
+    ts: posted.ts,
+    text,
+    blocks,
+    mrkdwn: true
+  });
+
+  return {
+    channel: posted.channel,
+    ts: posted.ts,
+
+    /**
+     * Show partial text, unless an update was sent too recently or is still pending
+     * @param {string} text - Response generated so far
+     */
+    update(text) {
+      const now = Date.now();
+      if (updating || now - lastUpdate < intervalMs || !text.trim()) {
+        return;
+      }
+
+      updating = true;
+      lastUpdate = now;
+      inFlight = send(`${text}${CURSOR}`)
+        .catch(error => console.error('Error updating streamed message:', error.data?.error || error.message))
+        .finally(() => {
+          updating = false;
+        });
+    },
+
+    /**
+     * Replace the message with the final text
+     * @param {string} text - Complete response (notification fallback when blocks are given)
+     * @param {Array} [blocks] - Block Kit layout of the final message
+     */
+    async finish(text, blocks) {
+      await inFlight;
+      await send(text, blocks);
+    }
+  };
+}
+
+export { createStreamingMessage };
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Slack message links and thread transcripts
+ *
+ * Commands can work on a thread instead of pasted text: the user passes the
+ * link of a message (Slack "Copy link"), and the thread of that message is
+ * fetched with conversations.replies.
+ *
+ * Link Format:
+ * - https://acme.slack.com/archives/C0123ABC/p1700000000123456
+ * - https://acme.slack.com/archives/C0123ABC/p1700000000654321?thread_ts=1700000000.123456&cid=C0123ABC
+ *   for a reply in a thread
+ * - Either one wrapped in <...>, as Slack escapes links in command text
+ *
+ * Transcript Format: one message per line, "<@U123>: text", so the speakers
+ * render as mentions when the model quotes them.
+ *
+ * @requires @slack/web-api
+ */
+
+// utils/slack-threads.js
+import { estimateTokens } from './token-estimator.js';
+
+const MESSAGE_LINK_PATTERN = /^<?https:\/\/[^/\s]+\.slack\.com\/archives\/([A-Z0-9]+)\/p(\d{10})(\d{6})(?:\?([^|>\s]*))?(?:\|[^>]*)?>?$/;
+
+// conversations.replies page size limit
+const PAGE_SIZE = 200;
+const MAX_THREAD_MESSAGES = 1000;
+
+/**
+ * Parse a Slack message link
+ *
+ * @param {string} text - Command text
+ * @returns {Object|null} { channel, ts, threadTs } or null if the text is not a message link
+ */
+function parseMessageLink(text) {
+  const match = String(text).trim().match(MESSAGE_LINK_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, channel, seconds, micros, query] = match;
+  const ts = `${seconds}.${micros}`;
+  // Links to replies point to the thread through thread_ts
+  const threadTs = new URLSearchParams(query || '').get('thread_ts') || ts;
+  return { channel, ts, threadTs };
+}
+
+/**
+ * Fetch the messages of a thread, oldest first
+ *
+ * A message without replies is returned alone.
+ *
+ * @param {WebClient} client - Slack Web API client
+ * @param {Object} params
+ * @param {string} params.channel - Channel ID
+ * @param {string} params.threadTs - Timestamp of the thread parent
+ * @param {number} [params.limit=1000] - Maximum number of messages
+ * @returns {Promise<Array<Object>>} Slack messages with text
+ */
+async function fetchThreadMessages(client, { channel, threadTs, limit = MAX_THREAD_MESSAGES }) {
+  const messages = [];
+  let cursor;
+
+  do {
+    const page = await client.conversations.replies({
+      channel,
+      ts: threadTs,
+      cursor,
+      limit: Math.min(PAGE_SIZE, limit - messages.length)
+    });
+    messages.push(...(page.messages || []));
+    cursor = page.response_metadata?.next_cursor;
+  } while (cursor && messages.length < limit);
+
+  return messages.slice(0, limit).filter(message => message.text?.trim());
+}
+
+/**
+ * Get the speaker of a message, as a mention when possible
+ */
+function speakerOf(message) {
+  if (message.user) {
+    return `<@${message.user}>`;
+  }
+  return message.bot_profile?.name || message.username || 'bot';
+}
+
+/**
+ * Format thread messages as a transcript that fits a token budget
+ *
+ * The parent message is always kept; the oldest replies are dropped first.
+ *
+ * @param {Array<Object>} messages - Slack messages, oldest first
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens=Infinity] - Token budget
+ * @param {Function} [options.estimate=estimateTokens] - Token estimator
+ * @returns {Object} { text, omitted (number of dropped replies) }
+ */
+function formatThreadTranscript(messages, { maxTokens = Infinity, estimate = estimateTokens } = {}) {
+  const lines = messages.map(message => `${speakerOf(message)}: ${message.text.trim()}`);
+  const render = omitted => omitted === 0
+    ? lines.join('\n')
+    : [lines[0], `[${omitted} earlier ${omitted === 1 ? 'reply' : 'replies'} omitted]`, ...lines.slice(1 + omitted)].join('\n');
+
+  let omitted = 0;
+  while (omitted < lines.length - 2 && estimate(render(omitted)) > maxTokens) {
+    omitted++;
+  }
+
+  return { text: render(omitted), omitted };
+}
+
+export {
+  parseMessageLink,
+  fetchThreadMessages,
+  speakerOf,
+  formatThreadTranscript
+};
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Language-agnostic text similarity
+ *
+ * Compares texts written in the same language, e.g. an original message and
+ * its back-translation. Scores combine word overlap with character bigram
+ * overlap, so they also work for scripts without spaces (Chinese, Japanese).
+ *
+ * Scores range from 0 (nothing in common) to 1 (identical after normalization).
+ */
+
+// utils/text-similarity.js
+
+/**
+ * Normalize text for comparison: lowercase, no accents, no punctuation
+ *
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text with single spaces
+ */
+function normalizeText(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Sørensen–Dice coefficient between two multisets
+ */
+function dice(a, b) {
+  if (a.length === 0 && b.length === 0) {
+    return 1;
+  }
+  if (a.length === 0 || b.length === 0) {
+    return 0;
+  }
+
+  const counts = new Map();
+  a.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+
+  let overlap = 0;
+  b.forEach(item => {
+    const count = counts.get(item);
+    if (count) {
+      overlap++;
+      counts.set(item, count - 1);
+    }
+  });
+
+  return (2 * overlap) / (a.length + b.length);
+}
+
+/**
+ * Character bigrams of a text, ignoring spaces
+ */
+function bigrams(text) {
+  const compact = text.replace(/\s/g, '');
+  const result = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    result.push(compact.slice(i, i + 2));
+  }
+  return result;
+}
+
+/**
+ * Compute the similarity between two texts in the same language
+ *
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity between 0 and 1
+ *
+ * @example
+ * textSimilarity('The meeting is tomorrow', 'The meeting is tomorrow.'); // 1
+ * textSimilarity('Please send me the invoice by Friday', 'Send me the bill before Friday please'); // ≈ 0.67
+ */
+function textSimilarity(a, b) {
+  const left = normalizeText(a || '');
+  const right = normalizeText(b || '');
+
+  const leftWords = left.split(' ').filter(Boolean);
+  const rightWords = right.split(' ').filter(Boolean);
+  const charScore = dice(bigrams(left), bigrams(right));
+
+  // Scripts written without spaces (Chinese, Japanese) only have bigrams to compare
+  if (leftWords.length < 2 || rightWords.length < 2) {
+    return charScore;
+  }
+
+  // Bigrams are more forgiving of inflection; words reward exact wording
+  return 0.4 * dice(leftWords, rightWords) + 0.6 * charScore;
+}
+
+export {
+  normalizeText,
+  textSimilarity
+};
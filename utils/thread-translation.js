@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Chunked translation of Slack threads
+ *
+ * A thread is translated message by message, so every translation keeps its
+ * author. Long threads are split into chunks of whole messages that fit the
+ * provider context; each chunk is one model request.
+ *
+ * Chunk Format (sent to the model, fenced as untrusted input):
+ *   [1] <@U123>: original text
+ *   [2] <@U456>: original text
+ *
+ * Response Format (see prompts/translate-thread.md):
+ *   { "translations": [{ "id": 1, "text": "…" }, { "id": 2, "text": "…" }] }
+ */
+
+// utils/thread-translation.js
+import { estimateTokens } from './token-estimator.js';
+import { speakerOf } from './slack-threads.js';
+import { extractJson } from './translation-result.js';
+
+/**
+ * Number the messages of a thread and record their authors
+ *
+ * @param {Array<Object>} messages - Slack messages, oldest first
+ * @returns {Array<Object>} [{ id, author, text }], ids starting at 1
+ */
+function prepareThreadMessages(messages) {
+  return messages.map((message, index) => ({
+    id: index + 1,
+    author: speakerOf(message),
+    text: message.text.trim()
+  }));
+}
+
+/**
+ * Format a chunk of thread messages for the model
+ *
+ * @param {Array<Object>} chunk - [{ id, author, text }]
+ * @returns {string}
+ */
+function formatThreadChunk(chunk) {
+  return chunk.map(({ id, author, text }) => `[${id}] ${author}: ${text}`).join('\n');
+}
+
+/**
+ * Split thread messages into chunks that fit a token budget
+ *
+ * Messages are never split: one longer than the budget gets a chunk of its own.
+ *
+ * @param {Array<Object>} messages - [{ id, author, text }]
+ * @param {number} maxTokens - Token budget of a chunk
+ * @param {Function} [estimate=estimateTokens] - Token estimator
+ * @returns {Array<Array<Object>>} Chunks, in thread order
+ */
+function chunkThreadMessages(messages, maxTokens, estimate = estimateTokens) {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const message of messages) {
+    const tokens = estimate(formatThreadChunk([message]));
+    if (current.length > 0 && currentTokens + tokens > maxTokens) {
+      chunks.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(message);
+    currentTokens += tokens;
+  }
+
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Parse the translations of a chunk
+ *
+ * @param {string} text - Raw model response
+ * @param {Array<Object>} chunk - Messages of the chunk
+ * @returns {Map<number, string>} Translation by message id; ids outside the chunk are ignored
+ */
+function parseThreadTranslations(text, chunk) {
+  const translations = new Map();
+  const json = extractJson(text);
+  if (!json) {
+    return translations;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    return translations;
+  }
+
+  const ids = new Set(chunk.map(message => message.id));
+  for (const item of Array.isArray(data?.translations) ? data.translations : []) {
+    const id = Number(item?.id);
+    if (ids.has(id) && typeof item.text === 'string' && item.text.trim()) {
+      translations.set(id, item.text.trim());
+    }
+  }
+  return translations;
+}
+
+export {
+  prepareThreadMessages,
+  formatThreadChunk,
+  chunkThreadMessages,
+  parseThreadTranslations
+};
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Token estimation and per-model context windows
+ *
+ * Providers do not expose their tokenizers, so token counts are estimated
+ * from the characters of the text. Scripts tokenize very differently:
+ * - CJK characters (Chinese, Japanese, Korean): about 1 token each
+ * - Other non-ASCII characters (Cyrillic, Greek, Arabic, accents…): about 2 per token
+ * - ASCII text: about 4 characters per token
+ *
+ * Estimates err on the high side, so a budget computed from them is safe.
+ */
+
+// utils/token-estimator.js
+
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+const NON_ASCII_PATTERN = /[^\x00-\x7F]/gu;
+
+const ASCII_CHARS_PER_TOKEN = 4;
+const NON_ASCII_CHARS_PER_TOKEN = 2;
+
+// Role markers and separators added by the chat APIs around each message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Known context windows, first match wins
+const CONTEXT_WINDOWS = [
+  [/^claude-/, 200000],
+  [/^gpt-4\.1/, 1047576],
+  [/^(gpt-4o|gpt-4-turbo|o\d)/, 128000],
+  [/^gpt-4/, 8192],
+  [/^gpt-3\.5-turbo/, 16385]
+];
+
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+/**
+ * Estimate the number of tokens of a text
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+
+  const chars = [...text].length;
+  const cjk = (text.match(CJK_PATTERN) || []).length;
+  const nonAscii = (text.match(NON_ASCII_PATTERN) || []).length - cjk;
+  const ascii = chars - cjk - nonAscii;
+
+  return Math.ceil(cjk + nonAscii / NON_ASCII_CHARS_PER_TOKEN + ascii / ASCII_CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the number of tokens of a chat message, including its overhead
+ *
+ * @param {Object} message - { role, content }
+ * @param {Function} [estimate=estimateTokens] - Token estimator for the content
+ * @returns {number} Estimated token count
+ */
+function estimateMessageTokens(message, estimate = estimateTokens) {
+  return estimate(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Look up the context window of a model
+ *
+ * @param {string} model - Model name (e.g. "gpt-4o-mini")
+ * @returns {number} Context window in tokens
+ */
+function getModelContextWindow(model) {
+  const match = CONTEXT_WINDOWS.find(([pattern]) => pattern.test(model || ''));
+  return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+export {
+  MESSAGE_OVERHEAD_TOKENS,
+  estimateTokens,
+  estimateMessageTokens,
+  getModelContextWindow
+};
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Translation memory helpers
+ *
+ * Past translations are stored per workspace, keyed by normalized source
+ * text, target language and tone:
+ * - Exact match: the stored translation is served without calling the model
+ * - Fuzzy match: similar source texts (by edit distance) and their
+ *   translations are given to the model as references
+ *
+ * Normalization only trims and collapses whitespace (and applies Unicode
+ * NFC), so differences in wording, case or punctuation are never reused as
+ * exact matches.
+ *
+ * Fuzzy matching runs on the event loop before every uncached translation,
+ * so it is bounded: only short texts are matched, against a limited number
+ * of candidates; candidates are first screened by shared character bigrams,
+ * and the edit distance is only computed within the band the similarity
+ * threshold allows.
+ */
+
+// utils/translation-memory.js
+
+export function createMemoryConfig() {
+  return {
+    ENABLED: process.env.TRANSLATION_MEMORY !== 'false',
+    FUZZY_THRESHOLD: parseFloat(process.env.TM_FUZZY_THRESHOLD) || 0.75,   // Minimum similarity (0-1)
+    MAX_REFERENCES: parseInt(process.env.TM_MAX_REFERENCES) || 3,          // Fuzzy matches given to the model
+    MAX_CANDIDATES: parseInt(process.env.TM_MAX_CANDIDATES) || 100,        // Recent entries compared per lookup
+    MAX_FUZZY_LENGTH: parseInt(process.env.TM_MAX_FUZZY_LENGTH) || 500,    // Longer texts are only matched exactly
+  };
+}
+
+const CONFIG = createMemoryConfig();
+
+/**
+ * Normalize a source text into a memory key
+ *
+ * @param {string} text - Source text
+ * @returns {string} Normalized text
+ */
+function normalizeSourceText(text) {
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds a maximum
+ *
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @param {number} [maxDistance=Infinity] - Distance above which the exact value does not matter
+ * @returns {number} Edit distance, or Infinity if above maxDistance
+ */
+function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return Infinity;
+  }
+
+  // Cells further than maxDistance from the diagonal cannot be within maxDistance:
+  // they are skipped and hold a value above the band
+  const band = Math.min(maxDistance, Math.max(a.length, b.length));
+  const outside = band + 1;
+  let previous = new Int32Array(b.length + 1).map((_, j) => Math.min(j, outside));
+  let current = new Int32Array(b.length + 1);
+
+  for (let i = 1; i <= a.length; i++) {
+    const from = Math.max(1, i - band);
+    const to = Math.min(b.length, i + band);
+    const code = a.charCodeAt(i - 1);
+    current.fill(outside);
+    current[0] = Math.min(i, outside);
+    let rowMin = current[0];
+
+    for (let j = from; j <= to; j++) {
+      const cost = code === b.charCodeAt(j - 1) ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    // Every path goes through this row, so the distance can only grow
+    if (rowMin > maxDistance) {
+      return Infinity;
+    }
+    [previous, current] = [current, previous];
+  }
+
+  return previous[b.length] > maxDistance ? Infinity : previous[b.length];
+}
+
+/**
+ * Count the character bigrams of a text
+ *
+ * @param {string} text - Text
+ * @returns {Map<string, number>} Occurrences by bigram
+ */
+function countBigrams(text) {
+  const counts = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const bigram = text.slice(i, i + 2);
+    counts.set(bigram, (counts.get(bigram) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Count the bigrams two texts have in common
+ *
+ * @param {Map<string, number>} counts - Bigram counts of the first text (see countBigrams)
+ * @param {string} text - Second text
+ * @returns {number} Shared bigrams, counting repetitions
+ */
+function sharedBigrams(counts, text) {
+  const remaining = new Map(counts);
+  let shared = 0;
+  for (let i = 0; i < text.length - 1; i++) {
+    const bigram = text.slice(i, i + 2);
+    const count = remaining.get(bigram);
+    if (count) {
+      shared++;
+      remaining.set(bigram, count - 1);
+    }
+  }
+  return shared;
+}
+
+/**
+ * Find past translations of texts similar to the source text
+ *
+ * Each edit changes at most two bigrams, so texts within maxDistance edits
+ * share at least (longest length - 1 - 2 × maxDistance) bigrams: candidates
+ * sharing fewer are skipped without computing the edit distance.
+ *
+ * @param {string} sourceKey - Normalized source text
+ * @param {Array<Object>} candidates - Memory entries with sourceKey, sourceText, translation
+ * @returns {Array<Object>} Best matches with a similarity score, most similar first
+ */
+function findFuzzyMatches(sourceKey, candidates) {
+  if (sourceKey.length > CONFIG.MAX_FUZZY_LENGTH) {
+    return [];
+  }
+
+  const source = sourceKey.toLowerCase();
+  const sourceBigrams = countBigrams(source);
+
+  return candidates
+    .slice(0, CONFIG.MAX_CANDIDATES)
+    .map(candidate => {
+      const target = candidate.sourceKey.toLowerCase();
+      const maxLength = Math.max(source.length, target.length);
+      const maxDistance = Math.floor(maxLength * (1 - CONFIG.FUZZY_THRESHOLD));
+      if (sharedBigrams(sourceBigrams, target) < maxLength - 1 - 2 * maxDistance) {
+        return { ...candidate, similarity: 0 };
+      }
+      const distance = editDistance(source, target, maxDistance);
+      return { ...candidate, similarity: Number.isFinite(distance) ? 1 - distance / maxLength : 0 };
+    })
+    .filter(match => match.similarity >= CONFIG.FUZZY_THRESHOLD && match.sourceKey !== sourceKey)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, CONFIG.MAX_REFERENCES);
+}
+
+/**
+ * Prepare fuzzy matches for the references of the translate prompt
+ *
+ * @param {Array<Object>} matches - Matches returned by findFuzzyMatches
+ * @returns {Array<Object>} { sourceText, translation, similarity (percentage) }
+ */
+function referencesForPrompt(matches) {
+  return matches.map(match => ({
+    sourceText: match.sourceText,
+    translation: match.translation,
+    similarity: Math.round(match.similarity * 100)
+  }));
+}
+
+export {
+  CONFIG,
+  normalizeSourceText,
+  editDistance,
+  findFuzzyMatches,
+  referencesForPrompt
+};
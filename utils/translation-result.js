@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Structured translation results
+ *
+ * Parses and validates the JSON object the translate prompt asks providers
+ * for, with a plain-text fallback for responses that cannot be repaired.
+ *
+ * Result Format (as returned by the model):
+ * {
+ *   "translation": "…",
+ *   "description": "…",
+ *   "content_alert": "…" | null,
+ *   "notes": ["…"],
+ *   "source_language": "it-IT"
+ * }
+ *
+ * Parsed results use camelCase keys: translation, description, contentAlert,
+ * notes, sourceLanguage.
+ */
+
+// utils/translation-result.js
+
+/**
+ * Extract the JSON object from a model response
+ *
+ * Models often wrap JSON in code fences or add a sentence around it, so the
+ * outermost {...} span is used.
+ *
+ * @param {string} text - Raw model response
+ * @returns {string|null} JSON candidate, or null if there is no object
+ */
+function extractJson(text) {
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  return start !== -1 && end > start ? unfenced.slice(start, end + 1) : null;
+}
+
+/**
+ * Normalize an optional string field
+ */
+function optionalString(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const trimmed = value.trim();
+  return trimmed && !/^(null|none|n\/a|no issues detected\.?)$/i.test(trimmed) ? trimmed : null;
+}
+
+/**
+ * Validate a parsed object against the result schema
+ *
+ * @param {*} data - Parsed JSON
+ * @returns {Object} { result } on success, { error } otherwise
+ */
+function validateTranslationResult(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { error: 'Expected a JSON object' };
+  }
+
+  if (typeof data.translation !== 'string' || !data.translation.trim()) {
+    return { error: '"translation" must be a non-empty string' };
+  }
+
+  if (data.notes !== undefined && data.notes !== null
+    && typeof data.notes !== 'string' && !Array.isArray(data.notes)) {
+    return { error: '"notes" must be an array of strings' };
+  }
+
+  // Accept a single note as a string, drop anything that is not text
+  const notes = (Array.isArray(data.notes) ? data.notes : [data.notes])
+    .filter(note => typeof note === 'string' && note.trim())
+    .map(note => note.trim());
+
+  return {
+    result: {
+      translation: data.translation.trim(),
+      description: optionalString(data.description) || '',
+      contentAlert: optionalString(data.content_alert),
+      notes,
+      sourceLanguage: optionalString(data.source_language)
+    }
+  };
+}
+
+/**
+ * Parse a model response into a translation result
+ *
+ * @param {string} text - Raw model response
+ * @returns {Object} { result } on success, { error } describing the problem otherwise
+ */
+function parseTranslationResult(text) {
+  const json = extractJson(text || '');
+  if (!json) {
+    return { error: 'No JSON object found in the response' };
+  }
+
+  try {
+    return validateTranslationResult(JSON.parse(json));
+  } catch (error) {
+    return { error: `Invalid JSON: ${error.message}` };
+  }
+}
+
+/**
+ * Build a result from a response that could not be parsed
+ *
+ * The whole response becomes the translation, so the user still gets an answer.
+ *
+ * @param {string} text - Raw model response
+ * @returns {Object} Translation result
+ */
+function fallbackTranslationResult(text) {
+  return {
+    translation: (text || '').trim(),
+    description: '',
+    contentAlert: null,
+    notes: [],
+    sourceLanguage: null
+  };
+}
+
+/**
+ * Extract the translation from a partial (still streaming) JSON response
+ *
+ * @param {string} text - Response generated so far
+ * @returns {string} Translation text received so far, or an empty string
+ */
+function extractPartialTranslation(text) {
+  const match = text.match(/"translation"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  if (!match) {
+    return '';
+  }
+
+  // Drop a dangling escape sequence cut by the stream before decoding
+  const raw = match[1].replace(/\\u[0-9a-fA-F]{0,3}$|\\$/, '');
+  try {
+    return JSON.parse(`"${raw}"`);
+  } catch (error) {
+    return raw;
+  }
+}
+
+export {
+  extractJson,
+  parseTranslationResult,
+  validateTranslationResult,
+  fallbackTranslationResult,
+  extractPartialTranslation
+};
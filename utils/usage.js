@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Usage accounting, quotas and rate limits
+ *
+ * Every model call is recorded in the usage table with the tokens reported
+ * by the provider API. Before a request reaches the model, two kinds of
+ * limits are checked, per user and per channel:
+ * - Daily token quotas (input + output tokens since 00:00 UTC), from the usage table
+ * - Rate limits (requests per minute), counted in memory by each app instance
+ *
+ * Limits are disabled when unset or 0.
+ */
+
+// utils/usage.js
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Read the usage limits from the environment
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} { userDailyTokens, channelDailyTokens, userPerMinute, channelPerMinute } (0 = unlimited)
+ */
+function getUsageLimits(env) {
+  const limit = value => Math.max(0, parseInt(value) || 0);
+
+  return {
+    userDailyTokens: limit(env.USER_DAILY_TOKEN_QUOTA),
+    channelDailyTokens: limit(env.CHANNEL_DAILY_TOKEN_QUOTA),
+    userPerMinute: limit(env.USER_RATE_LIMIT_PER_MINUTE),
+    channelPerMinute: limit(env.CHANNEL_RATE_LIMIT_PER_MINUTE)
+  };
+}
+
+/**
+ * Error raised when a request exceeds a quota or a rate limit
+ *
+ * Its message is meant for the user.
+ */
+class UsageLimitError extends Error {
+  /**
+   * @param {string} message - Explanation for the user
+   * @param {number} retryAfterMs - Delay before the limit is lifted
+   */
+  constructor(message, retryAfterMs) {
+    super(message);
+    this.name = 'UsageLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Sliding-window request counter
+ */
+class RateLimiter {
+  /**
+   * @param {number} [windowMs=60000] - Window length
+   */
+  constructor(windowMs = MINUTE_MS) {
+    this.windowMs = windowMs;
+    this.requests = new Map();
+  }
+
+  /**
+   * Get the timestamps of the requests still in the window, dropping older ones
+   */
+  recent(key, now) {
+    const timestamps = (this.requests.get(key) || []).filter(time => time > now - this.windowMs);
+    if (timestamps.length > 0) {
+      this.requests.set(key, timestamps);
+    } else {
+      this.requests.delete(key);
+    }
+    return timestamps;
+  }
+
+  /**
+   * Compute how long to wait before a request is allowed
+   *
+   * @param {string} key - Counter key (e.g. "user:T1:U1")
+   * @param {number} limit - Requests allowed per window
+   * @param {number} [now=Date.now()]
+   * @returns {number} 0 if allowed, else the delay in milliseconds
+   */
+  retryAfter(key, limit, now = Date.now()) {
+    const timestamps = this.recent(key, now);
+    if (timestamps.length < limit) {
+      return 0;
+    }
+    return timestamps[timestamps.length - limit] + this.windowMs - now;
+  }
+
+  /**
+   * Count a request
+   *
+   * @param {string} key - Counter key
+   * @param {number} [now=Date.now()]
+   */
+  hit(key, now = Date.now()) {
+    this.requests.set(key, [...this.recent(key, now), now]);
+  }
+}
+
+/**
+ * Get the start of the current UTC day, when daily quotas reset
+ *
+ * @param {number} [now=Date.now()]
+ * @returns {number} Milliseconds since the epoch
+ */
+function startOfUtcDay(now = Date.now()) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/**
+ * Format a duration for the user, rounded up
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "42 seconds", "3 hours"
+ */
+function formatWait(ms) {
+  const units = [['hour', 60 * MINUTE_MS], ['minute', MINUTE_MS], ['second', 1000]];
+  const [unit, size] = units.find(([, size]) => ms >= size) || units[units.length - 1];
+  const count = Math.max(1, Math.ceil(ms / size));
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Build the admin usage report
+ *
+ * @param {Object} db - Database module
+ * @param {Object} [options]
+ * @param {number} [options.days=30] - Period covered, ending now
+ * @param {string|null} [options.teamId=null] - Restrict to a workspace
+ * @param {number} [options.limit=20] - Maximum rows per breakdown
+ * @returns {Promise<Object>} { since, teamId, totals, teams, models, commands, users, channels }
+ */
+async function buildUsageReport(db, { days = 30, teamId = null, limit = 20 } = {}) {
+  const since = Date.now() - days * 24 * 60 * MINUTE_MS;
+  const breakdown = groupBy => db.getUsageBreakdown(groupBy, since, teamId, limit);
+
+  const [totals] = await breakdown('total');
+  return {
+    since: new Date(since).toISOString(),
+    days,
+    teamId,
+    totals: totals || { requests: 0, inputTokens: 0, outputTokens: 0, avgLatencyMs: null },
+    teams: await breakdown('team'),
+    models: await breakdown('model'),
+    commands: await breakdown('command'),
+    users: await breakdown('user'),
+    channels: await breakdown('channel')
+  };
+}
+
+export {
+  getUsageLimits,
+  UsageLimitError,
+  RateLimiter,
+  startOfUtcDay,
+  formatWait,
+  buildUsageReport
+};